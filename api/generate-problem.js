@@ -1,14 +1,23 @@
 // Vercel Serverless Function: Generate Problem via Google Gemini
 // Endpoint: POST /api/generate-problem
-// Expects JSON body: { grade: number (1..6), type: 'PPT'|'UVT'|'COMPARACION'|'CAMBIO'|'DOS_OPERACIONES', theme?: string }
-// Returns: { problem: ProblemShape }
+// Expects JSON body: { grade: number (1..6), type: one of ALL_TYPES in shared/problem-types.js, theme?: string,
+//   unknown?: data key of `type` that holds the '?' (defaults to the type's usual unknown),
+//   rules?: the grade's rules as configured by the teacher (see shared/grade-rules.js) }
+// Returns: { problem: ProblemShape, problems: ProblemShape[], rejected: [{ question, violations }] }
+// Problems that break the grade's rules are asked for again (MAX_ATTEMPTS) and dropped if they still do.
 
 // IMPORTANT: Set GEMINI_API_KEY as an Environment Variable in Vercel
 // e.g., vercel env add GEMINI_API_KEY
 
+import { OPERATIONS, PROBLEM_TYPES, COMPOSITE_TYPES, STEP_TYPES, completeConversionStep, solvingOperation } from '../shared/problem-types.js';
+import { EQUIVALENCE_MODES, UNITS, canonicalQuantity } from '../shared/quantities.js';
+import { gradeRules, gradeRuleViolations, gradeTypeError, gradeRulesPrompt } from '../shared/grade-rules.js';
+
 export const config = { runtime: 'edge' };
 
 const MODEL = 'gemini-1.5-flash';
+const STEP_REF_RE = /^RESULTADO_(ANTERIOR|PASO_\d+)$/;
+const MAX_ATTEMPTS = 3;
 
 // Basic CORS headers to allow GitHub Pages (or other origins) to call this API
 const CORS_HEADERS = {
@@ -24,13 +33,20 @@ function genId() {
   );
 }
 
-function buildPrompt({ grade, type, theme, count }) {
+function buildPrompt({ grade, type, unknown, theme, count, rules, retryNote }) {
   const themeLine = theme ? `Usa el tema "${theme}" de forma natural y culturalmente neutra.` : '';
+  const def = PROBLEM_TYPES[type];
+  const unknownLine = unknown
+    ? `La incógnita es "${def.defaultLabels[unknown]}": pon "?" en data.${unknown} (y un número en las demás claves); "operation" es la que la calcula (la inversa si no es el resultado) y "answer" su valor.`
+    : '';
   const n = Math.max(1, Math.min(10, Number(count || 1)));
   return `Eres un generador de problemas de matemáticas para Primaria (España). Genera ${n} problema(s) del curso ${grade}º del tipo ${type}.
 ${themeLine}
+${unknownLine}
+${gradeRulesPrompt(grade, rules)}
+${retryNote || ''}
 Devuelve SOLO un JSON válido como un array con ${n} elemento(s) (y nada más de texto). Formato EXACTO del objeto:
-- Para tipos simples (PPT, UVT, COMPARACION, CAMBIO):
+- Para tipos simples (${STEP_TYPES.join(', ')}):
 [
   {
     "id": "string-id-corto",
@@ -39,11 +55,13 @@ Devuelve SOLO un JSON válido como un array con ${n} elemento(s) (y nada más de
     "type": "${type}",
     "data": { CLAVES },
     "labels": { CLAVES },
-    "operation": "+"|"-"|"*"|"/",
+    "operation": ${OPERATIONS.map((op) => `"${op}"`).join('|')},
     "answer": "número o ?",
     "fullAnswer": "respuesta en frase",
     "hint": "pista breve",
     "logicCheck": "pregunta de autoverificación",
+    "logicAnswer": "Sí"|"No",
+    "logicOptions": [ { "text": "opción", "correct": true|false, "explanation": "por qué" } ],
     "createdAt": 1700000000000
   }
 ]
@@ -55,23 +73,30 @@ Devuelve SOLO un JSON válido como un array con ${n} elemento(s) (y nada más de
     "question": "...",
     "type": "DOS_OPERACIONES",
     "steps": [
-      { "type":"PPT|UVT|COMPARACION|CAMBIO", "data":{...}, "labels":{...}, "operation":"+|-|*|/", "answer":"...", "hint":"..." },
-      { "type":"PPT|UVT|COMPARACION|CAMBIO", "data":{..."p1|u|cm|ci":"RESULTADO_ANTERIOR"...}, "labels":{...}, "operation":"+|-|*|/", "answer":"...", "hint":"..." }
+      { "type":"${STEP_TYPES.join('|')}", "data":{...}, "labels":{...}, "operation":"${OPERATIONS.join('|')}", "answer":"...", "hint":"..." },
+      { "type":"${STEP_TYPES.join('|')}", "data":{..."${STEP_TYPES.map((t) => PROBLEM_TYPES[t].keys[0]).join('|')}":"RESULTADO_ANTERIOR"...}, "labels":{...}, "operation":"${OPERATIONS.join('|')}", "answer":"...", "hint":"..." }
     ],
     "fullAnswer": "respuesta final",
     "logicCheck": "pregunta",
+    "logicAnswer": "Sí"|"No",
+    "logicOptions": [ { "text": "opción", "correct": true|false, "explanation": "por qué" } ],
     "createdAt": 1700000000000
   }
 ]
+- Para MULTI_OPERACION: igual que DOS_OPERACIONES pero con "type": "MULTI_OPERACION" y 3 o 4 pasos en "steps".
+  Cada paso puede usar el resultado de CUALQUIER paso anterior: escribe "RESULTADO_PASO_1", "RESULTADO_PASO_2"… (o "RESULTADO_ANTERIOR" para el paso justo anterior) como valor en data.
+  El "answer" del último paso es la respuesta final del problema.
 Claves por tipo:
-- PPT: data {p1,p2,t}, labels {p1,p2,t}
-- UVT: data {u,v,t}, labels {u,v,t}
-- COMPARACION: data {cm,cmen,d}, labels {cm,cmen,d}
-- CAMBIO: data {ci,c,cf}, labels {ci,c,cf}
+${STEP_TYPES.map((t) => { const keys = PROBLEM_TYPES[t].keys.join(','); return `- ${t} (${PROBLEM_TYPES[t].name}): data {${keys}}, labels {${keys}}, operación habitual ${PROBLEM_TYPES[t].operations.join(' o ')}`; }).join('\n')}
+${STEP_TYPES.map((t) => PROBLEM_TYPES[t].promptNote).filter(Boolean).map((n) => `- ${n}`).join('\n')}
 Requisitos:
-- Valores numéricos coherentes con ${grade}º.
+- Valores numéricos coherentes con ${grade}º y con sus reglas.
 - Todos los valores numéricos de data y answer deben ser cadenas ("12"), excepto "?".
-- Puedes mencionar euros en question/fullAnswer, pero NO pongas símbolos en data/answer.
+- "answerEquivalence" es opcional: "equivalente" si se acepta la respuesta en otra forma (0.5 = 1/2 = 50%); si no, omítelo.
+- Si una cantidad es una medida o dinero, escribe su unidad detrás del número en data y answer ("150 cm", "2.5 kg", "12 €"), usando solo estas unidades: ${Object.keys(UNITS).join(', ')}. No pongas otros símbolos ni texto en data/answer.
+${STEP_TYPES.filter((t) => PROBLEM_TYPES[t].relation?.directions).map((t) => `- En ${t} añade "direction": ${Object.entries(PROBLEM_TYPES[t].relation.directions).map(([op, label]) => `"${op}" (${label.split(' (')[0].toLowerCase()})`).join(' o ')}.`).join('\n')}
+- "logicCheck" debe hacer pensar al alumno si el resultado tiene sentido; "logicAnswer" es la respuesta correcta a esa pregunta ("Sí" o "No", no siempre "Sí").
+- "logicOptions" es opcional: 2 a 4 opciones breves, exactamente una con "correct": true, cada una con una "explanation" corta para el alumno. Si no las usas, omite el campo.
 - Devuelve ÚNICAMENTE el JSON (array con 1 objeto), sin comentarios ni texto adicional.`;
 }
 
@@ -132,11 +157,44 @@ function extractProblemsFromText(text) {
 
 function coerceStr(v) {
   if (v === undefined || v === null) return '';
-  if (v === '?' || v === 'RESULTADO_ANTERIOR') return v;
+  if (v === '?' || STEP_REF_RE.test(String(v))) return v;
+  // fractions, percentages and "1.250,5" (see shared/quantities.js); anything else keeps only its digits
+  const q = canonicalQuantity(v);
+  if (q != null) return q;
   return String(v).replace(',', '.').replace(/[^0-9.?-]/g, (m) => (m === '?' ? '?' : ''));
 }
 
-function normalizeProblem(p, { grade, type }) {
+// logicAnswer: 'Sí' | 'No' (default 'Sí', "false" is No as in app.js); logicOptions dropped unless usable
+// (only `correct: true` marks a right option)
+function normalizeLogic(out) {
+  out.logicAnswer = /^\s*(no|false)\s*$/i.test(String(out.logicAnswer ?? '')) || out.logicAnswer === false ? 'No' : 'Sí';
+  if (Array.isArray(out.logicOptions)) {
+    const opts = out.logicOptions
+      .filter((o) => o && String(o.text ?? '').trim())
+      .map((o) => ({ text: String(o.text).trim(), correct: o.correct === true, explanation: o.explanation ? String(o.explanation) : '' }));
+    if (opts.length >= 2 && opts.some((o) => o.correct)) { out.logicOptions = opts; return; }
+  }
+  delete out.logicOptions;
+}
+
+// data values coerced to strings in the type's key order; labels fall back to the registry defaults.
+// `unknown` (the requested '?' box) replaces the type's usual one and, when the '?' is there,
+// the operation is the one that solves it.
+function normalizeStepFields(st, unknown) {
+  const def = PROBLEM_TYPES[st.type];
+  if (!def) return;
+  const d = { ...(st.data || {}) };
+  const unknownKey = unknown || def.unknown;
+  st.data = {};
+  def.keys.forEach((k) => { st.data[k] = coerceStr(k === unknownKey || k === def.remainder ? (d[k] ?? '?') : d[k]); });
+  st.labels = st.labels || { ...def.defaultLabels };
+  if (!def.relation || !def.relation.operations.includes(st.direction)) delete st.direction;
+  st.operation = (unknown && solvingOperation(st)) || (OPERATIONS.includes(st.operation) ? st.operation : def.operations[0]);
+  st.answer = coerceStr(st.answer);
+  completeConversionStep(st);
+}
+
+function normalizeProblem(p, { grade, type, unknown }) {
   const now = Date.now();
   const out = { ...p };
   if (!out.id) out.id = genId();
@@ -144,45 +202,19 @@ function normalizeProblem(p, { grade, type }) {
   out.grade = Number(out.grade ?? grade);
   out.type = String(out.type || type).toUpperCase();
   // Normalize simple vs steps
-  if (out.type === 'DOS_OPERACIONES' && Array.isArray(out.steps)) {
-    out.steps = out.steps.slice(0, 2).map((s) => {
+  const composite = COMPOSITE_TYPES[out.type];
+  if (composite && Array.isArray(out.steps)) {
+    out.steps = out.steps.slice(0, composite.maxSteps).map((s) => {
       const st = { ...s };
-      st.type = String(st.type || 'PPT').toUpperCase();
-      st.operation = ['+','-','*','/'].includes(st.operation) ? st.operation : '+';
-      // coerce data values to strings
-      const d = { ...(st.data || {}) };
-      if (st.type === 'PPT') st.data = { p1: coerceStr(d.p1), p2: coerceStr(d.p2), t: coerceStr(d.t ?? '?') };
-      else if (st.type === 'UVT') st.data = { u: coerceStr(d.u), v: coerceStr(d.v), t: coerceStr(d.t ?? '?') };
-      else if (st.type === 'COMPARACION') st.data = { cm: coerceStr(d.cm), cmen: coerceStr(d.cmen), d: coerceStr(d.d ?? '?') };
-      else if (st.type === 'CAMBIO') st.data = { ci: coerceStr(d.ci), c: coerceStr(d.c), cf: coerceStr(d.cf ?? '?') };
-      // labels fallback
-      const defaults = {
-        PPT: { p1: 'Parte 1', p2: 'Parte 2', t: 'Total' },
-        UVT: { u: 'Unidad', v: 'Veces', t: 'Total' },
-        COMPARACION: { cm: 'Cantidad mayor', cmen: 'Cantidad menor', d: 'Diferencia' },
-        CAMBIO: { ci: 'Cantidad inicial', c: 'Cambio', cf: 'Cantidad final' }
-      };
-      st.labels = st.labels || defaults[st.type] || {};
-      st.answer = coerceStr(st.answer);
+      st.type = String(st.type || STEP_TYPES[0]).toUpperCase();
+      normalizeStepFields(st);
       return st;
     });
   } else {
-    // Simple
-    const d = { ...(out.data || {}) };
-    if (out.type === 'PPT') out.data = { p1: coerceStr(d.p1), p2: coerceStr(d.p2), t: coerceStr(d.t ?? '?') };
-    else if (out.type === 'UVT') out.data = { u: coerceStr(d.u), v: coerceStr(d.v), t: coerceStr(d.t ?? '?') };
-    else if (out.type === 'COMPARACION') out.data = { cm: coerceStr(d.cm), cmen: coerceStr(d.cmen), d: coerceStr(d.d ?? '?') };
-    else if (out.type === 'CAMBIO') out.data = { ci: coerceStr(d.ci), c: coerceStr(d.c), cf: coerceStr(d.cf ?? '?') };
-    const defaults = {
-      PPT: { p1: 'Parte 1', p2: 'Parte 2', t: 'Total' },
-      UVT: { u: 'Unidad', v: 'Veces', t: 'Total' },
-      COMPARACION: { cm: 'Cantidad mayor', cmen: 'Cantidad menor', d: 'Diferencia' },
-      CAMBIO: { ci: 'Cantidad inicial', c: 'Cambio', cf: 'Cantidad final' }
-    };
-    out.labels = out.labels || defaults[out.type] || {};
-    out.operation = ['+','-','*','/'].includes(out.operation) ? out.operation : '+';
-    out.answer = coerceStr(out.answer);
+    normalizeStepFields(out, out.type === type ? unknown : undefined);
   }
+  normalizeLogic(out);
+  if (!EQUIVALENCE_MODES[out.answerEquivalence]) delete out.answerEquivalence;
   return out;
 }
 
@@ -198,17 +230,43 @@ export default async function handler(req) {
     const body = await req.json();
     const grade = Math.max(1, Math.min(6, Number(body?.grade || 1)));
     const type = String(body?.type || 'PPT').toUpperCase();
+    const def = PROBLEM_TYPES[type];
+    // only boxes of a one-operation type with a relation (see shared/problem-types.js)
+    const unknown = def && def.relation && def.keys.includes(body?.unknown) && body.unknown !== def.remainder ? body.unknown : undefined;
     const theme = (body?.theme || '').toString();
   const count = Math.max(1, Math.min(10, Number(body?.count || 1)));
+  const rules = gradeRules(grade, body?.rules ? { [grade]: body.rules } : undefined);
+  const typeErr = gradeTypeError(type, rules);
+  if (typeErr) {
+    return new Response(JSON.stringify({ error: `Para ${grade}º: ${typeErr}` }), { status: 400, headers: { 'Content-Type': 'application/json', ...CORS_HEADERS } });
+  }
 
-  const prompt = buildPrompt({ grade, type, theme, count });
-  const result = await callGemini(prompt);
+  const accepted = [];
+  const rejected = [];
+  let retryNote = '';
+  for (let attempt = 0; attempt < MAX_ATTEMPTS && accepted.length < count; attempt++) {
+    const prompt = buildPrompt({ grade, type, unknown, theme, count: count - accepted.length, rules, retryNote });
+    const result = await callGemini(prompt);
     if (result.error) {
+      if (accepted.length) break;
       return new Response(JSON.stringify({ error: result.error }), { status: 500, headers: { 'Content-Type': 'application/json', ...CORS_HEADERS } });
     }
-  const arr = (result.problems || []).slice(0, count).map(p => normalizeProblem(p, { grade, type }));
-  const first = arr[0] || null;
-  return new Response(JSON.stringify({ problem: first, problems: arr }), { status: 200, headers: { 'Content-Type': 'application/json', ...CORS_HEADERS } });
+    const arr = (result.problems || []).slice(0, count - accepted.length).map(p => normalizeProblem(p, { grade, type, unknown }));
+    if (!arr.length) break;
+    const broken = [];
+    arr.forEach((p) => {
+      const violations = gradeRuleViolations(p, rules);
+      if (violations.length) broken.push({ question: p.question, violations });
+      else accepted.push(p);
+    });
+    rejected.push(...broken);
+    retryNote = broken.length ? `Los problemas anteriores no cumplían las reglas: ${[...new Set(broken.flatMap((b) => b.violations))].join(' ')} Corrígelo.` : '';
+  }
+  if (!accepted.length && rejected.length) {
+    return new Response(JSON.stringify({ error: `Los problemas generados no cumplen las reglas de ${grade}º: ${rejected[0].violations.join(' ')}`, rejected }), { status: 422, headers: { 'Content-Type': 'application/json', ...CORS_HEADERS } });
+  }
+  const first = accepted[0] || null;
+  return new Response(JSON.stringify({ problem: first, problems: accepted, rejected }), { status: 200, headers: { 'Content-Type': 'application/json', ...CORS_HEADERS } });
   } catch (e) {
     return new Response(JSON.stringify({ error: 'Bad request' }), { status: 400, headers: { 'Content-Type': 'application/json', ...CORS_HEADERS } });
   }
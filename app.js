@@ -31,12 +31,28 @@ const AV_PREF_KEY = `${LS_KEY}_avatar_prefs`;
 const API_PREF_KEY = `${LS_KEY}_api_base`;
 const GH_SHA_KEY = `${LS_KEY}_github_sha`;
 
+// The shared modules are ES modules (<script type="module">), which browsers do not load from
+// file://: without them nothing below can run, so say how to open the app instead of failing silently.
+if (!window.ProblemTypes || !window.Quantities || !window.GradeRules) {
+  const message = 'No se han podido cargar los módulos de shared/. Abre la aplicación desde un servidor web local (por ejemplo, `npx serve .` en la carpeta del proyecto), no con doble clic sobre index.html.';
+  document.body.insertAdjacentHTML('afterbegin', `<div role="alert" class="fixed top-0 inset-x-0 z-50 p-4 bg-red-600 text-white font-bold text-center">${message}</div>`);
+  throw new Error(message);
+}
+
+// Problem schemas (keys, labels, diagram, operations…) live in shared/problem-types.js
+const { OPERATIONS, PROBLEM_TYPES, COMPOSITE_TYPES, STEP_TYPES, ALL_TYPES, getProblemType, typeName, typeKeys, slotValues, keyedValues, validateStepShape, conversionError, completeConversionStep, unknownKey, solvingOperation, stepDirection, barModelOf, operationWarning } = window.ProblemTypes;
+const { EQUIVALENCE_MODES, UNITS, sameMagnitude, convertValue, parseDecimal, parseQuantity, quantityValue, ambiguousDecimal, quantityUnit, canonicalQuantity, formatQuantity, sameQuantity } = window.Quantities;
+const { GRADES, DEFAULT_GRADE_RULES, normalizeGradeRules, gradeRules, valueAllowed, gradeRuleViolations, gradeTypeError } = window.GradeRules;
+
 
 const state = {
   problems: [],
   currentProblems: [],
   currentProblem: null,
-  currentStep: 0
+  currentStep: 0,
+  profileId: null, // active student profile (null = guest, progress not stored)
+  session: null, // running practice session (see "Sesión de práctica"), null outside sessions
+  classify: null // running classification practice (see "Clasificar problemas")
 };
 
 // Tracks whether the Add/Edit form is editing an existing problem (stores its id) or creating a new one
@@ -49,10 +65,12 @@ function loadProblems() {
   try {
     const raw = localStorage.getItem(LS_KEY);
     const arr = raw ? JSON.parse(raw) : null;
-    return Array.isArray(arr) && arr.length ? arr : defaultProblems.map(p => ({ id: rid(), createdAt: Date.now(), ...p }));
-  } catch(e) {
-    return defaultProblems.map(p => ({ id: rid(), createdAt: Date.now(), ...p }));
-  }
+    if (Array.isArray(arr) && arr.length) return arr;
+  } catch(e) { /* fall through to seed */ }
+  // Seed and persist the defaults so their ids (used by progress and telemetry) stay stable across reloads
+  const seeded = defaultProblems.map(p => ({ id: rid(), createdAt: Date.now(), ...p }));
+  saveProblems(seeded);
+  return seeded;
 }
 function saveProblems(arr) {
   try {
@@ -133,6 +151,11 @@ function undoLastAction() {
         try { fetchProblemsForEditor(String(item.grade || document.getElementById('grade-selector')?.value || '1')); } catch(_){}
         showToast('Deshecho borrado', 'success');
       }
+    } else if (last.type === 'fix' && last.payload && Array.isArray(last.payload.items)) {
+      last.payload.items.forEach(item => { const i = state.problems.findIndex(p => p.id === item.id); if (i !== -1) state.problems[i] = item; });
+      saveProblems(state.problems);
+      try { fetchProblemsForEditor(String(document.getElementById('grade-selector')?.value || '1')); } catch(_){}
+      showToast('Deshechas las correcciones', 'success');
     } else if (last.type === 'import' && last.payload && last.payload.backupKey) {
       restoreBackup(last.payload.backupKey);
       showToast('Deshecha importación (restaurado backup)', 'success');
@@ -146,12 +169,286 @@ function undoLastAction() {
 function norm(v) {
   if (v == null) return '';
   const s = String(v).trim();
-  if (s === '?' || s.toUpperCase() === 'RESULTADO_ANTERIOR') return s;
-  // keep only digits, optional minus and dot; normalize comma to dot
+  if (s === '?' || isStepReference(s.toUpperCase())) return s;
+  // fractions, percentages and "1.250,5" keep their meaning (shared/quantities.js)
+  const q = canonicalQuantity(s);
+  if (q != null) return q;
+  // otherwise keep the first number in the text ("12 €"); normalize comma to dot
   const t = s.replace(',', '.').match(/-?[0-9]*\.?[0-9]+/);
   return t ? t[0] : s;
 }
 
+// --- Multi-step problems ---
+// DOS_OPERACIONES has exactly two steps; MULTI_OPERACION has 2..MAX_PROBLEM_STEPS.
+// A step's data may use RESULTADO_ANTERIOR (previous step) or RESULTADO_PASO_n
+// (result of step n, 1-based) wherever an earlier result is needed.
+const MULTI_STEP_TYPES = Object.keys(COMPOSITE_TYPES);
+const MAX_PROBLEM_STEPS = Math.max(...Object.values(COMPOSITE_TYPES).map(t => t.maxSteps));
+
+function isMultiStepType(type) { return MULTI_STEP_TYPES.includes(type); }
+function isMultiStep(problem) { return !!problem && isMultiStepType(problem.type) && Array.isArray(problem.steps); }
+function isStepReference(v) { return v === 'RESULTADO_ANTERIOR' || /^RESULTADO_PASO_\d+$/.test(String(v)); }
+
+// index (0-based) of the step a reference points to, seen from step `stepIndex`
+function stepReferenceTarget(v, stepIndex) {
+  if (v === 'RESULTADO_ANTERIOR') return stepIndex - 1;
+  const m = /^RESULTADO_PASO_(\d+)$/.exec(String(v));
+  return m ? Number(m[1]) - 1 : -1;
+}
+
+// Copy of step `index` with references replaced by the earlier steps' answers
+function resolveStepData(problem, index) {
+  const step = JSON.parse(JSON.stringify(problem.steps[index] || {}));
+  for (const key in step.data || {}) {
+    if (!isStepReference(step.data[key])) continue;
+    const target = stepReferenceTarget(step.data[key], index);
+    if (target >= 0 && target < index) step.data[key] = problem.steps[target].answer;
+  }
+  return step;
+}
+
+// -> error message or null (a reference must point to an earlier step)
+function stepReferenceError(steps) {
+  for (let i = 0; i < steps.length; i++) {
+    for (const [key, v] of Object.entries((steps[i] && steps[i].data) || {})) {
+      if (!isStepReference(v)) continue;
+      const target = stepReferenceTarget(v, i);
+      if (target < 0 || target >= i) return `Paso ${i + 1} (${key}): ${v} debe referirse a un paso anterior.`;
+    }
+  }
+  return null;
+}
+
+function describeStepReference(v, stepIndex) {
+  return `resultado del paso ${stepReferenceTarget(v, stepIndex) + 1}`;
+}
+
+// --- Parametric templates ---
+// A problem with `template: { vars: { a: '5..20', b: '1..a-1' }, conditions: ['b < a'] }`
+// is a template: its texts, data and answers use {a}, {b}, {a+b}… and every
+// loadProblem draws a fresh instance. An answer of 'auto' (or empty) is derived
+// from the operation; {respuesta} and {paso1}, {paso2}… expose computed results.
+// Values are kept inside the grade's range and decimals (see effectiveGradeRules).
+const TEMPLATE_MAX_TRIES = 300;
+const TEMPLATE_TEXT_FIELDS = ['question', 'fullAnswer', 'hint', 'logicCheck'];
+
+function isTemplateProblem(problem) { return !!(problem && problem.template && problem.template.vars && Object.keys(problem.template.vars).length); }
+
+// Tiny arithmetic/comparison evaluator (no eval): numbers, variables, + - * / % ( ),
+// < <= > >= == != and && ||. Throws on syntax errors or unknown variables.
+function evalTemplateExpr(expr, vars) {
+  const src = String(expr).replace(/[{}]/g, '').replace(/(\d),(\d)/g, '$1.$2');
+  const tokens = src.match(/\d+(?:\.\d+)?|[a-zA-Z_][a-zA-Z0-9_]*|<=|>=|==|!=|&&|\|\||[-+*/%()<>=]|\S/g) || [];
+  let pos = 0;
+  const peek = () => tokens[pos];
+  const take = (t) => { if (tokens[pos] !== t) throw new Error(`Se esperaba "${t}" en "${expr}"`); pos++; };
+  const primary = () => {
+    const t = tokens[pos++];
+    if (t == null) throw new Error(`Expresión incompleta: "${expr}"`);
+    if (t === '(') { const v = or(); take(')'); return v; }
+    if (t === '-') return -primary();
+    if (/^\d/.test(t)) return Number(t);
+    if (/^[a-zA-Z_]/.test(t)) { if (!Object.prototype.hasOwnProperty.call(vars, t)) throw new Error(`Variable desconocida: ${t}`); return vars[t]; }
+    throw new Error(`Símbolo inesperado "${t}" en "${expr}"`);
+  };
+  const mul = () => { let v = primary(); while (['*', '/', '%'].includes(peek())) { const op = tokens[pos++]; const r = primary(); v = op === '*' ? v * r : op === '/' ? v / r : v % r; } return v; };
+  const add = () => { let v = mul(); while (['+', '-'].includes(peek())) { const op = tokens[pos++]; const r = mul(); v = op === '+' ? v + r : v - r; } return v; };
+  const cmp = () => {
+    let v = add();
+    while (['<', '<=', '>', '>=', '==', '!=', '='].includes(peek())) {
+      const op = tokens[pos++]; const r = add();
+      v = op === '<' ? v < r : op === '<=' ? v <= r : op === '>' ? v > r : op === '>=' ? v >= r : op === '!=' ? v !== r : v === r;
+    }
+    return v;
+  };
+  const and = () => { let v = cmp(); while (peek() === '&&') { pos++; const r = cmp(); v = v && r; } return v; };
+  const or = () => { let v = and(); while (peek() === '||') { pos++; const r = and(); v = v || r; } return v; };
+  const value = or();
+  if (pos < tokens.length) throw new Error(`Sobra "${tokens[pos]}" en "${expr}"`);
+  return value;
+}
+
+// 'a = 5..20' lines -> { a: '5..20' }; throws with the offending line
+function parseTemplateVars(text) {
+  const vars = {};
+  String(text || '').split(/\r?\n/).map(s => s.trim()).filter(Boolean).forEach(line => {
+    const m = /^\{?([a-zA-Z_][a-zA-Z0-9_]*)\}?\s*(?:=|:|en)\s*(.+\.\..+)$/.exec(line);
+    if (!m) throw new Error(`Variable mal escrita: "${line}" (usa a = 5..20)`);
+    vars[m[1]] = m[2].trim();
+  });
+  return vars;
+}
+
+function formatTemplateVars(vars) {
+  return Object.entries(vars || {}).map(([k, r]) => `${k} = ${typeof r === 'object' ? `${r.min}..${r.max}` : r}`).join('\n');
+}
+
+// -> { min, max, step } as expressions, from '5..20' or { min, max, step }
+function templateRange(def) {
+  if (def && typeof def === 'object') return { min: def.min, max: def.max, step: def.step || 1 };
+  const parts = String(def).split('..');
+  if (parts.length !== 2) throw new Error(`Rango inválido: "${def}"`);
+  return { min: parts[0], max: parts[1], step: 1 };
+}
+
+function templateNumber(n) { return String(Math.round(n * 100) / 100); }
+
+// Replace {expr} placeholders; unknown placeholders are left untouched
+function fillTemplateText(text, vars, decimalComma) {
+  if (typeof text !== 'string') return text;
+  return text.replace(/\{([^{}]+)\}/g, (m, expr) => {
+    try {
+      const v = evalTemplateExpr(expr, vars);
+      if (typeof v !== 'number' || !Number.isFinite(v)) return m;
+      const s = templateNumber(v);
+      return decimalComma ? s.replace('.', ',') : s;
+    } catch (e) { return m; }
+  });
+}
+
+function isAutoAnswer(v) { return v == null || ['', '?', 'auto'].includes(String(v).trim().toLowerCase()); }
+
+// Result of applying `operation` to the two known data values; - and / take the larger first.
+// Types with a remainder key divide with whole numbers (the quotient is the answer) and
+// add the remainder back when multiplying (total = grupos x en cada grupo + resto).
+function deriveStepAnswer(data, operation, type) {
+  const def = getProblemType(type);
+  const remKey = def && def.remainder;
+  const known = Object.entries(data || {}).filter(([k, v]) => k !== remKey && v !== '?').map(([, v]) => quantityValue(norm(v))).filter(Number.isFinite);
+  if (known.length !== 2) return NaN;
+  const [x, y] = operation === '-' || operation === '/' ? [Math.max(...known), Math.min(...known)] : known;
+  if (operation === '/' && remKey) return Math.floor(x / y);
+  if (operation === '*' && remKey) return x * y + (quantityValue(norm(data[remKey])) || 0);
+  return operation === '+' ? x + y : operation === '-' ? x - y : operation === '*' ? x * y : operation === '/' ? x / y : NaN;
+}
+
+// Operation and answer of a step (references already resolved) from where its '?' is:
+// { key, operation, answer } with answer '' when the data don't give it; null when the
+// operation can't be told. The answer keeps the data's unit when it is clear which one
+// (5 m + 3 m -> "8 m", 12 € : 4 -> "3 €", 12 € : 3 € -> "4").
+function derivedStepSolution(step) {
+  const operation = solvingOperation(step);
+  if (!operation) return null;
+  const def = getProblemType(step.type);
+  const known = def.keys.filter(k => k !== def.remainder && step.data[k] !== '?').map(k => quantityUnit(norm(step.data[k])));
+  const units = [...new Set(known.filter(Boolean))];
+  const n = deriveStepAnswer(step.data, operation, step.type);
+  // mixed units would need a conversion step first
+  if (units.length > 1 || !Number.isFinite(n)) return { key: unknownKey(step), operation, answer: '' };
+  const withUnit = known.filter(Boolean).length;
+  const keepsUnit = units.length && (operation === '+' || operation === '-' ? withUnit === known.length : withUnit === 1);
+  return { key: unknownKey(step), operation, answer: templateNumber(n) + (keepsUnit ? ` ${units[0]}` : '') };
+}
+
+function drawTemplateValues(template, grade, rng) {
+  const max = effectiveGradeRules(grade).maxValue;
+  const vars = {};
+  for (const [name, def] of Object.entries(template.vars)) {
+    const r = templateRange(def);
+    const lo = Math.max(0, Number(evalTemplateExpr(r.min, vars)));
+    const hi = Math.min(max, Number(evalTemplateExpr(r.max, vars)));
+    const step = Number(evalTemplateExpr(r.step, vars)) || 1;
+    if (!Number.isFinite(lo) || !Number.isFinite(hi) || hi < lo) return null;
+    vars[name] = lo + step * Math.floor(rng() * (Math.floor((hi - lo) / step) + 1));
+  }
+  return vars;
+}
+
+// Applies vars to the data, labels and hint of one step (or of a single-step problem)
+function fillTemplateStep(step, vars) {
+  Object.keys(step.data || {}).forEach(k => {
+    const v = step.data[k];
+    if (v === '?' || isStepReference(v)) return;
+    step.data[k] = fillTemplateText(String(v), vars, false);
+  });
+  Object.keys(step.labels || {}).forEach(k => { step.labels[k] = fillTemplateText(step.labels[k], vars, true); });
+  if (step.hint) step.hint = fillTemplateText(step.hint, vars, true);
+}
+
+// Sets step.answer ('auto' -> derived from `data`, the step's data with references resolved)
+function templateStepAnswer(step, vars, data) {
+  const answer = isAutoAnswer(step.answer)
+    ? deriveStepAnswer(data, step.operation, step.type)
+    : quantityValue(norm(fillTemplateText(String(step.answer), vars, false)));
+  if (Number.isFinite(answer)) step.answer = templateNumber(answer);
+  return answer;
+}
+
+function templateValueOk(n, grade) {
+  return valueAllowed(n, effectiveGradeRules(grade));
+}
+
+// -> concrete copy of a template problem (same id, no `template`); throws if no
+// draw satisfies the ranges, conditions and grade limits after TEMPLATE_MAX_TRIES
+function instantiateTemplate(problem, rng = Math.random) {
+  const grade = Number(problem.grade) || 1;
+  const conditions = (problem.template.conditions || []).filter(c => String(c).trim());
+  let lastError = null;
+  for (let attempt = 0; attempt < TEMPLATE_MAX_TRIES; attempt++) {
+    try {
+      const vars = drawTemplateValues(problem.template, grade, rng);
+      if (!vars || !conditions.every(c => evalTemplateExpr(c, vars))) continue;
+      const inst = JSON.parse(JSON.stringify(problem));
+      delete inst.template;
+      const results = [];
+      if (isMultiStep(inst)) {
+        let ok = true;
+        inst.steps.forEach((st, i) => {
+          fillTemplateStep(st, vars);
+          results.push(templateStepAnswer(st, vars, resolveStepData(inst, i).data));
+          vars['paso' + (i + 1)] = results[i];
+          if (!templateValueOk(results[i], grade)) ok = false;
+        });
+        if (!ok) continue;
+        vars.respuesta = results[results.length - 1];
+      } else {
+        fillTemplateStep(inst, vars);
+        const answer = templateStepAnswer(inst, vars, inst.data);
+        if (!templateValueOk(answer, grade)) continue;
+        vars.respuesta = answer;
+      }
+      const steps = isMultiStep(inst) ? inst.steps : [inst];
+      if (!steps.every(st => Object.values(st.data || {}).every(v => v === '?' || isStepReference(v) || templateValueOk(quantityValue(norm(v)), grade)))) continue;
+      TEMPLATE_TEXT_FIELDS.forEach(f => { if (typeof inst[f] === 'string') inst[f] = fillTemplateText(inst[f], vars, true); });
+      if (Array.isArray(inst.logicOptions)) inst.logicOptions.forEach(o => { o.text = fillTemplateText(o.text, vars, true); o.explanation = fillTemplateText(o.explanation, vars, true); });
+      inst.templateValues = vars;
+      return inst;
+    } catch (e) { lastError = e; if (attempt > 5) break; }
+  }
+  throw new Error(lastError ? `Plantilla con errores: ${lastError.message}` : 'Ninguna combinación de valores cumple los rangos, las condiciones y los límites del curso.');
+}
+
+// -> error message or null (checks syntax by drawing one instance)
+function templateError(problem) {
+  if (!problem.template) return null;
+  if (typeof problem.template !== 'object' || !problem.template.vars || typeof problem.template.vars !== 'object' || !Object.keys(problem.template.vars).length) return 'template.vars debe definir al menos una variable.';
+  if (problem.template.conditions != null && !Array.isArray(problem.template.conditions)) return 'template.conditions debe ser un array.';
+  try { instantiateTemplate(problem); } catch (e) { return e.message; }
+  return null;
+}
+
+// Text shown in lists for a problem (template placeholders as "…")
+function problemListText(problem) {
+  const q = (problem && problem.question) || '';
+  return isTemplateProblem(problem) ? '🎲 ' + q.replace(/\{[^{}]+\}/g, '…') : q;
+}
+
+// cpa.pictorial from the form's theme select and "marca «?»" checkbox (number line only)
+function pictorialFromForm(theme, place) {
+  if (!theme) return undefined;
+  return theme === 'numberline' && place ? { theme, placeResult: true } : { theme };
+}
+
+// cpa.concrete options from the counts editor: { manipulative?, group? } (empty when left on auto)
+function concreteOptionsFromForm(fd, prefix) {
+  const out = {};
+  const manipulative = fd.get(slotFieldName(prefix, 'cpaManipulative'));
+  if (MANIPULATIVES[manipulative]) out.manipulative = manipulative;
+  const group = Number(fd.get(slotFieldName(prefix, 'cpaGroup')));
+  if (Number.isInteger(group) && group >= 2 && group <= 10) out.group = group;
+  return out;
+}
+
 // Fallback CPA synthesizer if no cpa is provided on a step
 function synthesizeCPA(step) {
   const type = (step && step.type) || 'PPT';
@@ -159,17 +456,12 @@ function synthesizeCPA(step) {
   const icon = '🔷';
   const items = {};
   Object.entries(data).forEach(([k, v]) => {
-    if (v && v !== '?' && v !== 'RESULTADO_ANTERIOR') {
-      const n = Number(String(v).replace(',', '.'));
+    if (v && v !== '?' && !isStepReference(v)) {
+      const n = quantityValue(norm(v));
       if (Number.isFinite(n) && n >= 0) items[k] = { count: Math.round(Math.min(n, 100)), icon };
     }
   });
-  const abstractTpl = {
-    PPT: '{p1} + {p2} = {t}',
-    UVT: '{u} x {v} = {t}',
-    COMPARACION: '{cm} - {cmen} = {d}',
-    CAMBIO: '{ci} ± {c} = {cf}'
-  }[type] || '';
+  const abstractTpl = (getProblemType(type) || {}).abstract || '';
   return {
     concrete: { items, layout: 'row' },
     pictorial: { theme: 'bars' },
@@ -180,6 +472,9 @@ function synthesizeCPA(step) {
 function renderConcrete(cpa, step, mount) {
   if (!mount) return;
   mount.innerHTML = '';
+  if (usesDealing(step) && renderDealingConcrete(cpa, step, mount)) return;
+  const manipulative = concreteManipulative(cpa, step);
+  if (manipulative !== 'icons' && renderManipulatives(cpa, step, mount, manipulative)) return;
   const wrap = document.createElement('div');
   wrap.style.display = 'flex'; wrap.style.flexWrap = 'wrap'; wrap.style.gap = '.25rem';
   const items = cpa?.concrete?.items || {};
@@ -198,32 +493,588 @@ function renderConcrete(cpa, step, mount) {
   mount.appendChild(wrap);
 }
 
-function renderPictorial(cpa, step, mount) {
+// ---- Manipulativos: counters and base-ten blocks the child moves (`cpa.concrete.manipulative`)
+// The scene follows the type's `numberLine` kind: parts are joined into (or split from) the whole,
+// a change adds counters or takes them away, a comparison pairs the two rows one to one and a
+// repeat gathers equal groups. Every action is narrated with announce().
+const MANIPULATIVES = { counters: 'Fichas', blocks: 'Bloques base 10', icons: 'Iconos (sin mover)' };
+const MANIPULATIVE_MAX = 100;     // loose counters on screen; bigger numbers use blocks
+const MANIPULATIVE_BLOCKS_MAX = 999;
+
+// 'counters' | 'blocks' | 'icons'; by default counters in 1º–2º and the static icons later
+function concreteManipulative(cpa, step) {
+  const m = cpa && cpa.concrete && cpa.concrete.manipulative;
+  if (MANIPULATIVES[m]) return m;
+  const grade = Number((step && step.grade) || (state.currentProblem && state.currentProblem.grade));
+  return grade && grade <= 2 ? 'counters' : 'icons';
+}
+
+// Trays of the scene -> { trays: [{ label, value, count, out? }], pair? } or null when the step has none
+function manipulativeScene(cpa, step) {
+  const def = getProblemType(step && step.type);
+  const model = def && barModelOf(step);
+  if (!model) return null;
+  const data = step.data || {};
+  const items = (cpa && cpa.concrete && cpa.concrete.items) || {};
+  const count = (k) => {
+    if (items[k] && Number.isInteger(items[k].count)) return items[k].count;
+    const n = data[k] === '?' || isStepReference(data[k]) ? NaN : quantityValue(norm(data[k]));
+    return Number.isInteger(n) && n >= 0 ? n : null;
+  };
+  const tray = (k, filled, label) => ({ label: label || (step.labels && step.labels[k]) || def.defaultLabels[k], value: data[k] === '?' ? '?' : formatQuantity(data[k]), count: filled ? count(k) : 0 });
+  const known = (...keys) => keys.every(k => count(k) != null);
+  switch (def.numberLine) {
+    case 'parts':
+      // a known whole is split into the parts; otherwise the parts are joined into the whole
+      if (known(model.whole)) return { trays: [tray(model.whole, true), ...model.parts.map(k => tray(k, false))] };
+      return known(...model.parts) ? { trays: [...model.parts.map(k => tray(k, true)), tray(model.whole, false)] } : null;
+    case 'change': {
+      const [start, change] = def.relation.operands;
+      if (stepDirection(step) === '-') return known(start) ? { trays: [tray(start, true), { ...tray(change, false, 'Se van'), out: true }] } : null;
+      return known(start, change) ? { trays: [tray(start, true), tray(change, true)] } : null;
+    }
+    case 'distance':
+      return known(model.whole, model.parts[0]) ? { pair: true, trays: [tray(model.whole, true), tray(model.parts[0], true)] } : null;
+    case 'repeat': {
+      const times = count(model.times);
+      if (!known(model.unit) || !times || times > 10 || model.extra) return null;
+      return { trays: [...Array.from({ length: times }, (_, i) => ({ ...tray(model.unit, true), label: `Grupo ${i + 1}` })), tray(model.whole, false)] };
+    }
+    default: return null;
+  }
+}
+
+// -> false when the step has no scene or its numbers are too big to handle
+function renderManipulatives(cpa, step, mount, kind) {
+  const scene = manipulativeScene(cpa, step);
+  if (!scene) return false;
+  const biggest = Math.max(...scene.trays.map(t => t.count));
+  // pairing is done one counter at a time, so it never uses blocks
+  if (biggest > (scene.pair ? MANIPULATIVE_MAX : MANIPULATIVE_BLOCKS_MAX)) return false;
+  const blocks = !scene.pair && (kind === 'blocks' || biggest > MANIPULATIVE_MAX);
+  // blocks are always base ten; counters are grouped `group` at a time (10 unless configured)
+  const group = blocks ? 10 : Math.max(2, Math.min(10, Number(cpa && cpa.concrete && cpa.concrete.group) || 10));
+  const icon = Object.values((cpa && cpa.concrete && cpa.concrete.items) || {}).map(i => i && i.icon).find(Boolean) || (blocks ? '🟧' : '🔴');
+  const trays = scene.trays.map(t => {
+    const n = t.count || 0;
+    return blocks ? { ...t, flats: Math.floor(n / 100), rods: Math.floor(n % 100 / 10), units: n % 10 } : { ...t, flats: 0, rods: 0, units: n };
+  });
+  const total = (t) => t.units + t.rods * group + t.flats * 100;
+  const what = (k) => k === 'unit' ? (blocks ? 'un cubo' : 'una ficha') : k === 'rod' ? `una barra de ${group}` : 'una placa de 100';
+  const esc = (v) => String(v).replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
+  let selected = null; // { tray, kind }, or { row, index } of a counter waiting for its pair
+  let pairs = []; // [[index in the first row, index in the second]] in the order the child made them
+
+  const pieces = (t, i) => {
+    const out = [];
+    const piece = (kind, n, html) => { for (let j = 0; j < n; j++) out.push(`<button type="button" class="mp-piece mp-${kind}${selected && selected.tray === i && selected.kind === kind && j === 0 ? ' selected' : ''}" draggable="true" data-tray="${i}" data-kind="${kind}" aria-label="${what(kind)} de «${esc(t.label)}»">${html}</button>`); };
+    piece('flat', t.flats, '100');
+    piece('rod', t.rods, icon.repeat(group));
+    piece('unit', t.units, icon);
+    return out.join('');
+  };
+  const trayHtml = (t, i) => `
+    <div class="mp-tray${t.out ? ' mp-out' : ''}" data-tray="${i}" tabindex="0" role="group" aria-label="${esc(t.label)}: ${total(t)}">
+      <div class="text-sm font-bold mb-1">${esc(t.label)}${t.out ? '' : `: ${esc(t.value)}`}</div>
+      <div class="mp-pieces">${pieces(t, i)}</div>
+      ${t.out ? '' : `<div class="mp-actions">${t.units >= group ? `<button type="button" class="mp-action" data-group="${i}">Agrupar ${group}</button>` : ''}${blocks && t.rods >= 10 ? `<button type="button" class="mp-action" data-group-rods="${i}">Hacer una placa</button>` : ''}${t.rods ? `<button type="button" class="mp-action" data-ungroup="${i}">Deshacer una barra</button>` : ''}${t.flats ? `<button type="button" class="mp-action" data-ungroup-flat="${i}">Deshacer una placa</button>` : ''}</div>`}
+    </div>`;
+  const pairNo = (row, index) => pairs.findIndex(p => p[row] === index) + 1;
+  const pairHtml = () => {
+    const item = (t, i, j) => {
+      const n = pairNo(i, j), picked = !!selected && selected.row === i && selected.index === j;
+      return `<button type="button" class="mp-piece mp-pair-item${n ? ' paired' : ''}${picked ? ' selected' : ''}" draggable="${!n}" data-pair-row="${i}" data-pair-index="${j}"${n ? ` data-pair-no="${n}"` : ''} aria-pressed="${picked}" aria-label="Ficha ${j + 1} de «${esc(t.label)}»${n ? `, en la pareja ${n}` : ''}">${icon}</button>`;
+    };
+    const row = (t, i) => `<div class="mp-pair-row" role="group" aria-label="${esc(t.label)}: ${t.units}"><span class="text-sm font-bold mp-pair-label">${esc(t.label)}: ${esc(t.value)}</span>${Array.from({ length: t.units }, (_, j) => item(t, i, j)).join('')}</div>`;
+    return `<div class="mp-pairs">${trays.map(row).join('')}</div>
+      ${pairs.length ? '<div class="mp-actions mt-2"><button type="button" class="mp-action" data-unpair>Deshacer</button></div>' : ''}`;
+  };
+  // the mount is shared with the other CPA tabs: listeners go on a scene of our own
+  const root = document.createElement('div');
+  root.className = 'mp-scene';
+  mount.innerHTML = '';
+  mount.appendChild(root);
+  const render = () => {
+    const focus = document.activeElement && root.contains(document.activeElement) ? [...root.querySelectorAll('button, [tabindex]')].indexOf(document.activeElement) : -1;
+    root.innerHTML = `<div>${scene.pair ? pairHtml() : `<div class="flex flex-wrap gap-3">${trays.map(trayHtml).join('')}</div>`}
+      <p class="text-xs text-gray-500 mt-2">${scene.pair ? 'Toca una ficha de cada fila para emparejarlas (o arrastra una sobre otra de la otra fila).' : 'Toca una ficha y después la caja a la que la llevas (o arrástrala).'}</p></div>`;
+    if (focus >= 0) { const el = root.querySelectorAll('button, [tabindex]')[focus]; if (el) el.focus(); }
+  };
+
+  const move = (from, kind, to) => {
+    const a = trays[from], b = trays[to];
+    const key = { unit: 'units', rod: 'rods', flat: 'flats' }[kind];
+    selected = null;
+    if (!a || !b || from === to || !a[key]) { render(); return; }
+    a[key]--;
+    b[key]++;
+    render();
+    announce(b.out ? `Quitas ${what(kind)}: en «${a.label}» quedan ${total(a)}.` : `Pasas ${what(kind)} a «${b.label}»: ahora hay ${total(b)}${total(a) ? `; en «${a.label}» quedan ${total(a)}` : ''}.`);
+  };
+
+  // the child picks a counter of one row and then its partner in the other; a paired counter is let go
+  const pairUp = (row, index) => {
+    const [a, b] = trays;
+    const left = () => `${pairs.length} parejas; sin pareja, ${a.units - pairs.length} en «${a.label}» y ${b.units - pairs.length} en «${b.label}»`;
+    if (pairNo(row, index)) {
+      pairs = pairs.filter(p => p[row] !== index);
+      selected = null;
+      render();
+      announce(`Deshaces una pareja: ${left()}.`);
+      return;
+    }
+    if (!selected || selected.row === row) {
+      if (pairs.length >= trays[1 - row].units) { announce(`Ya no se puede emparejar más: ${left()}.`); return; }
+      selected = selected && selected.index === index ? null : { row, index };
+      render();
+      if (selected) announce(`Has elegido una ficha de «${trays[row].label}». Toca una de «${trays[1 - row].label}» para emparejarla.`);
+      return;
+    }
+    const pair = [];
+    pair[selected.row] = selected.index;
+    pair[row] = index;
+    pairs.push(pair);
+    selected = null;
+    render();
+    announce(`Emparejas una de «${a.label}» con una de «${b.label}»: ${left()}.`);
+  };
+
+  root.addEventListener('click', (e) => {
+    const t = e.target;
+    if (scene.pair) {
+      const item = t.closest('.mp-pair-item');
+      if (item) pairUp(Number(item.dataset.pairRow), Number(item.dataset.pairIndex));
+      else if (t.closest('[data-unpair]')) { pairs.pop(); selected = null; render(); announce(`Deshaces una pareja: ${pairs.length} parejas.`); }
+      return;
+    }
+    const act = t.closest('.mp-action');
+    if (act) {
+      const d = act.dataset;
+      if (d.group != null) { const tr = trays[d.group]; tr.units -= group; tr.rods++; announce(`Agrupas ${group} en una barra: en «${tr.label}» hay ${tr.rods} barra(s) de ${group} y ${tr.units} suelta(s).`); }
+      if (d.groupRods != null) { const tr = trays[d.groupRods]; tr.rods -= 10; tr.flats++; announce(`Juntas 10 barras en una placa de 100: en «${tr.label}» hay ${tr.flats} placa(s).`); }
+      if (d.ungroup != null) { const tr = trays[d.ungroup]; tr.rods--; tr.units += group; announce(`Deshaces una barra en ${group} sueltas: en «${tr.label}» hay ${tr.units} suelta(s).`); }
+      if (d.ungroupFlat != null) { const tr = trays[d.ungroupFlat]; tr.flats--; tr.rods += 10; announce(`Deshaces una placa en 10 barras: en «${tr.label}» hay ${tr.rods} barra(s).`); }
+      selected = null;
+      render();
+      return;
+    }
+    const piece = t.closest('.mp-piece');
+    const tray = t.closest('.mp-tray');
+    if (piece && !(selected && Number(piece.dataset.tray) !== selected.tray)) {
+      const pick = { tray: Number(piece.dataset.tray), kind: piece.dataset.kind };
+      selected = selected && selected.tray === pick.tray && selected.kind === pick.kind ? null : pick;
+      render();
+      if (selected) announce(`Has elegido ${what(selected.kind)} de «${trays[selected.tray].label}». Toca la caja a la que la llevas.`);
+      return;
+    }
+    if (tray && selected) move(selected.tray, selected.kind, Number(tray.dataset.tray));
+  });
+  root.addEventListener('keydown', (e) => {
+    if ((e.key === 'Enter' || e.key === ' ') && e.target.classList.contains('mp-tray')) { e.preventDefault(); e.target.click(); }
+  });
+  root.addEventListener('dragstart', (e) => {
+    const p = e.target.closest && e.target.closest('.mp-piece');
+    if (p) e.dataTransfer.setData('text/plain', scene.pair ? `pair:${p.dataset.pairRow}:${p.dataset.pairIndex}` : `${p.dataset.tray}:${p.dataset.kind}`);
+  });
+  root.addEventListener('dragover', (e) => { if (e.target.closest && e.target.closest(scene.pair ? '.mp-pair-item' : '.mp-tray')) e.preventDefault(); });
+  root.addEventListener('drop', (e) => {
+    if (scene.pair) {
+      // dropping a counter on one of the other row pairs the two
+      const item = e.target.closest && e.target.closest('.mp-pair-item');
+      const [tag, row, index] = String(e.dataTransfer.getData('text')).split(':');
+      const to = item && [Number(item.dataset.pairRow), Number(item.dataset.pairIndex)];
+      if (!to || tag !== 'pair' || Number(row) === to[0] || pairNo(Number(row), Number(index)) || pairNo(...to)) return;
+      e.preventDefault();
+      selected = { row: Number(row), index: Number(index) };
+      pairUp(...to);
+      return;
+    }
+    const tray = e.target.closest && e.target.closest('.mp-tray');
+    const [from, kind] = String(e.dataTransfer.getData('text')).split(':');
+    if (!tray || !['unit', 'rod', 'flat'].includes(kind)) return;
+    e.preventDefault();
+    move(Number(from), kind, Number(tray.dataset.tray));
+  });
+  render();
+  return true;
+}
+
+// `reveal` draws where the unknown falls, once step 3 is right
+function renderPictorial(cpa, step, mount, { reveal = false } = {}) {
   if (!mount) return; mount.innerHTML = '';
   const theme = cpa?.pictorial?.theme || 'bars';
+  if (theme === 'bars' && usesDealing(step) && renderDealingPictorial(step, mount)) return;
+  if ((theme === 'fractions' || (theme === 'bars' && usesFractionBars(step))) && renderFractionBars(step, mount)) return;
+  if (theme === 'numberline' && renderNumberLine(cpa, step, mount, reveal)) return;
   const { data, type } = step || {};
-  const toN = v => (v === '?' || v === 'RESULTADO_ANTERIOR') ? null : Number(String(v).replace(',', '.'));
-  if (theme === 'numberline') {
-    const max = Math.max(...Object.values(data||{}).map(toN).filter(n => Number.isFinite(n)), 10);
-    const line = document.createElement('div'); line.style.position = 'relative'; line.style.height = '4px'; line.style.background = '#cbd5e1'; line.style.margin = '12px 0'; line.style.borderRadius = '2px'; line.style.width = '100%'; mount.appendChild(line);
-    const tickWrap = document.createElement('div'); tickWrap.style.display = 'flex'; tickWrap.style.justifyContent = 'space-between'; tickWrap.style.marginTop = '6px';
-    for (let i=0;i<=max;i++) { const t = document.createElement('span'); t.className = 'text-xs'; t.textContent = i; tickWrap.appendChild(t); }
-    mount.appendChild(tickWrap);
-    return;
-  }
-  const map = {
-    'PPT': ['p1','p2','t'], 'UVT': ['u','v','t'], 'COMPARACION': ['cm','cmen','d'], 'CAMBIO': ['ci','c','cf']
-  }[type] || Object.keys(data||{});
+  // measures are compared in their magnitude's base unit (1 m is longer than 20 cm)
+  const toN = v => {
+    if (v === '?' || isStepReference(v)) return null;
+    const q = parseQuantity(norm(v));
+    return q ? q.value * (q.unit ? UNITS[q.unit].factor : 1) : NaN;
+  };
+  const map = getProblemType(type) ? typeKeys(type) : Object.keys(data||{});
   const values = Object.values(data||{}).map(toN).filter(n => Number.isFinite(n));
   const maxVal = Math.max(...values, 1);
   map.forEach(k => {
     const n = toN((data||{})[k]);
-    const label = document.createElement('div'); label.className = 'text-sm font-bold'; label.textContent = (step.labels && step.labels[k] ? step.labels[k] : k.toUpperCase()) + (Number.isFinite(n) ? `: ${n}` : ': ?');
+    const label = document.createElement('div'); label.className = 'text-sm font-bold'; label.textContent = (step.labels && step.labels[k] ? step.labels[k] : k.toUpperCase()) + (Number.isFinite(n) ? `: ${formatQuantity(data[k])}` : ': ?');
     const bar = document.createElement('div'); bar.className = 'cpa-bar'; const fill = document.createElement('div'); fill.className = 'fill'; fill.style.width = Number.isFinite(n) ? `${(n/maxVal)*100}%` : '0%'; bar.appendChild(fill);
     const row = document.createElement('div'); row.style.marginBottom = '.4rem'; row.appendChild(label); row.appendChild(bar); mount.appendChild(row);
   });
 }
 
+// ---- Línea numérica (pictorial theme 'numberline', drawn from the type's `numberLine`)
+// Values are placed in the unit of the step's first measure. An unknown point would give the
+// answer away, so it stays hidden until step 3 is right; with `cpa.pictorial.placeResult` the
+// student finds it earlier by tapping the right spot.
+const NL_WIDTH = 640, NL_HEIGHT = 160, NL_MARGIN = 32, NL_AXIS = 110;
+const NL_MAX_JUMPS = 30;
+
+// 1, 2, 5, 10, 20… so that `span` takes about `ticks` ticks
+function niceTickStep(span, ticks = 10) {
+  const raw = span / ticks || 1;
+  const p = Math.pow(10, Math.floor(Math.log10(raw)));
+  return [1, 2, 5, 10].map(m => m * p).find(s => s >= raw - 1e-12);
+}
+
+// -> { unit, lo, hi, tick, points, jumps, gaps, target } or null when the type has no number line
+// or the values can't be placed.
+// points { v, text, unknown, key }, jumps { from, to, text, unknown }, gaps { from, to, text, unknown };
+// target is the unknown point the student may place ({ key, v }), null when the unknown is not a point.
+function numberLineLayout(step) {
+  const def = getProblemType(step && step.type);
+  const data = (step && step.data) || {};
+  const unit = [...Object.values(data), step && step.answer].map(v => quantityUnit(norm(v))).find(Boolean) || null;
+  const toV = (text) => {
+    const q = parseQuantity(norm(text));
+    if (!q) return NaN;
+    return q.unit && unit ? convertValue(q.value, q.unit, unit) : q.value;
+  };
+  const key = unknownKey(step);
+  let answer = step && step.answer;
+  if (key && isAutoAnswer(answer)) { const sol = derivedStepSolution(step); answer = sol ? sol.answer : ''; }
+  const model = barModelOf(step);
+  const v = (k) => {
+    if (k == null) return NaN;
+    if (data[k] !== '?') return isStepReference(data[k]) ? NaN : toV(data[k]);
+    if (k === key) return toV(answer);
+    // a remainder asked for in step 3: what the equal jumps leave before the whole
+    return model && k === model.extra ? v(model.whole) - v(model.unit) * v(model.times) : NaN;
+  };
+  const text = (k, sign = '') => data[k] === '?' || isStepReference(data[k]) ? '?' : sign + formatQuantity(data[k]);
+  const point = (k) => ({ key: k, v: v(k), text: text(k), unknown: data[k] === '?' });
+  const out = { unit, points: [], jumps: [], gaps: [], target: null };
+  const kind = def && model && def.numberLine;
+  if (kind === 'parts') {
+    const [a, b] = model.parts;
+    out.jumps = [{ from: 0, to: v(a), text: text(a), unknown: data[a] === '?' }, { from: v(a), to: v(a) + v(b), text: text(b), unknown: data[b] === '?' }];
+    out.points = [point(model.whole)];
+  } else if (kind === 'change') {
+    const { result, operands: [start, change] } = def.relation;
+    const back = (stepDirection(step) || (v(result) < v(start) ? '-' : '+')) === '-';
+    out.jumps = [{ from: v(start), to: v(result), text: text(change, back ? '−' : '+'), unknown: data[change] === '?' }];
+    out.points = [point(start), point(result)];
+  } else if (kind === 'distance') {
+    const [small, gap] = model.parts;
+    out.points = [point(small), point(model.whole)];
+    out.gaps = [{ from: v(small), to: v(model.whole), text: text(gap), unknown: data[gap] === '?' }];
+  } else if (kind === 'repeat') {
+    const size = v(model.unit), times = v(model.times);
+    if (!(size > 0) || !Number.isInteger(times) || times < 1) return null;
+    const label = text(model.unit);
+    const shown = times > NL_MAX_JUMPS ? [0, 1, 2, times - 1] : Array.from({ length: times }, (_, i) => i);
+    out.jumps = shown.map(i => ({ from: i * size, to: (i + 1) * size, text: label, unknown: data[model.unit] === '?' }));
+    out.skipped = times > NL_MAX_JUMPS ? { from: 3 * size, to: (times - 1) * size, text: `${text(model.times)} saltos` } : null;
+    const left = model.extra ? v(model.extra) : 0;
+    if (left > 0) out.jumps.push({ from: times * size, to: times * size + left, text: text(model.extra), unknown: data[model.extra] === '?', rest: true });
+    out.points = [point(model.whole)];
+  } else {
+    return null;
+  }
+  const positions = [0, ...out.points.map(p => p.v), ...out.jumps.flatMap(j => [j.from, j.to]), ...out.gaps.flatMap(g => [g.from, g.to])];
+  if (!out.points.length || positions.some(n => !Number.isFinite(n) || n < 0)) return null;
+  const target = out.points.find(p => p.unknown);
+  out.target = target ? { key: target.key, v: target.v } : null;
+  // far from zero (1.000 → 1.005) the line starts near the values instead of at 0
+  const min = Math.min(...positions.slice(1)), hi = Math.max(...positions);
+  const fromZero = kind === 'parts' || kind === 'repeat' || hi <= 20 || min <= (hi - min) * 2;
+  const span = (fromZero ? hi : hi - min) || 1;
+  out.tick = niceTickStep(span);
+  // whole numbers: one tick per unit on short lines, never between units on long ones
+  if (positions.every(Number.isInteger)) out.tick = span <= 20 ? 1 : Math.max(1, out.tick);
+  // fractions: ticks in the common denominator (quarters for 1/2 and 1/4) when there are few
+  const dens = Object.values(data).filter(v => { const q = parseQuantity(norm(v)); return q && q.kind === 'fraction' && !q.unit; }).map(v => Number(norm(v).split('/')[1]));
+  const den = dens.reduce((a, b) => a * b / gcd(a, b), 1);
+  if (dens.length && span * den <= 24) { out.tick = 1 / den; out.fractionTicks = den; }
+  out.lo = fromZero ? 0 : Math.max(0, Math.floor(min / out.tick) * out.tick - out.tick);
+  // one tick past the last value, so the answer is not simply the end of the line
+  out.hi = Math.max(Math.ceil(hi / out.tick - 1e-9) * out.tick + out.tick, out.fractionTicks ? 1 : 0);
+  return out;
+}
+
+function gcd(a, b) { return b ? gcd(b, a % b) : a; }
+
+// Tick text: "3/4" on a line in quarters, "1,5" otherwise
+function numberLineTick(nl, n) {
+  const den = nl.fractionTicks;
+  const k = den ? Math.round(n * den) : NaN;
+  if (!den || k % den === 0) return formatQuantity(templateNumber(n));
+  const g = gcd(k, den);
+  return k > den ? `${Math.floor(k / den)} ${(k % den) / g}/${den / g}` : `${k / g}/${den / g}`;
+}
+
+// SVG of a layout; `hideTarget` leaves out the unknown point and what lands on it, `marks` are the
+// student's tries ({ v, ok })
+function numberLineSvg(nl, { hideTarget = false, marks = [] } = {}) {
+  const id = 'nl-' + rid();
+  const x = (n) => NL_MARGIN + (n - nl.lo) / (nl.hi - nl.lo) * (NL_WIDTH - 2 * NL_MARGIN);
+  const num = (n) => numberLineTick(nl, n);
+  const esc = (s) => String(s).replace(/&/g, '&amp;').replace(/</g, '&lt;');
+  const color = (unknown) => unknown ? '#2563eb' : '#4b5563';
+  const hidden = (a, b) => hideTarget && nl.target && [a, b].some(n => Math.abs(n - nl.target.v) < 1e-9);
+  const parts = [`<defs><marker id="${id}-arrow" viewBox="0 0 10 10" refX="9" refY="5" markerWidth="7" markerHeight="7" orient="auto-start-reverse"><path d="M0,0 L10,5 L0,10 z" fill="#6366f1"/></marker></defs>`];
+  parts.push(`<line x1="${NL_MARGIN - 12}" y1="${NL_AXIS}" x2="${NL_WIDTH - NL_MARGIN + 16}" y2="${NL_AXIS}" stroke="#94a3b8" stroke-width="3"/>`);
+  const ticks = Math.round((nl.hi - nl.lo) / nl.tick);
+  for (let i = 0; i <= ticks; i++) {
+    const n = nl.lo + i * nl.tick;
+    parts.push(`<line x1="${x(n)}" y1="${NL_AXIS - 6}" x2="${x(n)}" y2="${NL_AXIS + 6}" stroke="#94a3b8" stroke-width="2"/><text x="${x(n)}" y="${NL_AXIS + 22}" text-anchor="middle" font-size="12" fill="#6b7280">${num(n)}</text>`);
+  }
+  if (nl.unit) parts.push(`<text x="${NL_WIDTH - NL_MARGIN + 16}" y="${NL_AXIS + 22}" text-anchor="end" font-size="12" fill="#6b7280">${esc(nl.unit)}</text>`);
+  const labelEvery = nl.jumps.length > 1 && x(nl.jumps[0].to) - x(nl.jumps[0].from) < 28 ? nl.jumps.length : 1;
+  nl.jumps.forEach((j, i) => {
+    if (hidden(j.from, j.to)) return;
+    const [x1, x2] = [x(j.from), x(j.to)], h = Math.min(70, Math.max(16, Math.abs(x2 - x1) * 0.6));
+    parts.push(`<path d="M${x1},${NL_AXIS - 4} Q${(x1 + x2) / 2},${NL_AXIS - 4 - 2 * h} ${x2},${NL_AXIS - 4}" fill="none" stroke="#6366f1" stroke-width="2"${j.rest ? ' stroke-dasharray="5 4"' : ''} marker-end="url(#${id}-arrow)"/>`);
+    if (i % labelEvery === 0 || j.rest) parts.push(`<text x="${(x1 + x2) / 2}" y="${NL_AXIS - 10 - h}" text-anchor="middle" font-size="14" font-weight="700" fill="${color(j.unknown)}">${esc(j.text)}</text>`);
+  });
+  if (nl.skipped) parts.push(`<text x="${(x(nl.skipped.from) + x(nl.skipped.to)) / 2}" y="${NL_AXIS - 12}" text-anchor="middle" font-size="14" font-weight="700" fill="#6366f1">… ${esc(nl.skipped.text)} …</text>`);
+  nl.gaps.forEach(g => {
+    if (hidden(g.from, g.to)) return;
+    const [x1, x2] = [x(g.from), x(g.to)], y = NL_AXIS - 34;
+    parts.push(`<path d="M${x1},${y + 8} V${y} H${x2} V${y + 8}" fill="none" stroke="#f59e0b" stroke-width="3"/><text x="${(x1 + x2) / 2}" y="${y - 6}" text-anchor="middle" font-size="14" font-weight="700" fill="${color(g.unknown)}">${esc(g.text)}</text>`);
+  });
+  nl.points.forEach(p => {
+    if (hideTarget && p.unknown) return;
+    parts.push(`<circle cx="${x(p.v)}" cy="${NL_AXIS}" r="6" fill="${color(p.unknown)}"/><text x="${x(p.v)}" y="${NL_AXIS + 42}" text-anchor="middle" font-size="15" font-weight="800" fill="${color(p.unknown)}">${esc(p.text)}</text>`);
+  });
+  marks.forEach(m => parts.push(`<circle cx="${x(m.v)}" cy="${NL_AXIS}" r="7" fill="none" stroke="${m.ok ? '#10B981' : '#EF4444'}" stroke-width="3"/>`));
+  return `<svg class="number-line" viewBox="0 0 ${NL_WIDTH} ${NL_HEIGHT}" width="100%" aria-hidden="true">${parts.join('')}</svg>`;
+}
+
+function renderNumberLine(cpa, step, mount, reveal) {
+  const nl = numberLineLayout(step);
+  if (!nl) return false;
+  const labels = step.labels || {};
+  const spoken = nl.points.map(p => `${labels[p.key] || p.key}: ${p.text}`).concat(nl.jumps.length ? [`saltos de ${[...new Set(nl.jumps.map(j => j.text))].join(', ')}`] : [], nl.gaps.map(g => `distancia ${g.text}`)).join('; ');
+  const hideTarget = !!nl.target && !reveal;
+  const placing = hideTarget && !!(cpa && cpa.pictorial && cpa.pictorial.placeResult);
+  const clues = hideTarget && !placing ? numberLineClues(nl) : [];
+  mount.innerHTML = `<div role="img" aria-label="Recta numérica. ${placing ? 'Falta marcar «?». ' : ''}${spoken}">${numberLineSvg(nl, { hideTarget })}</div>`
+    + (clues.length ? `<p class="mt-2 text-sm font-bold">Para llegar a «?»: ${clues.join('; ')}.</p>` : '');
+  if (placing) wireNumberLinePlacing(nl, step, mount);
+  return true;
+}
+
+// What the hidden jumps or gap say, so the unknown point can still be found
+function numberLineClues(nl) {
+  const num = (n) => numberLineTick(nl, n);
+  const at = (n) => Math.abs(n - nl.target.v) < 1e-9;
+  return [
+    ...nl.jumps.filter(j => at(j.to) && !at(j.from)).map(j => `salta ${j.text} desde ${num(j.from)}`),
+    ...nl.jumps.filter(j => at(j.from) && !at(j.to)).map(j => `saltando ${j.text} llegas a ${num(j.to)}`),
+    ...nl.gaps.filter(g => at(g.from) !== at(g.to)).map(g => `está a ${g.text} de ${num(at(g.from) ? g.to : g.from)}`)
+  ];
+}
+
+// The student taps (or moves with ← → and presses Enter) where the unknown point is
+function wireNumberLinePlacing(nl, step, mount) {
+  const label = (step.labels || {})[nl.target.key];
+  // taps are read to the nearest whole number, or to a tenth of a tick when the values need it
+  const allWhole = [nl.target.v, ...nl.points.map(p => p.v)].every(Number.isInteger);
+  const snap = allWhole && nl.tick <= 5 ? 1 : nl.tick / 10;
+  const tolerance = Math.max(snap / 2, nl.tick / 4);
+  const marks = [];
+  let cursor = nl.lo;
+  const wrap = document.createElement('div');
+  wrap.className = 'mt-2';
+  const num = (n) => numberLineTick(nl, n);
+  const clues = numberLineClues(nl);
+  wrap.innerHTML = `<p class="text-sm font-bold">Toca la recta donde está «?»${label ? ` (${label})` : ''}${clues.length ? `: ${clues.join('; ')}` : ''}.</p><p class="number-line-feedback text-sm font-bold" aria-live="polite"></p>`;
+  mount.appendChild(wrap);
+  const feedback = wrap.querySelector('.number-line-feedback');
+  const draw = (done) => {
+    mount.firstElementChild.innerHTML = numberLineSvg(nl, { hideTarget: !done, marks });
+    const svg = mount.querySelector('svg');
+    if (done) return;
+    svg.tabIndex = 0;
+    svg.setAttribute('role', 'slider');
+    svg.removeAttribute('aria-hidden');
+    svg.setAttribute('aria-label', `Punto para «?»: ${num(cursor)}`);
+    svg.setAttribute('aria-valuemin', nl.lo); svg.setAttribute('aria-valuemax', nl.hi); svg.setAttribute('aria-valuenow', cursor);
+    svg.addEventListener('click', (e) => {
+      const r = svg.getBoundingClientRect();
+      if (!r.width) return;
+      const px = (e.clientX - r.left) / r.width * NL_WIDTH;
+      place(nl.lo + (px - NL_MARGIN) / (NL_WIDTH - 2 * NL_MARGIN) * (nl.hi - nl.lo));
+    });
+    svg.addEventListener('keydown', (e) => {
+      if (e.key === 'ArrowLeft' || e.key === 'ArrowRight') {
+        e.preventDefault();
+        cursor = Math.min(nl.hi, Math.max(nl.lo, cursor + (e.key === 'ArrowRight' ? snap : -snap)));
+        svg.setAttribute('aria-valuenow', cursor);
+        svg.setAttribute('aria-label', `Punto para «?»: ${num(cursor)}`);
+      }
+      if (e.key === 'Enter' || e.key === ' ') { e.preventDefault(); place(cursor); }
+    });
+  };
+  const place = (value) => {
+    const n = Math.round(Math.min(nl.hi, Math.max(nl.lo, value)) / snap) * snap;
+    const ok = Math.abs(n - nl.target.v) <= tolerance;
+    marks.push({ v: ok ? nl.target.v : n, ok });
+    feedback.style.color = ok ? '#10B981' : '#EF4444';
+    feedback.textContent = ok ? `¡Eso es! «?» está en ${num(nl.target.v)}.` : `Has marcado ${num(n)}: «?» está más a la ${n < nl.target.v ? 'derecha' : 'izquierda'}.`;
+    announce(feedback.textContent);
+    draw(ok);
+    if (!ok) mount.querySelector('svg').focus();
+  };
+  draw(false);
+}
+
+// ---- Reparto: objetos repartidos en grupos (representation 'dealing')
+const DEALING_MAX_ITEMS = 60;
+
+function usesDealing(step) { const def = getProblemType(step && step.type); return !!def && def.representation === 'dealing'; }
+
+// -> { total, groups, perGroup, remainder } as numbers (NaN when unknown or a reference)
+function dealingNumbers(step) {
+  const [tk, gk, pk, rk] = getProblemType(step.type).keys;
+  const n = (v) => (v == null || v === '?' || isStepReference(v) || String(v).trim() === '') ? NaN : quantityValue(norm(v));
+  return { total: n(step.data[tk]), groups: n(step.data[gk]), perGroup: n(step.data[pk]), remainder: n(step.data[rk]) };
+}
+
+// Concrete: a pile of items and groups; the child deals one round at a time (reparto)
+// or makes one group at a time (agrupamiento). -> false when it can't be drawn.
+function renderDealingConcrete(cpa, step, mount) {
+  const { total, groups, perGroup, remainder } = dealingNumbers(step);
+  const icon = Object.values(cpa?.concrete?.items || {}).map(i => i && i.icon).find(Boolean) || '🔷';
+  const sharing = Number.isFinite(groups) && !Number.isFinite(perGroup);
+  const grouping = Number.isFinite(perGroup) && !Number.isFinite(groups);
+  const labels = step.labels || {};
+  const [tk, gk, pk] = getProblemType(step.type).keys;
+  const items = (n) => Array.from({ length: n }, () => `<span class="cpa-item">${icon}</span>`).join('');
+  const groupBox = (n, i) => `<div class="deal-group p-2 border-2 border-dashed rounded-lg min-w-[3rem]" aria-label="Grupo ${i + 1}: ${n}">${items(n)}</div>`;
+
+  if (!Number.isFinite(total)) {
+    // unknown total: show the groups already made (and what was left over)
+    if (!Number.isFinite(groups) || !Number.isFinite(perGroup) || groups * perGroup > DEALING_MAX_ITEMS) return false;
+    mount.innerHTML = `<div class="flex flex-wrap gap-2">${Array.from({ length: groups }, (_, i) => groupBox(perGroup, i)).join('')}</div>` +
+      (remainder > 0 ? `<div class="text-sm font-bold mt-2">Sobran: ${items(remainder)}</div>` : '');
+    return true;
+  }
+  if ((!sharing && !grouping) || total > DEALING_MAX_ITEMS || (sharing && groups < 1) || (grouping && perGroup < 1)) return false;
+
+  mount.innerHTML = `
+    <div class="text-sm font-bold mb-1">${labels[tk] || 'Total'}: <span class="deal-pile-count">${total}</span></div>
+    <div class="deal-pile mb-2">${items(total)}</div>
+    <div class="deal-groups flex flex-wrap gap-2 mb-2">${sharing ? Array.from({ length: groups }, (_, i) => groupBox(0, i)).join('') : ''}</div>
+    <div class="flex gap-2">
+      <button type="button" class="deal-step px-3 py-1 rounded bg-indigo-600 text-white">${sharing ? '🤲 Repartir una vuelta' : `🤲 Hacer un grupo de ${perGroup}`}</button>
+      <button type="button" class="deal-all px-3 py-1 rounded border">Repartir todo</button>
+      <button type="button" class="deal-reset px-3 py-1 rounded border">Empezar de nuevo</button>
+    </div>
+    <p class="deal-status text-sm mt-2" aria-live="polite"></p>`;
+  let pile = total, made = [];
+  const pileEl = mount.querySelector('.deal-pile'), groupsEl = mount.querySelector('.deal-groups');
+  const draw = () => {
+    pileEl.innerHTML = items(pile);
+    mount.querySelector('.deal-pile-count').textContent = pile;
+    groupsEl.innerHTML = (sharing ? Array.from({ length: groups }, (_, i) => made[i] || 0) : made).map(groupBox).join('');
+  };
+  const canDeal = () => sharing ? pile >= groups : pile >= perGroup;
+  const dealOnce = () => {
+    if (!canDeal()) return false;
+    if (sharing) { made = Array.from({ length: groups }, (_, i) => (made[i] || 0) + 1); pile -= groups; }
+    else { made.push(perGroup); pile -= perGroup; }
+    return true;
+  };
+  const report = () => {
+    draw();
+    const done = !canDeal();
+    const msg = sharing
+      ? `Cada grupo tiene ${made[0] || 0}. ${done ? `Ya no se puede repartir: sobran ${pile}.` : `Quedan ${pile}.`}`
+      : `Hay ${made.length} grupo(s) de ${perGroup}. ${done ? `Ya no se puede hacer otro grupo: sobran ${pile}.` : `Quedan ${pile}.`}`;
+    mount.querySelector('.deal-status').textContent = msg;
+    mount.querySelector('.deal-step').disabled = done;
+    mount.querySelector('.deal-all').disabled = done;
+    announce(msg);
+  };
+  mount.querySelector('.deal-step').onclick = () => { dealOnce(); report(); };
+  mount.querySelector('.deal-all').onclick = () => { while (dealOnce()); report(); };
+  mount.querySelector('.deal-reset').onclick = () => { pile = total; made = []; draw(); mount.querySelector('.deal-status').textContent = ''; mount.querySelector('.deal-step').disabled = false; mount.querySelector('.deal-all').disabled = false; };
+  mount.querySelector('.deal-step').setAttribute('aria-label', sharing ? `Repartir uno a cada ${labels[gk] || 'grupo'}` : `Hacer un grupo de ${perGroup} (${labels[pk] || 'por grupo'})`);
+  return true;
+}
+
+// Pictorial: the total as one bar cut into equal groups plus the remainder
+function renderDealingPictorial(step, mount) {
+  const { total, groups, perGroup, remainder } = dealingNumbers(step);
+  const g = Number.isFinite(groups) ? groups : (Number.isFinite(total) && perGroup > 0 ? Math.floor(total / perGroup) : NaN);
+  const pg = Number.isFinite(perGroup) ? perGroup : (Number.isFinite(total) && groups > 0 ? Math.floor(total / groups) : NaN);
+  if (!Number.isFinite(g) || !Number.isFinite(pg) || g < 1 || g > 40) return false;
+  const t = Number.isFinite(total) ? total : g * pg + (remainder > 0 ? remainder : 0);
+  if (!(t > 0)) return false;
+  const r = Math.max(0, t - g * pg);
+  const show = (v) => Number.isFinite(v) ? v : '?';
+  const seg = (w, text, cls) => `<div class="${cls} text-xs font-bold flex items-center justify-center" style="width:${(w / t) * 100}%;min-width:1.2rem;border-right:2px solid #fff;height:2.2rem">${text}</div>`;
+  mount.innerHTML = `
+    <div class="text-sm font-bold mb-1">Total: ${show(total)}</div>
+    <div class="flex w-full rounded overflow-hidden" role="img" aria-label="Total repartido en ${show(groups)} grupos de ${show(perGroup)}">
+      ${Array.from({ length: g }, () => seg(pg, show(perGroup), 'bg-sky-300')).join('')}${r > 0 || !Number.isFinite(remainder) ? seg(Math.max(r, t * 0.04), `resto ${show(remainder)}`, 'bg-amber-200') : ''}
+    </div>
+    <div class="text-sm mt-1">${show(groups)} grupo(s) de ${show(perGroup)}</div>`;
+  return true;
+}
+
+// ---- Fracciones: each quantity as bars cut into equal parts (3/4, 0,5, 25 %)
+const FRACTION_BAR_MAX_WHOLES = 4;
+
+function usesFractionBars(step) {
+  return Object.values((step && step.data) || {}).some(v => { const q = parseQuantity(norm(v)); return !!q && (q.kind !== 'number' || !Number.isInteger(q.value)); });
+}
+
+// -> { value, parts } parts per whole: the denominator of a fraction, tenths/hundredths otherwise;
+// null for whole numbers (the "whole" a percentage or fraction is taken of)
+function fractionBarParts(v) {
+  const c = norm(v), q = parseQuantity(c);
+  if (!q || (q.kind === 'number' && Number.isInteger(q.value))) return null;
+  if (q.kind === 'fraction') return { value: q.value, parts: Number(c.split('/')[1]) };
+  return { value: q.value, parts: [10, 20, 100].find(n => Number.isInteger(Math.round(q.value * n * 1e6) / 1e6)) || 100 };
+}
+
+function renderFractionBars(step, mount) {
+  const keys = getProblemType(step.type) ? typeKeys(step.type) : Object.keys(step.data || {});
+  const rows = keys.filter(k => (step.data || {})[k] != null && step.data[k] !== '').map(k => {
+    const v = step.data[k];
+    const label = `${(step.labels && step.labels[k]) || k.toUpperCase()}: ${v === '?' || isStepReference(v) ? '?' : formatQuantity(v)}`;
+    const fb = v === '?' || isStepReference(v) ? null : fractionBarParts(v);
+    let bars;
+    if (v === '?' || isStepReference(v)) bars = `<div class="fraction-bar unknown" aria-hidden="true">?</div>`;
+    else if (!fb) bars = `<div class="fraction-bar whole" aria-hidden="true">${formatQuantity(v)}</div>`;
+    else {
+      const wholes = Math.min(FRACTION_BAR_MAX_WHOLES, Math.max(1, Math.ceil(fb.value - 1e-9)));
+      const filled = Math.round(fb.value * fb.parts);
+      bars = Array.from({ length: wholes }, (_, w) => `<div class="fraction-bar" aria-hidden="true">${Array.from({ length: fb.parts }, (_, i) =>
+        `<span class="fraction-cell${w * fb.parts + i < filled ? ' filled' : ''}"${fb.parts > 20 ? ' style="border-right-width:0"' : ''}></span>`).join('')}</div>`).join('');
+    }
+    const spoken = fb ? `${label} (${Math.round(fb.value * fb.parts)} de ${fb.parts} partes)` : label;
+    return `<div class="mb-2" role="img" aria-label="${spoken}"><div class="text-sm font-bold">${label}</div>${bars}</div>`;
+  });
+  if (!rows.length) return false;
+  mount.innerHTML = rows.join('');
+  return true;
+}
+
 function renderAbstract(cpa, step, mount) {
   if (!mount) return; mount.innerHTML = '';
   const tpl = cpa?.abstract?.template;
@@ -239,7 +1090,7 @@ document.addEventListener('DOMContentLoaded', () => {
   forceCloseModals();                // <- asegura que no hay overlay bloqueando
   // Load or seed problems before rendering UI
   state.problems = loadProblems();
-  renderLevelSelection();
+  renderProfileSelection();
   renderEditor();
   wireModeToggle();
   wireAccessibility();
@@ -483,8 +1334,8 @@ function speakCurrentProblem(options = {}) {
     utter.lang = 'es-ES';
     // build natural text for the problem (if options.useSelectedStep may be used later)
     let text = p.question || '';
-    // prefer to include a short description of steps when DOS_OPERACIONES
-    if (p.type === 'DOS_OPERACIONES' && Array.isArray(p.steps)) {
+    // prefer to include a short description of steps for multi-step problems
+    if (isMultiStep(p)) {
       const pieces = [p.question];
       p.steps.forEach((s, i) => {
         const stepNum = i + 1;
@@ -539,7 +1390,7 @@ function speakText(text) {
 // Speak a single step with formatted natural text (used by speakStep)
 function formatStepForSpeech(problem, stepIndex) {
   if (!problem) return '';
-  if (problem.type === 'DOS_OPERACIONES') {
+  if (isMultiStepType(problem.type)) {
     const s = (problem.steps || [])[stepIndex - 1];
     if (!s) return problem.question || '';
     const parts = [];
@@ -553,7 +1404,7 @@ function formatStepForSpeech(problem, stepIndex) {
   }
 }
 
-// Speak the text for a specific step number (1..4)
+// Speak the text for a specific step number (1..4, or 'estimate' for ESTIMO)
 function speakStep(stepNumber) {
   if (!state.currentProblem) return false;
   // Prefer to read the visible instruction for the step rendered in the DOM.
@@ -582,15 +1433,162 @@ function wireModeToggle() {
   const toggle = $('#mode-toggle');
   toggle.addEventListener('change', () => {
     forceCloseModals();              // <- cierra modales al alternar
-    $('#play-view').classList.toggle('hidden-view');
+    const editorMode = toggle.checked;
+    // a practice session's clock stops while the editor is open
+    if (editorMode) pauseSessionTimer(); else resumeSessionTimer();
+    $('#play-view').classList.toggle('hidden-view', editorMode);
+    const dashboard = $('#dashboard-view');
+    if (dashboard) dashboard.classList.add('hidden-view');
     const editor = $('#editor-view');
-    editor.classList.toggle('hidden-view');
+    editor.classList.toggle('hidden-view', !editorMode);
     if (!editor.classList.contains('hidden-view')) {
       fetchProblemsForEditor($('#grade-selector').value);
     }
   });
 }
 
+// -------- Perfiles de alumno --------
+// Each profile keeps its own progress so several children can share one device:
+// { id, name, createdAt, progress: { [problemId]: { attempts: [{ startedAt, finishedAt, solved }], solvedAt } },
+//   classification: { [problemId]: { tries, right, lastAt } } } (see Clasificar problemas)
+const PROFILES_KEY = `${LS_KEY}_profiles`;
+
+function loadProfiles() {
+  try {
+    const raw = localStorage.getItem(PROFILES_KEY);
+    const arr = raw ? JSON.parse(raw) : [];
+    return Array.isArray(arr) ? arr : [];
+  } catch(e) { return []; }
+}
+function saveProfiles(arr) {
+  try { localStorage.setItem(PROFILES_KEY, JSON.stringify(arr)); } catch(e) { /* ignore */ }
+}
+
+function getActiveProfile() {
+  if (!state.profileId) return null;
+  return loadProfiles().find(p => p.id === state.profileId) || null;
+}
+function setActiveProfile(id) { state.profileId = id || null; }
+
+function createProfile(name) {
+  const clean = String(name || '').trim();
+  if (!clean) return null;
+  const profiles = loadProfiles();
+  if (profiles.some(p => p.name.toLowerCase() === clean.toLowerCase())) return null;
+  const profile = { id: rid(), name: clean, createdAt: Date.now(), progress: {} };
+  profiles.push(profile);
+  saveProfiles(profiles);
+  return profile;
+}
+function deleteProfile(id) {
+  saveProfiles(loadProfiles().filter(p => p.id !== id));
+  if (state.profileId === id) setActiveProfile(null);
+}
+
+// Apply a change to the active profile and persist it. No-op when playing as guest.
+function updateActiveProfile(mutator) {
+  if (!state.profileId) return null;
+  const profiles = loadProfiles();
+  const profile = profiles.find(p => p.id === state.profileId);
+  if (!profile) return null;
+  profile.progress = profile.progress || {};
+  mutator(profile);
+  saveProfiles(profiles);
+  return profile;
+}
+
+function getProblemProgress(profile, problemId) {
+  if (!profile || !problemId) return null;
+  return (profile.progress || {})[problemId] || null;
+}
+
+function recordAttemptStart(problem) {
+  if (!problem || !problem.id) return;
+  updateActiveProfile(profile => {
+    const entry = profile.progress[problem.id] || (profile.progress[problem.id] = { attempts: [], solvedAt: null });
+    entry.attempts.push({ startedAt: Date.now(), finishedAt: null, solved: false });
+  });
+}
+function recordProblemSolved(problem) {
+  if (!problem || !problem.id) return;
+  updateActiveProfile(profile => {
+    const entry = profile.progress[problem.id] || (profile.progress[problem.id] = { attempts: [], solvedAt: null });
+    const now = Date.now();
+    let last = entry.attempts[entry.attempts.length - 1];
+    // checking an already solved problem again must not log another attempt
+    if (last && last.solved) return;
+    if (!last || last.finishedAt) { last = { startedAt: now, finishedAt: null, solved: false }; entry.attempts.push(last); }
+    last.finishedAt = now;
+    last.solved = true;
+    entry.solvedAt = entry.solvedAt || now;
+  });
+}
+
+function countSolved(profile) {
+  return Object.values((profile && profile.progress) || {}).filter(e => e && e.solvedAt).length;
+}
+
+function renderProfileSelection() {
+  const view = $('#level-selection');
+  view.classList.remove('hidden-view');
+  view.innerHTML = `
+    <h1 class="text-4xl md:text-5xl font-black text-white mb-2">Aventura de Problemas</h1>
+    <p class="text-white text-lg mb-8">¿Quién va a jugar?</p>
+    <div id="profile-list" class="grid grid-cols-2 md:grid-cols-3 gap-4 mb-6"></div>
+    <form id="profile-create-form" class="flex justify-center gap-2 mb-4">
+      <label for="profile-name-input" class="visually-hidden">Nombre del alumno</label>
+      <input id="profile-name-input" type="text" maxlength="30" placeholder="Nombre del alumno" class="p-2 rounded-lg border-2 border-white/40 text-gray-800" />
+      <button type="submit" class="font-bold text-white bg-green-600 hover:bg-green-700 px-4 py-2 rounded-lg shadow">+ Nuevo alumno</button>
+    </form>
+    <button id="btn-profile-guest" class="text-sm text-white/90 underline">Jugar sin perfil (no se guarda el progreso)</button>
+  `;
+  const list = $('#profile-list');
+  const profiles = loadProfiles();
+  if (!profiles.length) {
+    list.className = 'mb-6';
+    list.innerHTML = '<p class="text-white/90 italic">Aún no hay alumnos. Crea el primero con tu nombre.</p>';
+  }
+  profiles.forEach(profile => {
+    const card = document.createElement('div');
+    card.className = 'profile-card relative';
+    const btn = document.createElement('button');
+    btn.type = 'button';
+    btn.className = 'profile-btn w-full text-lg font-bold py-6 bg-white text-indigo-900 rounded-xl shadow-lg transition hover:-translate-y-1';
+    const name = document.createElement('div'); name.textContent = profile.name;
+    const meta = document.createElement('div'); meta.className = 'text-sm font-normal text-gray-600'; meta.textContent = `${countSolved(profile)} problemas resueltos`;
+    btn.appendChild(name); btn.appendChild(meta);
+    btn.onclick = () => { setActiveProfile(profile.id); announce(`Hola, ${profile.name}.`); renderLevelSelection(); };
+    const del = document.createElement('button');
+    del.type = 'button';
+    del.className = 'profile-delete absolute top-1 right-2 text-gray-400 hover:text-red-600 font-bold';
+    del.textContent = '✕';
+    del.title = `Borrar a ${profile.name}`;
+    del.setAttribute('aria-label', `Borrar el perfil de ${profile.name}`);
+    del.onclick = (e) => {
+      e.stopPropagation();
+      if (!confirm(`¿Borrar el perfil de ${profile.name} y todo su progreso?`)) return;
+      deleteProfile(profile.id);
+      renderProfileSelection();
+    };
+    card.appendChild(btn); card.appendChild(del);
+    list.appendChild(card);
+  });
+
+  $('#profile-create-form').onsubmit = (e) => {
+    e.preventDefault();
+    const input = $('#profile-name-input');
+    const profile = createProfile(input.value);
+    if (!profile) { showToast('Escribe un nombre que no exista ya.', 'warn'); input.focus(); return; }
+    setActiveProfile(profile.id);
+    showToast(`Perfil creado: ${profile.name}`, 'success');
+    renderLevelSelection();
+  };
+  $('#btn-profile-guest').onclick = () => { setActiveProfile(null); renderLevelSelection(); };
+
+  $('#problem-selection-view').classList.add('hidden-view');
+  $('#game-container').classList.add('hidden-view');
+}
+
 // -------- Vista Cursos --------
 function renderLevelButtons() {
   const colors = ['yellow', 'green', 'blue', 'red', 'purple', 'pink'];
@@ -602,6 +1600,10 @@ function renderLevelButtons() {
 }
 
 function renderLevelSelection() {
+  // leaving to the course list abandons any running session
+  stopSessionTimer();
+  state.session = null;
+  state.classify = null;
   const levelSelectionDiv = $('#level-selection');
   levelSelectionDiv.classList.remove('hidden-view');
 
@@ -611,10 +1613,18 @@ function renderLevelSelection() {
 
   levelSelectionDiv.innerHTML = `
     <h1 class="text-4xl md:text-5xl font-black text-white mb-2">Aventura de Problemas</h1>
-    <p id="level-selection-subtitle" class="text-white text-lg mb-8">Selecciona tu curso para empezar a jugar</p>
+    <p id="level-selection-subtitle" class="text-white text-lg mb-2">Selecciona tu curso para empezar a jugar</p>
+    <p class="text-white/90 mb-8"><span id="active-profile-name" class="font-bold"></span> <button id="btn-change-profile" class="ml-2 text-sm underline">Cambiar alumno</button></p>
     <div id="level-buttons-container" class="grid grid-cols-2 md:grid-cols-3 gap-4">${buttonsHTML}</div>
+    <button id="btn-session-setup" class="mt-8 font-bold text-indigo-900 bg-white hover:bg-indigo-50 px-6 py-3 rounded-xl shadow-lg">⏱️ Sesión de práctica / reto</button>
+    <button id="btn-classify-setup" class="mt-8 ml-2 font-bold text-indigo-900 bg-white hover:bg-indigo-50 px-6 py-3 rounded-xl shadow-lg">🏷️ Clasificar problemas</button>
   `;
   renderLevelButtons();
+  $('#btn-session-setup').onclick = () => showSessionSetup();
+  $('#btn-classify-setup').onclick = () => showClassifySetup();
+  const profile = getActiveProfile();
+  $('#active-profile-name').textContent = profile ? `Alumno: ${profile.name}` : 'Jugando sin perfil';
+  $('#btn-change-profile').onclick = () => renderProfileSelection();
 
   $('#problem-selection-view').classList.add('hidden-view');
   $('#game-container').classList.add('hidden-view');
@@ -638,18 +1648,24 @@ function showProblemSelection() {
       <h2 class="text-2xl font-bold text-gray-800">Problemas de ${state.currentLevel}º Primaria</h2>
       <button id="btn-back-courses" class="text-sm text-gray-600 hover:text-gray-800 font-bold py-2 px-4 rounded transition">← Volver a Cursos</button>
     </div>
+    <div class="mb-4">
+      <button id="btn-adaptive-start" class="font-bold text-white bg-indigo-500 hover:bg-indigo-600 px-4 py-2 rounded-lg shadow">🎯 Que la app elija por mí</button>
+    </div>
     <div id="problem-selection-list" class="space-y-3 max-h-[60vh] overflow-y-auto"></div>
   `;
   $('#btn-back-courses').onclick = () => renderLevelSelection();
+  $('#btn-adaptive-start').onclick = () => playRecommendedProblem();
 
   const list = $('#problem-selection-list');
   list.innerHTML = '';
+  const profile = getActiveProfile();
     state.currentProblems.forEach((problem, index) => {
       const li = document.createElement('li');
       li.className = 'problem-item p-4 border rounded-lg cursor-pointer bg-white shadow-sm';
+      const progress = getProblemProgress(profile, problem.id);
       const qdiv = document.createElement('div');
       qdiv.className = 'problem-question';
-      qdiv.textContent = problem.question;
+      qdiv.textContent = problemListText(problem);
       // small wrapper so we can place the expand control alongside
       const rowInner = document.createElement('div');
       rowInner.className = 'flex items-start justify-between';
@@ -673,6 +1689,17 @@ function showProblemSelection() {
       // set id for aria-controls
       qdiv.id = 'problem-question-' + index;
       btnWrap.appendChild(expandBtn);
+      if (progress && progress.attempts && progress.attempts.length) {
+        const badge = document.createElement('div');
+        badge.className = 'problem-progress text-xs mt-2 ' + (progress.solvedAt ? 'text-green-700 font-bold' : 'text-gray-500');
+        const last = progress.attempts[progress.attempts.length - 1];
+        const when = new Date(progress.solvedAt || last.startedAt).toLocaleDateString();
+        badge.textContent = progress.solvedAt
+          ? `✔ Resuelto el ${when} · ${progress.attempts.length} intento(s)`
+          : `${progress.attempts.length} intento(s) · último el ${when}`;
+        left.appendChild(badge);
+        if (progress.solvedAt) { li.classList.add('problem-solved'); li.setAttribute('aria-label', `Resuelto: ${problemListText(problem)}`); }
+      }
       rowInner.appendChild(left);
       rowInner.appendChild(btnWrap);
       li.appendChild(rowInner);
@@ -708,12 +1735,19 @@ function renderGameContainer() {
     <div id="final-buttons-container" class="mt-6 flex justify-end gap-4"></div>
   `;
   $('#btn-back-problems').onclick = () => showProblemSelection();
+  if (state.session) renderSessionBar();
 }
 
 function loadProblem() {
   state.currentStep = 0;
-  const stepProblem = state.currentProblem.type === 'DOS_OPERACIONES'
-  ? state.currentProblem.steps[0] // Load the first step for DOS_OPERACIONES
+  state.estimate = null;
+  // Templates get fresh numbers every time they are played
+  if (isTemplateProblem(state.currentProblem)) {
+    try { state.currentProblem = instantiateTemplate(state.currentProblem); }
+    catch (e) { showToast(e.message, 'error', 5000); showProblemSelection(); return; }
+  }
+  const stepProblem = isMultiStep(state.currentProblem)
+  ? resolveStepData(state.currentProblem, 0) // Load the first step of multi-step problems
     : state.currentProblem;
 
   $('#level-title').textContent = `${state.currentLevel}º Primaria`;
@@ -722,19 +1756,21 @@ function loadProblem() {
   setupStep1(stepProblem);
   // initialize progress bar
   updateGameProgress();
+  state.attemptId = rid();
+  recordAttemptStart(state.currentProblem);
 }
 
 function renderStepUI(stepProblem) {
   const container = $('#steps-container');
   const stepNum = state.currentStep + 1;
-  const totalSteps = state.currentProblem.type === 'DOS_OPERACIONES' ? state.currentProblem.steps.length : 1;
+  const totalSteps = isMultiStep(state.currentProblem) ? state.currentProblem.steps.length : 1;
   const stepIndicator = totalSteps > 1 ? `<span class="text-sm ml-2 bg-blue-100 text-blue-800 font-bold px-2 py-1 rounded-full">Paso ${stepNum}/${totalSteps}</span>` : '';
 
   container.innerHTML = `
     <div id="step-1" class="mb-6">
   <h3 class="step-title"><span class="mr-3 text-2xl">1</span> LEO E IDENTIFICO ${stepIndicator}</h3>
       <div class="step-content mt-4">
-        <p class="mb-4 text-gray-600">Arrastra cada número a su caja.</p>
+        <p class="mb-4 text-gray-600" id="step1-instructions">Arrastra cada número a su caja, o tócalo y después toca su caja. Con teclado: flechas para moverte y Enter para elegir y colocar.</p>
         <div class="flex items-center justify-center gap-4 mb-4" id="numbers-source"></div>
         <div id="data-slots-container" class="grid grid-cols-1 md:grid-cols-3 gap-4"></div>
         <button id="check-step1-btn" class="mt-4 font-bold text-white bg-blue-500 hover:bg-blue-600 px-6 py-2 rounded-lg transition shadow-md">Comprobar</button>
@@ -745,20 +1781,29 @@ function renderStepUI(stepProblem) {
   <div id="step-2" class="mb-6 hidden-view">
   <h3 class="step-title"><span class="mr-3 text-2xl">2</span> RAZONO ${stepIndicator}</h3>
       <div class="step-content mt-4">
-        <p class="mb-4 text-gray-600">Este es el diagrama del problema.</p>
+        <p class="mb-4 text-gray-600" id="step2-instructions">Este es el diagrama del problema.</p>
+        <div id="diagram-builder" class="mb-4 hidden-view"></div>
+        <div id="bar-model" class="mb-4 hidden-view"></div>
         <div id="diagram-container" class="flex justify-center items-center min-h-[100px] bg-gray-50 p-4 rounded-lg border-2 border-dashed"></div>
         <div id="hint-container" class="mt-4"></div>
       </div>
     </div>
 
+    <div id="step-estimate" class="mb-6 hidden-view">
+  <h3 class="step-title"><span class="mr-3 text-2xl">≈</span> ESTIMO ${stepIndicator}</h3>
+      <div class="step-content mt-4"></div>
+    </div>
+
     <div id="step-3" class="mb-6 hidden-view">
   <h3 class="step-title"><span class="mr-3 text-2xl">3</span> CALCULO ${stepIndicator}</h3>
       <div class="step-content mt-4">
         <p class="mb-4 text-gray-600">Elige la operación y el resultado.</p>
         <div class="flex items-center gap-4" id="operations-container"></div>
+        <button type="button" id="scratchpad-btn" class="mt-4 font-bold text-indigo-700 bg-indigo-50 hover:bg-indigo-100 px-4 py-2 rounded-lg">✏️ Hacer la cuenta en columnas</button>
+        <div id="scratchpad" class="hidden-view mt-4"></div>
         <input type="text" id="calculation-input" placeholder="Resultado" class="mt-4 w-32 text-lg px-4 py-2 border-2 border-gray-300 rounded-lg">
         <button id="check-step3-btn" class="mt-4 ml-4 font-bold text-white bg-blue-500 hover:bg-blue-600 px-6 py-2 rounded-lg">Comprobar</button>
-        <p id="feedback-step3" class="feedback opacity-0 mt-2 font-bold h-6"></p>
+        <p id="feedback-step3" class="feedback opacity-0 mt-2 font-bold min-h-[1.5rem]"></p>
       </div>
     </div>
 
@@ -777,7 +1822,7 @@ function renderStepUI(stepProblem) {
     </div>
   `;
   // add enter animation to visible steps
-  Array.from(container.querySelectorAll('#step-1, #step-2, #step-3, #step-4')).forEach(el => {
+  Array.from(container.querySelectorAll('#step-1, #step-2, #step-estimate, #step-3, #step-4')).forEach(el => {
     if (!el.classList.contains('hidden-view')) {
       el.classList.remove('step-exit');
       el.classList.add('step-enter');
@@ -786,15 +1831,17 @@ function renderStepUI(stepProblem) {
   });
 
   // add per-step 'Leer paso' buttons and wire them
-  Array.from(container.querySelectorAll('.step-title')).forEach((titleEl, idx) => {
+  Array.from(container.querySelectorAll('.step-title')).forEach(titleEl => {
     // avoid adding multiple times
     if (titleEl.querySelector('.read-step-btn')) return;
+    // 1..4, or 'estimate' for ESTIMO
+    const step = titleEl.parentElement.id.replace('step-', '');
     const btn = document.createElement('button');
     btn.className = 'read-step-btn ml-3 px-2 py-1 text-sm rounded bg-indigo-600 text-white';
     btn.type = 'button';
     btn.textContent = '🔊 Leer paso';
-    btn.setAttribute('data-step', String(idx+1));
-    btn.onclick = (e) => { e.stopPropagation(); speakStep(idx+1); };
+    btn.setAttribute('data-step', step);
+    btn.onclick = (e) => { e.stopPropagation(); speakStep(/^\d+$/.test(step) ? Number(step) : step); };
     titleEl.appendChild(btn);
   });
 
@@ -821,18 +1868,33 @@ function animateHide(el) {
 function setupStep1(stepProblem) {
   try { avatarStepAnnounce(0, 'start'); } catch(e){}
   renderStepUI(stepProblem);
+  state.hintOpened = false;
+  state.step3Solved = false;
+  startStepTimer(1);
 
+  state.selectedNumber = null;
   const numbersSource = $('#numbers-source');
-  const numbers = Object.values(stepProblem.data).filter(v => v !== '?' && v !== 'RESULTADO_ANTERIOR');
+  numbersSource.setAttribute('role', 'group');
+  numbersSource.setAttribute('aria-label', 'Números del problema');
+  const numbers = Object.values(stepProblem.data).filter(v => v !== '?' && !isStepReference(v));
   numbers.forEach(num => {
     const el = document.createElement('div');
     el.className = 'data-number bg-yellow-300 font-bold text-2xl p-4 rounded-lg shadow-md';
-    el.textContent = num;
+    el.textContent = formatQuantity(num);
     el.draggable = true;
-    el.id = `num-${num}-${Math.random()}`;
+    el.id = `num-${String(num).replace(/\s/g, '_')}-${Math.random()}`;
+    el.tabIndex = 0;
+    el.setAttribute('role', 'button');
+    el.setAttribute('aria-pressed', 'false');
+    el.setAttribute('aria-label', `Número ${formatQuantity(num)}`);
     el.addEventListener('dragstart', e => e.dataTransfer.setData('text/plain', e.target.id));
+    el.addEventListener('click', (e) => { e.stopPropagation(); if (el._suppressClick) { el._suppressClick = false; return; } tapStep1Number(el); });
+    el.addEventListener('keydown', e => onStep1Key(e, el));
+    wireStep1PointerDrag(el);
     numbersSource.appendChild(el);
   });
+  // tapping the source area with a number selected sends it back
+  numbersSource.addEventListener('click', e => { if (e.target === numbersSource && state.selectedNumber) returnStep1Number(state.selectedNumber); });
 
   const slotsContainer = $('#data-slots-container');
   const keys = Object.keys(stepProblem.labels);
@@ -843,6 +1905,11 @@ function setupStep1(stepProblem) {
       <p class="font-bold text-gray-700 mb-2">${stepProblem.labels[key]}</p>
       <div id="slot-${key}" data-key="${key}" class="data-slot p-2 rounded-lg flex items-center justify-center"></div>
     `;
+    const slot = slotDiv.querySelector('.data-slot');
+    slot.dataset.label = stepProblem.labels[key];
+    slot.tabIndex = 0;
+    slot.setAttribute('role', 'button');
+    updateStep1SlotLabel(slot);
     slotsContainer.appendChild(slotDiv);
   });
 
@@ -851,59 +1918,171 @@ function setupStep1(stepProblem) {
     slot.addEventListener('dragleave', () => slot.classList.remove('over'));
     slot.addEventListener('drop', e => {
       e.preventDefault(); slot.classList.remove('over');
-      if (slot.children.length === 0) {
-        const id = e.dataTransfer.getData('text');
-        const draggedEl = document.getElementById(id);
-        if (draggedEl) slot.appendChild(draggedEl);
-      }
+      const id = e.dataTransfer.getData('text');
+      const draggedEl = document.getElementById(id);
+      if (draggedEl) placeStep1Number(draggedEl, slot);
     });
+    slot.addEventListener('click', () => activateStep1Slot(slot));
+    slot.addEventListener('keydown', e => onStep1Key(e, slot));
+  });
+}
+
+// ---- Paso 1: colocar números sin arrastrar (tocar, teclado, puntero táctil)
+// Every input method ends in placeStep1Number, so validateStep1 only ever sees the
+// DOM result (one .data-number inside each .data-slot) whatever the child used.
+function updateStep1SlotLabel(slot) {
+  const child = slot.querySelector('.data-number');
+  slot.setAttribute('aria-label', `Caja ${slot.dataset.label}: ${child ? 'contiene ' + child.textContent : 'vacía'}`);
+}
+
+function selectStep1Number(el) {
+  const prev = state.selectedNumber;
+  document.querySelectorAll('.data-number.selected').forEach(n => { n.classList.remove('selected'); n.setAttribute('aria-pressed', 'false'); });
+  if (prev === el) { state.selectedNumber = null; announce(`Número ${el.textContent} deseleccionado.`); return; }
+  state.selectedNumber = el;
+  el.classList.add('selected');
+  el.setAttribute('aria-pressed', 'true');
+  announce(`Número ${el.textContent} seleccionado. Elige su caja.`);
+}
+
+function placeStep1Number(el, slot) {
+  if (!el || !slot) return;
+  const fromSlot = el.parentElement && el.parentElement.classList.contains('data-slot') ? el.parentElement : null;
+  const occupant = slot.querySelector('.data-number');
+  if (occupant === el) { selectStep1Number(el); return; }
+  // an occupied box swaps: its number goes back where the new one came from
+  if (occupant) { if (fromSlot) fromSlot.appendChild(occupant); else $('#numbers-source').appendChild(occupant); }
+  slot.appendChild(el);
+  el.classList.remove('selected');
+  el.setAttribute('aria-pressed', 'false');
+  state.selectedNumber = null;
+  [slot, fromSlot].forEach(s => s && updateStep1SlotLabel(s));
+  announce(`Número ${el.textContent} colocado en ${slot.dataset.label}.` + (occupant ? ` ${occupant.textContent} vuelve ${fromSlot ? 'a ' + fromSlot.dataset.label : 'a los números'}.` : ''));
+}
+
+function returnStep1Number(el) {
+  const fromSlot = el.parentElement && el.parentElement.classList.contains('data-slot') ? el.parentElement : null;
+  $('#numbers-source').appendChild(el);
+  el.classList.remove('selected');
+  el.setAttribute('aria-pressed', 'false');
+  state.selectedNumber = null;
+  if (fromSlot) updateStep1SlotLabel(fromSlot);
+  announce(`Número ${el.textContent} devuelto a los números.`);
+}
+
+function tapStep1Number(el) {
+  // a number already in a box stands for its box when another number is selected
+  const box = el.parentElement && el.parentElement.classList.contains('data-slot') ? el.parentElement : null;
+  if (box && state.selectedNumber && state.selectedNumber !== el) placeStep1Number(state.selectedNumber, box);
+  else selectStep1Number(el);
+}
+
+function activateStep1Slot(slot) {
+  if (state.selectedNumber) { placeStep1Number(state.selectedNumber, slot); return; }
+  // nothing selected: pick up the number in the box so it can be moved again
+  const occupant = slot.querySelector('.data-number');
+  if (occupant) selectStep1Number(occupant);
+  else announce(`Caja ${slot.dataset.label} vacía. Primero elige un número.`);
+}
+
+function onStep1Key(e, el) {
+  const isSlot = el.classList.contains('data-slot');
+  if (e.key === 'Enter' || e.key === ' ') {
+    e.preventDefault(); e.stopPropagation();
+    if (isSlot) { activateStep1Slot(el); return; }
+    tapStep1Number(el);
+    if (state.selectedNumber === el) {
+      const target = Array.from(document.querySelectorAll('.data-slot')).find(s => !s.querySelector('.data-number')) || $('.data-slot');
+      if (target) target.focus();
+    }
+  } else if (e.key === 'Escape') {
+    if (state.selectedNumber) { selectStep1Number(state.selectedNumber); }
+  } else if (e.key === 'Backspace' || e.key === 'Delete') {
+    const n = isSlot ? el.querySelector('.data-number') : el;
+    if (n && n.parentElement.classList.contains('data-slot')) { e.preventDefault(); returnStep1Number(n); (isSlot ? el : n).focus(); }
+  } else if (['ArrowLeft', 'ArrowRight', 'ArrowUp', 'ArrowDown'].includes(e.key)) {
+    e.preventDefault(); e.stopPropagation();
+    // numbers in the source row and boxes form one ring: arrows walk it in reading order
+    const ring = Array.from(document.querySelectorAll('#numbers-source .data-number, #data-slots-container .data-slot'));
+    const current = isSlot ? el : (el.parentElement.classList.contains('data-slot') ? el.parentElement : el);
+    const idx = ring.indexOf(current);
+    const delta = (e.key === 'ArrowLeft' || e.key === 'ArrowUp') ? -1 : 1;
+    const next = ring[(idx + delta + ring.length) % ring.length];
+    if (next) next.focus();
+  }
+}
+
+// Touch/pen dragging with pointer events (HTML5 drag and drop never fires on most tablets).
+// Mouse keeps the native drag; a short press without movement counts as a tap.
+function wireStep1PointerDrag(el) {
+  el.style.touchAction = 'none';
+  el.addEventListener('pointerdown', (e) => {
+    if (e.pointerType === 'mouse') return;
+    const startX = e.clientX, startY = e.clientY;
+    let ghost = null, overSlot = null;
+    const slotAt = (x, y) => { const t = document.elementFromPoint(x, y); return t && t.closest ? t.closest('.data-slot') : null; };
+    const move = (ev) => {
+      if (!ghost && Math.hypot(ev.clientX - startX, ev.clientY - startY) < 8) return;
+      if (!ghost) {
+        ghost = el.cloneNode(true);
+        ghost.removeAttribute('id');
+        ghost.classList.add('data-number-ghost');
+        ghost.setAttribute('aria-hidden', 'true');
+        document.body.appendChild(ghost);
+        el.classList.add('dragging');
+      }
+      ghost.style.left = (ev.clientX - ghost.offsetWidth / 2) + 'px';
+      ghost.style.top = (ev.clientY - ghost.offsetHeight / 2) + 'px';
+      const s = slotAt(ev.clientX, ev.clientY);
+      if (s !== overSlot) { if (overSlot) overSlot.classList.remove('over'); overSlot = s; if (s) s.classList.add('over'); }
+    };
+    const end = (ev) => {
+      document.removeEventListener('pointermove', move);
+      document.removeEventListener('pointerup', end);
+      document.removeEventListener('pointercancel', end);
+      if (!ghost) return; // a tap: the click handler selects the number
+      ghost.remove();
+      el.classList.remove('dragging');
+      if (overSlot) overSlot.classList.remove('over');
+      el._suppressClick = true;
+      setTimeout(() => { el._suppressClick = false; }, 0);
+      if (ev.type === 'pointerup' && overSlot) placeStep1Number(el, overSlot);
+      else if (ev.type === 'pointerup' && el.parentElement.classList.contains('data-slot') && !slotAt(ev.clientX, ev.clientY)) returnStep1Number(el);
+    };
+    document.addEventListener('pointermove', move);
+    document.addEventListener('pointerup', end);
+    document.addEventListener('pointercancel', end);
   });
 }
 
+// Step 2 diagram from the type's `diagram` rows (see shared/problem-types.js)
+// `unit`: unit of the answer, shown next to the unknown ("? m")
+function typeDiagramHtml(type, data, unit) {
+  const def = getProblemType(type);
+  if (!def) return '';
+  const { rows, short = {}, highlight } = def.diagram;
+  // the box with the '?' wherever it is; the schema's usual result box otherwise
+  const unknowns = def.keys.filter(k => k !== def.remainder && data[k] === '?');
+  const marked = unknowns.length ? unknowns : [highlight];
+  const value = (v) => v === '?' ? (unit ? `? ${unit}` : '?') : formatQuantity(v);
+  const box = (k) => `<div class="p-4 ${marked.includes(k) ? 'bg-blue-100 border-2 border-blue-400' : 'border-2'} rounded">${short[k] || k}: ${value(data[k])}</div>`;
+  const body = rows.map((row, i) => typeof row === 'string'
+    ? `<div class="text-2xl my-2">${row}</div>`
+    : `<div class="flex gap-4 items-center justify-center${i && typeof rows[i - 1] !== 'string' ? ' mt-2' : ''}">${row.map(k => def.keys.includes(k) ? box(k) : `<div class="text-2xl">${k}</div>`).join('')}</div>`).join('');
+  return `<div class="text-center font-bold">${body}</div>`;
+}
+
 function setupStep2(stepProblem) {
   try { avatarStepAnnounce(1, 'start'); } catch(e){}
   const diagram = $('#diagram-container');
   const { data, type, hint } = stepProblem;
 
-  let diagramHTML = '';
-  if (type === "PPT") {
-    diagramHTML = `
-      <div class="text-center font-bold">
-        <div class="flex gap-4 justify-center">
-          <div class="p-4 border-2 rounded">P: ${data.p1}</div>
-          <div class="p-4 border-2 rounded">P: ${data.p2}</div>
-        </div>
-        <div class="text-2xl my-2">↓</div>
-        <div class="p-4 bg-blue-100 border-2 border-blue-400 rounded">T: ${data.t}</div>
-      </div>`;
-  } else if (type === "UVT") {
-    diagramHTML = `
-      <div class="text-center font-bold flex items-center gap-4 justify-center">
-        <div class="p-4 border-2 rounded">U: ${data.u}</div>
-        <div class="text-2xl">x</div>
-        <div class="p-4 border-2 rounded">V: ${data.v}</div>
-        <div class="text-2xl">=</div>
-        <div class="p-4 bg-blue-100 border-2 border-blue-400 rounded">T: ${data.t}</div>
-      </div>`;
-  } else if (type === "COMPARACION") {
-    diagramHTML = `
-      <div class="text-center font-bold">
-        <div class="p-4 border-2 rounded">CM: ${data.cm}</div>
-        <div class="flex gap-4 mt-2 justify-center">
-          <div class="p-4 border-2 rounded">cm: ${data.cmen}</div>
-          <div class="p-4 border-2 rounded">d: ${data.d}</div>
-        </div>
-      </div>`;
-  } else if (type === "CAMBIO") {
-    diagramHTML = `
-      <div class="text-center font-bold flex items-center gap-4 justify-center">
-        <div class="p-4 border-2 rounded">CI: ${data.ci}</div>
-        <div class="p-4 border-2 rounded">C: ${data.c}</div>
-        <div class="text-2xl">→</div>
-        <div class="p-4 bg-blue-100 border-2 border-blue-400 rounded">CF: ${data.cf}</div>
-      </div>`;
-  }
-  diagram.innerHTML = diagramHTML;
+  diagram.innerHTML = typeDiagramHtml(type, data, quantityUnit(norm(stepProblem.answer)));
+  // the student either builds the diagram, or the bar model when the schema has one
+  const building = buildsDiagram(state.currentProblem, stepProblem);
+  const model = !building && barModelOf(stepProblem);
+  if (building) setupDiagramBuilder(stepProblem);
+  else if (model) setupBarModel(stepProblem, model);
 
   // --- CPA Tabs (Concreto / Pictórico / Abstracto) ---
   try {
@@ -929,7 +2108,7 @@ function setupStep2(stepProblem) {
         if (el) { el.classList.add('active'); el.setAttribute('aria-pressed','true'); }
       }
       function showConcrete() { setActive('tab-concreto'); renderConcrete(cpa, stepProblem, container); announce('Mostrando representación concreta.'); }
-      function showPictorial(){ setActive('tab-pictorico'); renderPictorial(cpa, stepProblem, container); announce('Mostrando representación pictórica.'); }
+      function showPictorial(){ setActive('tab-pictorico'); renderPictorial(cpa, stepProblem, container, { reveal: state.step3Solved }); announce('Mostrando representación pictórica.'); }
       function showAbstract(){ setActive('tab-abstracto'); renderAbstract(cpa, stepProblem, container); announce('Mostrando representación abstracta.'); }
 
       document.getElementById('tab-concreto').onclick = showConcrete;
@@ -940,6 +2119,8 @@ function setupStep2(stepProblem) {
       const grade = Number(document.getElementById('level-title')?.textContent?.[0] || 1);
       if (grade <= 2) showConcrete(); else if (grade <= 4) showPictorial(); else showAbstract();
     }
+    // the representations would give the schema away: they come back once it is built
+    ['#cpa-tabs', '#cpa-container'].forEach(sel => { const el = $(sel); if (el) el.classList.toggle('hidden-view', building); });
   } catch(e) { console.error('CPA init error', e); }
 
   // small entrance animation for the diagram
@@ -965,6 +2146,7 @@ function setupStep2(stepProblem) {
         } else {
           hintText.classList.remove('hidden-view');
           hintBtn.setAttribute('aria-expanded','true');
+          state.hintOpened = true;
           hintText.classList.add('step-enter');
           setTimeout(()=>hintText.classList.remove('step-enter'),420);
         }
@@ -972,34 +2154,925 @@ function setupStep2(stepProblem) {
     }
   }
 
-  setTimeout(() => {
-    $('#step-3').classList.remove('hidden-view');
-    setupStep3(stepProblem);
-  }, 900);
+  // with a bar model or a diagram to build, step 3 waits until it is right (see checkBarModel, checkSchemaBoxes)
+  if (!model && !building) setTimeout(() => unlockStep3(stepProblem), 900);
 }
 
-function setupStep3(stepProblem) {
-  const container = $('#operations-container');
-  container.innerHTML = '';
-  state.selectedOperation = null;
-  $('#calculation-input').value = '';
-  $('#feedback-step3').classList.add('opacity-0');
-  $('#check-step3-btn').disabled = false;
+function unlockStep3(stepProblem) {
+  // the ESTIMO step goes first when the problem asks for one
+  if (needsEstimate(state.currentProblem)) { setupEstimateStep(stepProblem); return; }
+  $('#step-3').classList.remove('hidden-view');
+  setupStep3(stepProblem);
+}
 
-  ['+', '-', '*', '/'].forEach(op => {
-    const btn = document.createElement('button');
-    btn.textContent = op;
-    btn.className = 'op-btn text-2xl font-bold w-12 h-12 rounded-full border-2 border-gray-300 transition';
-    btn.setAttribute('role','button');
-    btn.setAttribute('title', `Operación ${op}`);
-    btn.setAttribute('aria-pressed','false');
-    btn.onclick = () => {
-      // use semantic selected class so styles are centralized in CSS
-      document.querySelectorAll('.op-btn').forEach(b => { b.classList.remove('bg-selected'); b.setAttribute('aria-pressed','false'); });
-      btn.classList.add('bg-selected');
-      btn.setAttribute('aria-pressed','true');
-      state.selectedOperation = op;
-    };
+// -------- Paso 2: modelo de barras --------
+// The student builds the step's bar model (`barModel` in shared/problem-types.js): the whole on
+// top, the parts below (or the bar that repeats, its number of times and what is left over), each
+// bar labelled with a number from step 1 or '?'. Step 3 opens once barModelError finds nothing.
+const BAR_MIN = 10, BAR_MAX = 100, BAR_STEP = 5;
+const BAR_COPIES_MAX = 10; // repeated bars drawn one by one up to this many times
+
+function setupBarModel(stepProblem, model) {
+  const def = getProblemType(stepProblem.type);
+  const values = def.keys.map(k => stepProblem.data[k]).filter(v => v != null && String(v).trim() !== '' && v !== '?');
+  state.barModel = { step: stepProblem, model, labels: [...new Set(values), '?'], rows: { whole: [], parts: [] }, times: null, selected: null, failures: 0, done: false };
+  startStepTimer(2);
+  $('#step2-instructions').textContent = model.unit
+    ? 'Construye el modelo de barras: arriba la barra del total y abajo la barra que se repite, con las veces que se repite.'
+    : 'Construye el modelo de barras: arriba la barra del total y abajo una barra por cada parte.';
+  $('#diagram-container').classList.add('hidden-view');
+  const box = $('#bar-model');
+  box.classList.remove('hidden-view');
+  box.innerHTML = `
+    <div id="bar-model-labels" class="flex flex-wrap items-center justify-center gap-2 mb-2" role="group" aria-label="Números para las barras"></div>
+    <p class="text-sm text-gray-600 mb-2">Toca un número y después una barra (o arrástralo encima). Estira cada barra desde su borde derecho; con el teclado, flechas ← → para cambiar su tamaño y Supr para quitarla.</p>
+    <div id="bar-model-rows" class="bar-model-rows"></div>
+    <button id="bar-model-check" class="mt-4 font-bold text-white bg-blue-500 hover:bg-blue-600 px-6 py-2 rounded-lg transition shadow-md">Comprobar modelo</button>
+    <button id="bar-model-example" class="mt-4 ml-2 text-sm font-bold text-blue-600 hidden-view">Ver el esquema</button>
+    <p id="feedback-step2" class="feedback opacity-0 mt-2 font-bold"></p>
+  `;
+  box.addEventListener('click', onBarModelClick);
+  box.addEventListener('keydown', onBarModelKey);
+  box.addEventListener('dragstart', e => { const chip = e.target.closest && e.target.closest('.bar-chip'); if (chip) e.dataTransfer.setData('text/plain', chip.dataset.value); });
+  box.addEventListener('dragover', e => { if (barTarget(e.target)) e.preventDefault(); });
+  box.addEventListener('drop', e => { const t = barTarget(e.target); if (!t) return; e.preventDefault(); labelBarTarget(t, e.dataTransfer.getData('text')); });
+  box.addEventListener('pointerdown', e => { const h = e.target.closest && e.target.closest('[data-handle]'); if (h) resizeBarWithPointer(e, h.closest('.bar')); });
+  renderBarModel();
+}
+
+function findBar(id) {
+  const { rows } = state.barModel;
+  return [...rows.whole, ...rows.parts].find(b => b.id === id) || null;
+}
+
+// bar or "veces" box under an event target
+function barTarget(el) { return (el && el.closest && el.closest('.bar, .bar-times')) || null; }
+
+function clampBarWidth(w) { return Math.max(BAR_MIN, Math.min(BAR_MAX, Math.round(w / BAR_STEP) * BAR_STEP)); }
+
+function barLabelText(v) { return v == null ? '…' : v === '?' ? '?' : formatQuantity(v); }
+
+function barHtml(v) { return String(v).replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;'); }
+
+function renderBarChips() {
+  const bm = state.barModel;
+  $('#bar-model-labels').innerHTML = bm.labels.map(v => `<button type="button" class="bar-chip${bm.selected === v ? ' selected' : ''}" draggable="true" data-value="${barHtml(v)}" aria-pressed="${bm.selected === v}">${barHtml(barLabelText(v))}</button>`).join('');
+}
+
+function renderBarModel() {
+  const bm = state.barModel;
+  const esc = barHtml;
+  const focused = document.activeElement && document.activeElement.dataset ? document.activeElement.dataset.id : null;
+  renderBarChips();
+  const times = quantityValue(norm(bm.times));
+  const copies = Number.isInteger(times) && times > 1 && times <= BAR_COPIES_MAX ? times : 1;
+  const bar = (row, b, i) => {
+    const html = `<div class="bar bar-${row}${b.label == null ? ' empty' : ''}" data-id="${b.id}" tabindex="0" role="button" style="width:${b.width}%" aria-label="Barra de ${b.width}%: ${b.label == null ? 'sin número' : esc(barLabelText(b.label))}">`
+      + `<span class="bar-label">${esc(barLabelText(b.label))}</span>`
+      + `<button type="button" class="bar-remove" data-remove aria-label="Quitar barra" tabindex="-1">×</button>`
+      + `<span class="bar-handle" data-handle aria-hidden="true"></span></div>`;
+    // the repeated bar is drawn as many times as it repeats; only the first one can be edited
+    const repeated = row === 'parts' && bm.model.unit && i === 0 ? copies : 1;
+    return html + `<div class="bar bar-copy" style="width:${b.width}%" aria-hidden="true"><span class="bar-label">${esc(barLabelText(b.label))}</span></div>`.repeat(repeated - 1);
+  };
+  const row = (name, title) => `
+    <div class="bar-row" role="group" aria-label="${title}">
+      <div class="bar-track">${bm.rows[name].map((b, i) => bar(name, b, i)).join('')}</div>
+      ${name === 'parts' && bm.model.unit ? `<div class="bar-times${bm.times == null ? ' empty' : ''}" tabindex="0" role="button" aria-label="Veces que se repite: ${bm.times == null ? 'sin número' : esc(barLabelText(bm.times))}">× ${esc(barLabelText(bm.times))} veces</div>` : ''}
+      <button type="button" class="bar-add" data-add="${name}">+ Barra</button>
+    </div>`;
+  $('#bar-model-rows').innerHTML = row('whole', 'Barras de arriba') + row('parts', 'Barras de abajo');
+  if (focused) { const el = document.querySelector(`#bar-model-rows .bar[data-id="${focused}"]`); if (el) el.focus(); }
+}
+
+function labelBarTarget(target, value) {
+  const bm = state.barModel;
+  if (bm.done || value == null || !bm.labels.includes(value)) return;
+  if (target.classList.contains('bar-times')) bm.times = value;
+  else { const b = findBar(target.dataset.id); if (!b) return; b.label = value; }
+  bm.selected = null;
+  renderBarModel();
+  announce(`Puesto ${barLabelText(value)}.`);
+}
+
+function resizeBar(id, delta) {
+  const b = findBar(id);
+  if (!b || state.barModel.done) return;
+  b.width = clampBarWidth(b.width + delta);
+  renderBarModel();
+  announce(`Barra de ${b.width}%.`);
+}
+
+function removeBar(id) {
+  const { rows, done } = state.barModel;
+  if (done) return;
+  ['whole', 'parts'].forEach(r => { rows[r] = rows[r].filter(b => b.id !== id); });
+  renderBarModel();
+  announce('Barra quitada.');
+}
+
+function onBarModelClick(e) {
+  const bm = state.barModel;
+  const t = e.target;
+  if (t.closest('#bar-model-check')) return checkBarModel();
+  if (t.closest('#bar-model-example')) { state.hintOpened = true; $('#diagram-container').classList.remove('hidden-view'); t.closest('#bar-model-example').classList.add('hidden-view'); return; }
+  if (bm.done) return;
+  const chip = t.closest('.bar-chip');
+  if (chip) { bm.selected = bm.selected === chip.dataset.value ? null : chip.dataset.value; renderBarChips(); return; }
+  const add = t.closest('[data-add]');
+  if (add) { const row = add.dataset.add; bm.rows[row].push({ id: rid(), width: row === 'whole' ? 80 : 30, label: null }); renderBarModel(); return; }
+  const remove = t.closest('[data-remove]');
+  if (remove) return removeBar(remove.closest('.bar').dataset.id);
+  const target = barTarget(t);
+  if (target && !target.classList.contains('bar-copy') && bm.selected != null) labelBarTarget(target, bm.selected);
+}
+
+function onBarModelKey(e) {
+  const target = barTarget(e.target);
+  if (!target || target !== e.target) return;
+  if ((e.key === 'Enter' || e.key === ' ') && state.barModel.selected != null) { e.preventDefault(); labelBarTarget(target, state.barModel.selected); return; }
+  if (!target.classList.contains('bar')) return;
+  if (e.key === 'ArrowLeft' || e.key === 'ArrowRight') { e.preventDefault(); resizeBar(target.dataset.id, e.key === 'ArrowRight' ? BAR_STEP : -BAR_STEP); }
+  if (e.key === 'Delete' || e.key === 'Backspace') { e.preventDefault(); removeBar(target.dataset.id); }
+}
+
+// Dragging the right edge (mouse, touch or pen) sets the width as a share of the row
+function resizeBarWithPointer(e, barEl) {
+  const b = barEl && findBar(barEl.dataset.id);
+  const full = barEl ? barEl.parentElement.getBoundingClientRect().width : 0;
+  if (!b || !full || state.barModel.done) return;
+  e.preventDefault();
+  const startX = e.clientX, startWidth = b.width;
+  const move = (ev) => { b.width = clampBarWidth(startWidth + (ev.clientX - startX) / full * 100); barEl.style.width = b.width + '%'; };
+  const end = () => {
+    document.removeEventListener('pointermove', move);
+    document.removeEventListener('pointerup', end);
+    document.removeEventListener('pointercancel', end);
+    renderBarModel();
+  };
+  document.addEventListener('pointermove', move);
+  document.addEventListener('pointerup', end);
+  document.addEventListener('pointercancel', end);
+}
+
+// Does a number placed by the student (a chip: a data value or '?') stand for the value `v`?
+function sameDiagramValue(label, v) {
+  return v === '?' ? label === '?' : label != null && label !== '?' && (label === v || sameQuantity(label, v, 'equivalente'));
+}
+
+// -> what is wrong with the model (the first thing found), or null when it fits the step's schema
+function barModelError(bm) {
+  const { model, rows } = bm;
+  const data = bm.step.data;
+  const same = sameDiagramValue;
+  const isZero = (v) => v == null || String(v).trim() === '' || quantityValue(norm(v)) === 0;
+  if (rows.whole.length !== 1) return 'Arriba va una sola barra: la que lo abarca todo.';
+  if (!rows.parts.length) return 'Faltan las barras de abajo.';
+  if ([...rows.whole, ...rows.parts].some(b => b.label == null) || (model.unit && bm.times == null)) return model.unit ? 'Pon un número o «?» en cada barra y en las veces.' : 'Pon un número o «?» en cada barra.';
+  const whole = rows.whole[0];
+  if (!same(whole.label, data[model.whole])) return 'La barra de arriba no es la correcta: ¿qué cantidad lo abarca todo?';
+  let partsWidth = null;
+  if (model.unit) {
+    const [unit, extra, ...more] = rows.parts;
+    if (more.length || (extra && !model.extra)) return model.extra ? 'Abajo van la barra que se repite y, si sobra algo, otra con lo que sobra.' : 'Abajo va una sola barra: la que se repite.';
+    if (!same(unit.label, data[model.unit])) return 'La barra de abajo no es la correcta: ¿qué cantidad se repite?';
+    if (!same(bm.times, data[model.times])) return 'Revisa cuántas veces se repite la barra.';
+    const left = model.extra ? data[model.extra] : null;
+    if (extra && left !== '?' && isZero(left)) return 'No sobra nada: quita la barra de lo que sobra.';
+    if (extra && !same(extra.label, left)) return 'La barra de lo que sobra no es la correcta.';
+    if (!extra && left !== '?' && !isZero(left)) return 'Falta una barra con lo que sobra.';
+    const times = quantityValue(norm(bm.times));
+    if (Number.isInteger(times) && times >= 1 && times <= BAR_COPIES_MAX) partsWidth = unit.width * times + (extra ? extra.width : 0);
+  } else {
+    if (rows.parts.length !== model.parts.length) return `Abajo van ${model.parts.length} barras, una por cada parte.`;
+    const pending = rows.parts.slice();
+    const missing = model.parts.some(k => { const i = pending.findIndex(b => same(b.label, data[k])); if (i < 0) return true; pending.splice(i, 1); return false; });
+    if (missing) return 'Las barras de abajo no son las correctas: ¿qué partes forman el total?';
+    const known = rows.parts.filter(b => b.label !== '?').map(b => ({ width: b.width, value: quantityValue(norm(b.label)) }));
+    if (known.some(a => known.some(b => a.value > b.value && a.width < b.width))) return 'Cuanto mayor es el número, más larga debe ser su barra.';
+    partsWidth = rows.parts.reduce((n, b) => n + b.width, 0);
+  }
+  if (partsWidth != null && Math.abs(whole.width - partsWidth) > whole.width * 0.15) return 'La barra de arriba debe medir lo mismo que las de abajo juntas.';
+  return null;
+}
+
+// "arriba: 8 (80%); abajo: 5 (50%), ? (30%)" for telemetry
+function describeBarModel(bm) {
+  const bars = (list) => list.map(b => `${b.label == null ? '…' : b.label} (${b.width}%)`).join(', ');
+  return `arriba: ${bars(bm.rows.whole)}; abajo: ${bars(bm.rows.parts)}${bm.model.unit ? `; veces: ${bm.times == null ? '…' : bm.times}` : ''}`;
+}
+
+function checkBarModel() {
+  const bm = state.barModel;
+  if (!bm || bm.done) return;
+  const error = barModelError(bm);
+  recordStepEvent({ step: 2, value: describeBarModel(bm), correct: !error });
+  const feedback = $('#feedback-step2');
+  feedback.classList.remove('opacity-0');
+  if (!error) {
+    feedback.textContent = '¡Modelo correcto!'; feedback.style.color = '#10B981';
+    bm.done = true;
+    $('#bar-model-check').disabled = true;
+    $('#bar-model').classList.add('done');
+    $('#bar-model-example').classList.add('hidden-view');
+    $('#diagram-container').classList.remove('hidden-view');
+    try { avatarStepAnnounce(1, 'correct'); } catch(e){}
+    setTimeout(() => unlockStep3(bm.step), 900);
+  } else {
+    feedback.textContent = error; feedback.style.color = '#EF4444';
+    bm.failures++;
+    // after two tries the schema can be looked at (counts as a hint)
+    if (bm.failures >= 2) $('#bar-model-example').classList.remove('hidden-view');
+    try { avatarStepAnnounce(1, 'incorrect'); } catch(e){}
+  }
+}
+
+// -------- Paso 2: el alumno construye el esquema --------
+// Instead of the finished diagram, the student picks the schema among the types with a `schema`
+// (shared/problem-types.js), then puts the step 1 numbers, or '?', in the boxes of the empty diagram.
+// On per problem (`diagramMode: 'build'`) or for the grades ticked in "Reglas por curso";
+// `diagramMode: 'show'` keeps the finished diagram whatever the grade says.
+const DIAGRAM_MODES = { build: 'Lo construye el alumno', show: 'Se muestra hecho' };
+const DIAGRAM_BUILD_KEY = `${LS_KEY}_diagram_build`;
+const SCHEMA_TYPES = STEP_TYPES.filter(t => getProblemType(t).schema);
+
+function loadDiagramBuildGrades() {
+  try { const grades = JSON.parse(localStorage.getItem(DIAGRAM_BUILD_KEY) || '[]'); return Array.isArray(grades) ? grades.map(Number).filter(g => GRADES.includes(g)) : []; }
+  catch (e) { return []; }
+}
+
+// Does the student build the diagram of this step of `problem`?
+function buildsDiagram(problem, step) {
+  if (!SCHEMA_TYPES.includes(step && step.type)) return false;
+  const mode = problem && problem.diagramMode;
+  if (DIAGRAM_MODES[mode]) return mode === 'build';
+  return loadDiagramBuildGrades().includes(Number(problem && problem.grade));
+}
+
+function setupDiagramBuilder(stepProblem) {
+  const def = getProblemType(stepProblem.type);
+  const values = def.keys.map(k => stepProblem.data[k]).filter(v => v != null && String(v).trim() !== '' && v !== '?');
+  state.diagramBuild = { step: stepProblem, labels: [...new Set(values), '?'], schema: null, boxes: {}, selected: null, failures: 0, done: false };
+  startStepTimer(2);
+  $('#step2-instructions').textContent = 'Elige el esquema del problema y después coloca cada número en su caja.';
+  $('#diagram-container').classList.add('hidden-view');
+  const box = $('#diagram-builder');
+  box.classList.remove('hidden-view');
+  box.innerHTML = `
+    <div id="schema-choices" class="flex flex-wrap items-center justify-center gap-2 mb-3" role="group" aria-label="Esquemas">
+      ${SCHEMA_TYPES.map(t => `<button type="button" class="schema-choice" data-schema="${t}" aria-pressed="false">${typeName(t)}</button>`).join('')}
+    </div>
+    <div id="schema-build" class="hidden-view">
+      <div id="schema-labels" class="flex flex-wrap items-center justify-center gap-2 mb-2" role="group" aria-label="Números para las cajas"></div>
+      <p class="text-sm text-gray-600 mb-2">Toca un número y después una caja (o arrástralo encima). Supr vacía la caja.</p>
+      <div id="schema-boxes"></div>
+      <button id="schema-check" class="mt-4 font-bold text-white bg-blue-500 hover:bg-blue-600 px-6 py-2 rounded-lg transition shadow-md">Comprobar esquema</button>
+    </div>
+    <button id="schema-example" class="mt-4 ml-2 text-sm font-bold text-blue-600 hidden-view">Ver el esquema</button>
+    <p id="feedback-schema" class="feedback opacity-0 mt-2 font-bold"></p>
+  `;
+  box.addEventListener('click', onDiagramBuilderClick);
+  box.addEventListener('keydown', onDiagramBuilderKey);
+  box.addEventListener('dragstart', e => { const chip = e.target.closest && e.target.closest('.bar-chip'); if (chip) e.dataTransfer.setData('text/plain', chip.dataset.value); });
+  box.addEventListener('dragover', e => { if (e.target.closest && e.target.closest('.schema-box')) e.preventDefault(); });
+  box.addEventListener('drop', e => { const t = e.target.closest && e.target.closest('.schema-box'); if (!t) return; e.preventDefault(); fillSchemaBox(t.dataset.key, e.dataTransfer.getData('text')); });
+}
+
+function renderSchemaChips() {
+  const db = state.diagramBuild;
+  $('#schema-labels').innerHTML = db.labels.map(v => `<button type="button" class="bar-chip${db.selected === v ? ' selected' : ''}" draggable="true" data-value="${barHtml(v)}" aria-pressed="${db.selected === v}">${barHtml(barLabelText(v))}</button>`).join('');
+}
+
+// The diagram of the chosen schema (rows as in typeDiagramHtml) with the boxes filled so far
+function renderSchemaBoxes() {
+  const db = state.diagramBuild;
+  const def = getProblemType(db.schema);
+  const { rows, short = {} } = def.diagram;
+  const focused = document.activeElement && document.activeElement.dataset ? document.activeElement.dataset.key : null;
+  renderSchemaChips();
+  const box = (k) => `<div class="schema-box${db.boxes[k] == null ? ' empty' : ''}" data-key="${k}" tabindex="0" role="button" aria-label="${def.defaultLabels[k]}: ${db.boxes[k] == null ? 'vacía' : barHtml(barLabelText(db.boxes[k]))}">${short[k] || k}: ${barHtml(barLabelText(db.boxes[k]))}</div>`;
+  $('#schema-boxes').innerHTML = `<div class="text-center font-bold">${rows.map((row, i) => typeof row === 'string'
+    ? `<div class="text-2xl my-2">${row}</div>`
+    : `<div class="flex gap-4 items-center justify-center${i && typeof rows[i - 1] !== 'string' ? ' mt-2' : ''}">${row.map(k => def.keys.includes(k) ? box(k) : `<div class="text-2xl">${k}</div>`).join('')}</div>`).join('')}</div>`;
+  if (focused) { const el = document.querySelector(`#schema-boxes [data-key="${focused}"]`); if (el) el.focus(); }
+}
+
+function fillSchemaBox(key, value) {
+  const db = state.diagramBuild;
+  if (db.done || !db.schema || (value != null && !db.labels.includes(value))) return;
+  const name = getProblemType(db.schema).defaultLabels[key];
+  if (value == null) delete db.boxes[key]; else db.boxes[key] = value;
+  db.selected = null;
+  renderSchemaBoxes();
+  announce(value == null ? `Caja «${name}» vacía.` : `Puesto ${barLabelText(value)} en «${name}».`);
+}
+
+function showSchemaFeedback(message, correct) {
+  const feedback = $('#feedback-schema');
+  feedback.classList.remove('opacity-0');
+  feedback.textContent = message; feedback.style.color = correct ? '#10B981' : '#EF4444';
+  if (correct) { try { avatarStepAnnounce(1, 'correct'); } catch(e){} return; }
+  const db = state.diagramBuild;
+  db.failures++;
+  // after two tries the finished diagram can be looked at (counts as a hint)
+  if (db.failures >= 2) $('#schema-example').classList.remove('hidden-view');
+  try { avatarStepAnnounce(1, 'incorrect'); } catch(e){}
+}
+
+// A wrong schema says what it is for and points at the right one
+function chooseSchema(type) {
+  const db = state.diagramBuild;
+  if (db.done || db.schema) return;
+  const right = db.step.type;
+  recordStepEvent({ step: 2, value: `esquema: ${typeName(type)}`, correct: type === right });
+  if (type !== right) {
+    showSchemaFeedback(`«${typeName(type)}» es para ${getProblemType(type).schema.clue}. ${getProblemType(right).schema.question}`, false);
+    return;
+  }
+  db.schema = type;
+  document.querySelectorAll('#schema-choices .schema-choice').forEach(b => {
+    const chosen = b.dataset.schema === type;
+    b.disabled = true; b.classList.toggle('selected', chosen); b.setAttribute('aria-pressed', String(chosen));
+  });
+  $('#schema-build').classList.remove('hidden-view');
+  renderSchemaBoxes();
+  showSchemaFeedback(`¡Sí, es ${typeName(type)}! Ahora coloca los números.`, true);
+}
+
+// -> what is wrong with the boxes (the first thing found), or null when each holds its number
+function schemaBoxesError(db) {
+  const def = getProblemType(db.schema);
+  const data = db.step.data;
+  const keys = def.keys.filter(k => data[k] != null && String(data[k]).trim() !== '');
+  if (keys.some(k => db.boxes[k] == null)) return 'Pon un número o «?» en cada caja.';
+  const wrong = keys.find(k => !sameDiagramValue(db.boxes[k], data[k]));
+  return wrong ? `Revisa la caja «${def.defaultLabels[wrong]}»: ese número no va ahí.` : null;
+}
+
+function checkSchemaBoxes() {
+  const db = state.diagramBuild;
+  if (!db || db.done || !db.schema) return;
+  const error = schemaBoxesError(db);
+  const def = getProblemType(db.schema);
+  recordStepEvent({ step: 2, value: def.keys.map(k => `${(def.diagram.short || {})[k] || k}: ${db.boxes[k] == null ? '…' : db.boxes[k]}`).join(', '), correct: !error });
+  if (error) { showSchemaFeedback(error, false); return; }
+  db.done = true;
+  showSchemaFeedback('¡Esquema correcto!', true);
+  $('#schema-check').disabled = true;
+  $('#diagram-builder').classList.add('done');
+  $('#schema-example').classList.add('hidden-view');
+  ['#cpa-tabs', '#cpa-container'].forEach(sel => { const el = $(sel); if (el) el.classList.remove('hidden-view'); });
+  setTimeout(() => unlockStep3(db.step), 900);
+}
+
+function onDiagramBuilderClick(e) {
+  const db = state.diagramBuild;
+  const t = e.target;
+  if (t.closest('#schema-example')) { state.hintOpened = true; $('#diagram-container').classList.remove('hidden-view'); t.closest('#schema-example').classList.add('hidden-view'); return; }
+  if (db.done) return;
+  const choice = t.closest('.schema-choice');
+  if (choice) return chooseSchema(choice.dataset.schema);
+  if (t.closest('#schema-check')) return checkSchemaBoxes();
+  const chip = t.closest('.bar-chip');
+  if (chip) { db.selected = db.selected === chip.dataset.value ? null : chip.dataset.value; renderSchemaChips(); return; }
+  const target = t.closest('.schema-box');
+  if (target && db.selected != null) fillSchemaBox(target.dataset.key, db.selected);
+}
+
+function onDiagramBuilderKey(e) {
+  const target = e.target.closest && e.target.closest('.schema-box');
+  if (!target || target !== e.target) return;
+  if ((e.key === 'Enter' || e.key === ' ') && state.diagramBuild.selected != null) { e.preventDefault(); fillSchemaBox(target.dataset.key, state.diagramBuild.selected); }
+  if (e.key === 'Delete' || e.key === 'Backspace') { e.preventDefault(); fillSchemaBox(target.dataset.key, null); }
+}
+
+// -------- Paso ESTIMO --------
+// Optional step between 2 and 3 (`estimate` on the problem): before choosing the operation the
+// child says roughly what will come out, as a number or by picking one of the author's ranges.
+// Once step 3 is right the estimate is compared with the exact answer. Multi-step problems
+// estimate their final answer, in the last step.
+//   { tolerance: 25 }                  a number, "close" within 25% of the answer (ESTIMATE_TOLERANCE by default)
+//   { ranges: [[0, 10], [10, 20]] }    one of these ranges (both ends included)
+const ESTIMATE_MODES = { number: 'Un número aproximado', ranges: 'Elegir un intervalo' };
+const ESTIMATE_TOLERANCE = 25;
+
+// -> { tolerance } | { ranges } for a problem that asks for an estimate, else null
+function estimateConfig(problem) {
+  const e = problem && problem.estimate;
+  if (!e || typeof e !== 'object') return null;
+  if (Array.isArray(e.ranges) && e.ranges.length) return { ranges: e.ranges };
+  const t = Number(e.tolerance);
+  return { tolerance: Number.isFinite(t) && t > 0 ? t : ESTIMATE_TOLERANCE };
+}
+
+// -> message when a stored `estimate` is malformed, else null
+function estimateError(e) {
+  if (e == null) return null;
+  if (typeof e !== 'object') return 'estimate debe ser un objeto ({ tolerance } o { ranges }).';
+  if (e.ranges != null && (!Array.isArray(e.ranges) || !e.ranges.length || e.ranges.some(r => !Array.isArray(r) || r.length !== 2 || !r.every(Number.isFinite) || r[0] > r[1]))) return 'estimate.ranges debe ser una lista de intervalos [mínimo, máximo].';
+  if (e.tolerance != null && !(Number(e.tolerance) > 0)) return 'estimate.tolerance debe ser un porcentaje mayor que 0.';
+  return null;
+}
+
+// "0-10; 10-20; 20-50" -> [[0, 10], [10, 20], [20, 50]]; null when a range cannot be read
+function parseEstimateRanges(text) {
+  const parts = String(text || '').split(/[;\n]/).map(s => s.trim()).filter(Boolean);
+  const ranges = parts.map(s => {
+    const m = /^(.+?)\s*(?:-|–|a)\s*(.+)$/.exec(s);
+    const lo = m ? quantityValue(m[1]) : NaN, hi = m ? quantityValue(m[2]) : NaN;
+    return Number.isFinite(lo) && Number.isFinite(hi) && lo <= hi ? [lo, hi] : null;
+  });
+  return ranges.length && ranges.every(Boolean) ? ranges : null;
+}
+
+function formatEstimateRanges(ranges) {
+  return (ranges || []).map(([lo, hi]) => `${formatQuantity(String(lo))}-${formatQuantity(String(hi))}`).join('; ');
+}
+
+// The editor's "Paso ESTIMO" fields -> `estimate` (undefined when off); throws on unreadable ranges
+function estimateFromForm(fd) {
+  const mode = fd.get('estimateMode');
+  if (mode === 'ranges') {
+    const ranges = parseEstimateRanges(fd.get('estimateRanges'));
+    if (!ranges) throw new Error('Intervalos de la estimación: escribe mínimo-máximo separados por «;» (ej: 0-10; 10-20).');
+    return { ranges };
+  }
+  if (mode !== 'number') return undefined;
+  const t = Number(fd.get('estimateTolerance'));
+  return Number.isFinite(t) && t > 0 ? { tolerance: t } : {};
+}
+
+// Is the ESTIMO step due now? (once per attempt, in the step that gives the final answer)
+function needsEstimate(problem) {
+  if (!estimateConfig(problem) || state.estimate) return false;
+  return !isMultiStep(problem) || state.currentStep === problem.steps.length - 1;
+}
+
+function setupEstimateStep(stepProblem) {
+  const config = estimateConfig(state.currentProblem);
+  const box = $('#step-estimate');
+  const unit = quantityUnit(norm(stepProblem.answer));
+  box.classList.remove('hidden-view');
+  box.querySelector('.step-content').innerHTML = config.ranges
+    ? `<p class="mb-4 text-gray-600">Antes de calcular: ¿entre qué números crees que estará el resultado?</p>
+       <div id="estimate-options" class="flex flex-wrap gap-2" role="group" aria-label="Intervalos">${config.ranges.map(([lo, hi], i) => `<button type="button" class="schema-choice" data-range="${i}" aria-pressed="false">Entre ${formatQuantity(String(lo))} y ${formatQuantity(String(hi))}${unit ? ` ${unit}` : ''}</button>`).join('')}</div>
+       <p id="feedback-estimate" class="feedback opacity-0 mt-2 font-bold"></p>`
+    : `<p class="mb-4 text-gray-600">Antes de calcular: ¿cuánto crees que saldrá, más o menos? No hace falta hacer la cuenta.</p>
+       <label class="font-bold">Unos <input type="text" id="estimate-input" inputmode="decimal" class="w-32 text-lg px-4 py-2 border-2 border-gray-300 rounded-lg"${unit ? ` placeholder="${unit}"` : ''}></label>
+       <button id="estimate-btn" class="ml-2 font-bold text-white bg-blue-500 hover:bg-blue-600 px-6 py-2 rounded-lg">Ya lo he estimado</button>
+       <p id="feedback-estimate" class="feedback opacity-0 mt-2 font-bold"></p>`;
+  try { box.classList.remove('step-exit'); box.classList.add('step-enter'); setTimeout(() => box.classList.remove('step-enter'), 520); } catch(e){}
+  const done = (estimate, text) => {
+    state.estimate = estimate;
+    box.querySelectorAll('button, input').forEach(el => { el.disabled = true; });
+    const feedback = $('#feedback-estimate');
+    feedback.textContent = `Has estimado ${text}. Al calcular verás si estabas cerca.`;
+    feedback.style.color = '#4B5563';
+    feedback.classList.remove('opacity-0');
+    announce(feedback.textContent);
+    setTimeout(() => { $('#step-3').classList.remove('hidden-view'); setupStep3(stepProblem); }, 600);
+  };
+  if (config.ranges) {
+    $('#estimate-options').onclick = (e) => {
+      const b = e.target.closest('[data-range]');
+      if (!b) return;
+      b.classList.add('selected'); b.setAttribute('aria-pressed', 'true');
+      const [lo, hi] = config.ranges[Number(b.dataset.range)];
+      done({ range: [lo, hi] }, `entre ${formatQuantity(String(lo))} y ${formatQuantity(String(hi))}`);
+    };
+    return;
+  }
+  const submit = () => {
+    const value = quantityValue(norm($('#estimate-input').value));
+    if (!Number.isFinite(value)) {
+      const feedback = $('#feedback-estimate');
+      feedback.textContent = 'Escribe un número aproximado.'; feedback.style.color = '#EF4444'; feedback.classList.remove('opacity-0');
+      return;
+    }
+    done({ value }, `unos ${formatQuantity(String(value))}`);
+  };
+  $('#estimate-btn').onclick = submit;
+  $('#estimate-input').onkeydown = (e) => { if (e.key === 'Enter') submit(); };
+  $('#estimate-input').focus();
+}
+
+// After a right step 3: how close the estimate was
+function showEstimateFeedback(stepProblem) {
+  const config = estimateConfig(state.currentProblem);
+  const exact = quantityValue(norm(stepProblem.answer));
+  const feedback = $('#feedback-estimate');
+  if (!config || !state.estimate || !Number.isFinite(exact) || !feedback) return;
+  const unit = quantityUnit(norm(stepProblem.answer));
+  const f = (v) => formatQuantity(String(v)) + (unit ? ` ${unit}` : '');
+  const shown = f(exact);
+  let close, message;
+  if (state.estimate.range) {
+    const [lo, hi] = state.estimate.range;
+    close = exact >= lo && exact <= hi;
+    message = close ? `¡Tu estimación estaba cerca! ${shown} está entre ${f(lo)} y ${f(hi)}.`
+      : `Salió ${shown}, ${exact < lo ? 'menos' : 'más'} de lo que pensabas (entre ${f(lo)} y ${f(hi)}).`;
+  } else {
+    const { value } = state.estimate;
+    close = Math.abs(value - exact) <= Math.abs(exact) * config.tolerance / 100 || value === exact;
+    message = close ? `¡Tu estimación estaba cerca! Dijiste unos ${f(value)} y salió ${shown}.`
+      : `Tu estimación se ${value < exact ? 'quedó corta' : 'pasó'}: dijiste unos ${f(value)} y salió ${shown}.`;
+  }
+  feedback.textContent = message;
+  feedback.style.color = close ? '#10B981' : '#D97706';
+  announce(message);
+}
+
+// -------- Paso 3: cuaderno de cálculo --------
+// Vertical algorithm for the chosen operation on the step's two data: carries ("llevadas", also
+// in subtraction, written by the subtrahend as in Spanish schools), partial products and long
+// division with the partial remainders. Each box is checked as it is typed and mistakes are named
+// by place ("Revisa la llevada en las decenas"); once every digit is right the result goes to
+// #calculation-input (and the remainder to #remainder-input). Carries are optional: checked when
+// written, never required. Whole numbers only; other data keep the plain result box.
+const PLACE_NAMES = ['unidades', 'decenas', 'centenas', 'unidades de millar', 'decenas de millar', 'centenas de millar', 'unidades de millón'];
+const SCRATCHPAD_MAX_DIGITS = 7;
+// digits of the multiplier / divisor
+const SCRATCHPAD_MAX_SHORT = 3;
+
+// The step's two known data as whole numbers, or null when the scratchpad cannot do them
+function scratchpadNumbers(step) {
+  const def = getProblemType(step && step.type);
+  if (!def || !step.data) return null;
+  const values = def.keys.filter(k => k !== def.remainder && step.data[k] !== '?').map(k => parseQuantity(norm(step.data[k])));
+  if (values.length !== 2 || values.some(q => !q || q.kind !== 'number' || !Number.isInteger(q.value) || q.value < 0)) return null;
+  if (values[0].unit && values[1].unit && values[0].unit !== values[1].unit) return null;
+  return values.map(q => q.value);
+}
+
+// digit in place p (0 = units) of n, null past its length
+function digitAt(n, p) {
+  const s = String(n);
+  return p < s.length ? Number(s[s.length - 1 - p]) : null;
+}
+
+// -> { rows, side?, cells, result, remainder? } | { error }
+// rows are { sign, line, carries, cells } with one entry per column: null, { fixed } or a box
+// to fill; `cells` lists the boxes in working order.
+function scratchpadModel(op, numbers) {
+  let [a, b] = numbers;
+  if (op === '*' && String(b).length > String(a).length) [a, b] = [b, a];
+  // 0 ÷ 5 stays as written: swapping it would divide by zero
+  if ((op === '-' || (op === '/' && a !== 0)) && b > a) [a, b] = [b, a];
+  if (op === '/' && b === 0) return { error: 'No se puede dividir entre 0.' };
+  if (String(a).length > SCRATCHPAD_MAX_DIGITS || ((op === '*' || op === '/') && String(b).length > SCRATCHPAD_MAX_SHORT)) return { error: 'Esta cuenta es demasiado larga para el cuaderno.' };
+  const cells = [];
+  const box = (role, place, expect, extra) => { const c = { role, place, expect: String(expect), value: '', index: cells.length, ...extra }; cells.push(c); return c; };
+  const row = (width, extra) => ({ cells: Array(width).fill(null), ...extra });
+  const put = (r, place, content) => { r.cells[r.cells.length - 1 - place] = content; };
+  const fixedRow = (n, width, sign) => { const r = row(width, { sign }); String(n).split('').reverse().forEach((d, p) => put(r, p, { fixed: d })); return r; };
+
+  if (op === '+') {
+    const sum = a + b, width = String(sum).length;
+    const carries = row(width, { carries: true }), result = row(width, { line: true });
+    let carry = 0;
+    for (let p = 0; p < String(sum).length; p++) {
+      if (p > 0) put(carries, p, box('carry', p, carry));
+      const s = (digitAt(a, p) || 0) + (digitAt(b, p) || 0) + carry;
+      put(result, p, box('digit', p, s % 10));
+      carry = Math.floor(s / 10);
+    }
+    return { rows: [carries, fixedRow(a, width), fixedRow(b, width, '+'), result], cells, result: String(sum) };
+  }
+
+  if (op === '-') {
+    const diff = a - b, width = String(a).length;
+    const carries = row(width, { carries: true }), result = row(width, { line: true });
+    let borrow = 0;
+    for (let p = 0; p < width; p++) {
+      if (p > 0) put(carries, p, box('carry', p, borrow));
+      let d = digitAt(a, p) - (digitAt(b, p) || 0) - borrow;
+      borrow = d < 0 ? 1 : 0;
+      if (d < 0) d += 10;
+      if (p < String(diff).length) put(result, p, box('digit', p, d));
+    }
+    return { rows: [fixedRow(a, width), carries, fixedRow(b, width, '−'), result], cells, result: String(diff) };
+  }
+
+  if (op === '*' && (a === 0 || b === 0)) {
+    // by 0 there is nothing to carry: a single box for the 0
+    const width = String(a).length, result = row(width, { line: true });
+    put(result, 0, box('digit', 0, 0));
+    return { rows: [fixedRow(a, width), fixedRow(b, width, '×'), result], cells, result: '0' };
+  }
+
+  if (op === '*') {
+    const product = a * b, width = String(product).length, factors = String(b).length;
+    const carryRows = [], partials = [];
+    for (let j = 0; j < factors; j++) {
+      const m = digitAt(b, j);
+      const carries = row(width, { carries: true, factor: m }), partial = row(width, { line: j === 0, factor: m });
+      let carry = 0;
+      for (let p = 0; p < String(a).length || carry > 0; p++) {
+        if (p > 0 && p < String(a).length) put(carries, p, box('carry', p, carry, { factor: m }));
+        const s = (digitAt(a, p) || 0) * m + carry;
+        put(partial, p + j, box(factors > 1 ? 'partial' : 'digit', p + j, s % 10, { factor: m }));
+        carry = Math.floor(s / 10);
+      }
+      carryRows.unshift(carries);
+      partials.push(partial);
+    }
+    const rows = carryRows.concat([fixedRow(a, width), fixedRow(b, width, '×')]);
+    if (factors === 1) return { rows: rows.concat(partials), cells, result: String(product) };
+    // add the partial products
+    const carries = row(width, { carries: true }), result = row(width, { line: true });
+    let carry = 0;
+    for (let p = 0; p < width; p++) {
+      if (p > 0) put(carries, p, box('carry', p, carry));
+      const s = partials.reduce((t, r) => { const c = r.cells[width - 1 - p]; return t + (c ? Number(c.expect) : 0); }, carry);
+      put(result, p, box('digit', p, s % 10));
+      carry = Math.floor(s / 10);
+    }
+    return { rows: rows.concat([carries], partials, [result]), cells, result: String(product) };
+  }
+
+  // long division: quotient under the divisor, each partial remainder under the dividend
+  // with the next digit brought down
+  const digits = String(a), width = digits.length;
+  let first = 1;
+  while (first < width && Number(digits.slice(0, first)) < b) first++;
+  const steps = width - first + 1;
+  const rows = [fixedRow(a, width)], quotient = row(Math.max(String(b).length, steps), { line: true });
+  let rest = 0, q = '';
+  for (let k = 0; k < steps; k++) {
+    const partial = k === 0 ? Number(digits.slice(0, first)) : rest * 10 + Number(digits[first - 1 + k]);
+    const qk = Math.floor(partial / b);
+    quotient.cells[k] = box('quotient', steps - 1 - k, qk);
+    rest = partial - qk * b;
+    q += qk;
+    const r = row(width);
+    const shown = String(rest), end = first - 1 + k;
+    shown.split('').forEach((d, i) => { r.cells[end - shown.length + 1 + i] = box('rest', shown.length - 1 - i, d, { partial, taken: qk * b }); });
+    if (k < steps - 1) r.cells[end + 1] = { fixed: digits[end + 1] };
+    rows.push(r);
+  }
+  const divisor = row(quotient.cells.length);
+  String(b).split('').forEach((d, i) => { divisor.cells[i] = { fixed: d }; });
+  return { rows, side: [divisor, quotient], cells, result: String(Number(q)), remainder: String(rest) };
+}
+
+function scratchpadLabel(c) {
+  const place = PLACE_NAMES[c.place] || `posición ${c.place + 1}`;
+  return `${{ carry: 'Llevada', digit: 'Resultado', partial: `Producto por ${c.factor}`, quotient: 'Cociente', rest: 'Resto' }[c.role]}, ${place}`;
+}
+
+// What to look at again when a box is wrong
+function scratchpadHint(c) {
+  const place = PLACE_NAMES[c.place] || `la posición ${c.place + 1}`;
+  if (c.role === 'carry') return c.factor != null ? `Revisa la llevada al multiplicar por ${c.factor} en las ${place}.` : `Revisa la llevada en las ${place}.`;
+  if (c.role === 'partial') return `Revisa el producto por ${c.factor} en las ${place}.`;
+  if (c.role === 'quotient') return `Revisa la cifra del cociente en las ${place}: ¿cuántas veces cabe el divisor?`;
+  if (c.role === 'rest') return `Revisa lo que sobra (${c.partial} − ${c.taken}) en las ${place}.`;
+  return `Revisa el resultado en las ${place}.`;
+}
+
+function scratchpadGridHtml(rows) {
+  return `<div class="sp-grid">${rows.map(r => `<div class="sp-row${r.line ? ' sp-line' : ''}${r.carries ? ' sp-carries' : ''}"${r.carries && r.factor != null ? ` title="Llevadas al multiplicar por ${r.factor}"` : ''}><span class="sp-sign">${r.sign || ''}</span>${r.cells.map(c => !c ? '<span class="sp-cell"></span>'
+    : c.fixed != null ? `<span class="sp-cell sp-fixed">${c.fixed}</span>`
+    : `<input type="text" class="sp-cell sp-in" data-cell="${c.index}" maxlength="1" inputmode="numeric" autocomplete="off" aria-label="${scratchpadLabel(c)}">`).join('')}</div>`).join('')}</div>`;
+}
+
+function openScratchpad(stepProblem) {
+  const pad = $('#scratchpad');
+  pad.classList.remove('hidden-view');
+  if (!state.selectedOperation) {
+    state.scratchpad = null;
+    pad.innerHTML = '<p class="sp-feedback">Elige primero la operación.</p>';
+    return;
+  }
+  const numbers = scratchpadNumbers(stepProblem);
+  if (!numbers) return;
+  const model = scratchpadModel(state.selectedOperation, numbers);
+  state.scratchpad = model.error ? null : { ...model, op: state.selectedOperation, done: false };
+  if (model.error) { pad.innerHTML = `<p class="sp-feedback">${model.error}</p>`; return; }
+  pad.innerHTML = `
+    <div class="sp-sheet">${scratchpadGridHtml(model.rows)}${model.side ? `<div class="sp-side">${scratchpadGridHtml(model.side)}</div>` : ''}</div>
+    <p id="scratchpad-feedback" class="sp-feedback" aria-live="polite">${model.side ? 'Empieza por la primera cifra del cociente.' : 'Empieza por las unidades. Las llevadas son opcionales.'}</p>`;
+  const firstBox = model.cells.find(c => c.role !== 'carry');
+  if (firstBox) pad.querySelector(`[data-cell="${firstBox.index}"]`).focus();
+}
+
+function onScratchpadInput(e) {
+  const el = e.target.closest('.sp-in');
+  const sp = state.scratchpad;
+  if (!el || !sp) return;
+  el.value = el.value.replace(/\D/g, '').slice(-1);
+  const c = sp.cells[Number(el.dataset.cell)];
+  c.value = el.value;
+  const wrong = c.value !== '' && c.value !== c.expect;
+  el.classList.toggle('sp-ok', c.value !== '' && !wrong);
+  el.classList.toggle('sp-bad', wrong);
+  const feedback = $('#scratchpad-feedback');
+  if (wrong) { feedback.textContent = scratchpadHint(c); feedback.classList.add('sp-error'); return; }
+  feedback.textContent = ''; feedback.classList.remove('sp-error');
+  if (c.value === '') return;
+  const complete = sp.cells.every(x => x.role === 'carry' ? x.value === '' || x.value === x.expect : x.value === x.expect);
+  if (complete) return finishScratchpad();
+  // carries are not required, so the cursor only visits the digits
+  const next = sp.cells.find(x => x.index > c.index && x.role !== 'carry' && x.value !== x.expect) || sp.cells.find(x => x.role !== 'carry' && x.value !== x.expect);
+  if (next && c.role !== 'carry') $('#scratchpad').querySelector(`[data-cell="${next.index}"]`).focus();
+}
+
+function finishScratchpad() {
+  const sp = state.scratchpad;
+  if (sp.done) return;
+  sp.done = true;
+  $('#calculation-input').value = sp.result;
+  const remainderInput = $('#remainder-input');
+  if (remainderInput && sp.remainder != null) remainderInput.value = sp.remainder;
+  const feedback = $('#scratchpad-feedback');
+  feedback.textContent = `¡Cuenta terminada! ${sp.result}${sp.remainder != null && sp.remainder !== '0' ? ` y sobran ${sp.remainder}` : ''}: ya está en el resultado. Pulsa «Comprobar».`;
+  feedback.classList.add('sp-done');
+  announce(feedback.textContent);
+}
+
+// -------- Paso 3: errores típicos --------
+// A wrong result is compared with the usual slips before the generic "Revisa la operación":
+// the author's messages for given answers, the inverse operation (+/− in CAMBIO and COMPARACION),
+// adding instead of multiplying, another operation on the same data, the result of the wrong step
+// (multi-step problems), a forgotten carry, swapped digits and a result one off. The message is
+// shown under the result and said by the avatar.
+// Authors add their own with `errorFeedback` (`step` is 1-based and only used in multi-step problems):
+//   errorFeedback: [{ answer: '11', message: 'Has sumado, pero Luis tiene menos cromos que Ana.', step: 2 }]
+const OPERATION_VERBS = { '+': 'sumado', '-': 'restado', '*': 'multiplicado', '/': 'dividido' };
+
+// Editor textarea format: one per line, "respuesta | mensaje", "Paso 2: respuesta | mensaje" in multi-step problems
+function parseErrorFeedback(text) {
+  return String(text || '').split(/\r?\n/).map(l => l.trim()).filter(Boolean).map(line => {
+    const m = /^paso\s*(\d+)\s*:\s*(.*)$/i.exec(line);
+    const [answer, ...rest] = (m ? m[2] : line).split('|');
+    return { answer: answer.trim(), message: rest.join('|').trim(), step: m ? Number(m[1]) : undefined };
+  }).filter(e => e.answer && e.message);
+}
+
+function formatErrorFeedback(list) {
+  if (!Array.isArray(list)) return '';
+  return list.map(e => `${e.step ? `Paso ${e.step}: ` : ''}${e.answer} | ${e.message}`).join('\n');
+}
+
+// returns an error message or null
+function errorFeedbackError(list) {
+  if (list == null) return null;
+  if (!Array.isArray(list)) return 'errorFeedback debe ser un array.';
+  if (list.some(e => !e || typeof e.answer !== 'string' || !e.answer.trim() || typeof e.message !== 'string' || !e.message.trim())) return 'Cada entrada de errorFeedback necesita answer y message.';
+  if (list.some(e => e.step != null && !(Number.isInteger(e.step) && e.step >= 1))) return 'errorFeedback.step debe ser un número de paso (1, 2…).';
+  return null;
+}
+
+const sameNumber = (u, v) => Number.isFinite(u) && Number.isFinite(v) && Math.abs(u - v) <= 1e-9 * Math.max(1, Math.abs(v));
+
+// Results each operation can give with two data, in either order
+function operationResults(x, y) {
+  return { '+': [x + y], '-': [x - y, y - x], '*': [x * y], '/': [x / y, y / x] };
+}
+
+// The step's known data as numbers (two of them), else null
+function stepOperands(step) {
+  const def = getProblemType(step && step.type);
+  if (!def || !step.data) return null;
+  const values = def.keys.filter(k => k !== def.remainder && step.data[k] !== '?').map(k => quantityValue(norm(step.data[k])));
+  return values.length === 2 && values.every(Number.isFinite) ? values : null;
+}
+
+// Digit by digit without carrying: 38 + 45 -> 73, 63 - 27 -> 44 (smaller from larger) or 46 (carry lost)
+function withoutCarries(op, a, b) {
+  const width = Math.max(String(a).length, String(b).length);
+  const out = { lost: '', flipped: '' };
+  for (let p = width - 1; p >= 0; p--) {
+    const x = digitAt(a, p) || 0, y = digitAt(b, p) || 0;
+    if (op === '+') out.lost += (x + y) % 10;
+    else { out.lost += (x - y + 10) % 10; out.flipped += Math.abs(x - y); }
+  }
+  return { lost: Number(out.lost), flipped: out.flipped ? Number(out.flipped) : NaN };
+}
+
+// -> { kind, message } for a recognised mistake, else null
+function diagnoseStep3(stepProblem, op, typed) {
+  const problem = state.currentProblem || {};
+  const multi = isMultiStep(problem);
+  const own = (Array.isArray(problem.errorFeedback) ? problem.errorFeedback : []).find(e => (!multi || !e.step || e.step === state.currentStep + 1)
+    && (norm(e.answer) === norm(typed) || sameQuantity(norm(e.answer), norm(typed), 'equivalente')));
+  if (own) return { kind: 'author', message: own.message };
+
+  const value = quantityValue(norm(typed)), expected = quantityValue(norm(stepProblem.answer));
+  const data = stepOperands(stepProblem);
+  if (!Number.isFinite(value) || !Number.isFinite(expected) || sameNumber(value, expected)) return null;
+
+  // multi-step: an earlier result, or this step done with the wrong one
+  if (multi && state.currentStep > 0) {
+    const earlier = problem.steps.slice(0, state.currentStep);
+    const repeated = earlier.findIndex(s => sameNumber(quantityValue(norm(s.answer)), value));
+    if (repeated >= 0) return { kind: 'step', message: `Ese es el resultado del paso ${repeated + 1}. Ahora úsalo para seguir: ¿qué operación hace falta con él?` };
+    const original = problem.steps[state.currentStep].data || {};
+    for (const [key, ref] of Object.entries(original)) {
+      if (!isStepReference(ref)) continue;
+      const target = stepReferenceTarget(ref, state.currentStep);
+      const other = stepProblem.data ? Object.entries(stepProblem.data).find(([k, v]) => k !== key && v !== '?' && Number.isFinite(quantityValue(norm(v)))) : null;
+      const wrong = earlier.findIndex((s, j) => j !== target && other && operationResults(quantityValue(norm(s.answer)), quantityValue(norm(other[1])))[stepProblem.operation].some(r => sameNumber(r, value)));
+      if (wrong >= 0) return { kind: 'step', message: `Has usado el resultado del paso ${wrong + 1}, pero aquí va el del paso ${target + 1}.` };
+    }
+  }
+
+  if (data) {
+    const results = operationResults(data[0], data[1]);
+    const used = [op].concat(OPERATIONS).find(o => results[o] && results[o].some(r => sameNumber(r, value)));
+    if (used && used !== stepProblem.operation) {
+      const inverse = [used, stepProblem.operation].sort().join('') === '+-';
+      if (inverse && (stepProblem.type === 'COMPARACION' || stepProblem.type === 'CAMBIO')) {
+        return { kind: 'inverse', message: stepProblem.type === 'COMPARACION'
+          ? `Has ${OPERATION_VERBS[used]}, y es la operación contraria. «Más que» no siempre es sumar ni «menos que» restar: ¿lo que buscas es mayor o menor que el otro dato?`
+          : `Has ${OPERATION_VERBS[used]}, y es la operación contraria. Imagina la historia: ¿lo que buscas es más o menos que lo que ya sabes?` };
+      }
+      if (used === '+' && stepProblem.operation === '*') return { kind: 'add-for-multiply', message: 'Has sumado los datos, pero aquí hay grupos iguales que se repiten: eso se calcula multiplicando.' };
+      return { kind: 'operation', message: `Ese número sale si los has ${OPERATION_VERBS[used]}, pero esta historia no se resuelve así. Vuelve al esquema del paso 2.` };
+    }
+    const whole = data.concat(value, expected).every(n => Number.isInteger(n) && n >= 0);
+    if (whole && (stepProblem.operation === '+' || stepProblem.operation === '-')) {
+      const [a, b] = stepProblem.operation === '-' ? data.slice().sort((x, y) => y - x) : data;
+      const slip = withoutCarries(stepProblem.operation, a, b);
+      const place = () => {
+        const typedText = String(value), expectedText = String(expected);
+        for (let p = 0; p < Math.max(typedText.length, expectedText.length); p++) if (digitAt(typedText, p) !== digitAt(expectedText, p)) return PLACE_NAMES[p] || 'cifras grandes';
+        return '';
+      };
+      if (sameNumber(slip.flipped, value)) {
+        // the column where the top digit was the smaller one
+        const column = String(a).split('').reverse().findIndex((x, p) => Number(x) < (digitAt(b, p) || 0));
+        return { kind: 'carry', message: `En las ${PLACE_NAMES[column] || 'cifras grandes'} has quitado el número pequeño del grande. Cuando arriba hay menos, hay que llevarse una.` };
+      }
+      if (sameNumber(slip.lost, value)) return { kind: 'carry', message: `Te has olvidado de la llevada en las ${place()}.` };
+    }
+  }
+
+  const digits = (n) => String(n).split('').sort().join('');
+  if (Number.isInteger(value) && Number.isInteger(expected) && String(value).length === String(expected).length && digits(value) === digits(expected)) {
+    return { kind: 'swap', message: 'Las cifras son las buenas, pero están cambiadas de sitio. Escribe cada una en su lugar: unidades, decenas…' };
+  }
+  if (sameNumber(Math.abs(value - expected), 1)) return { kind: 'off-by-one', message: `¡Casi! Te has ${value > expected ? 'pasado' : 'quedado corto'} por 1. Repasa la cuenta con calma.` };
+  return null;
+}
+
+// Expected remainder when the step asks for it (remainder key is '?'), else null.
+// keys[0] is the total; the known one of keys[1]/keys[2] is the divisor.
+function expectedRemainder(step) {
+  const def = getProblemType(step && step.type);
+  if (!def || !def.remainder || step.data[def.remainder] !== '?') return null;
+  if (step.remainder != null && String(step.remainder).trim() !== '') return norm(step.remainder);
+  const [totalKey, aKey, bKey] = def.keys;
+  const total = quantityValue(norm(step.data[totalKey]));
+  const divisor = quantityValue(norm(step.data[aKey] === '?' ? step.data[bKey] : step.data[aKey]));
+  const quotient = quantityValue(norm(step.answer));
+  const r = total - divisor * quotient;
+  return [total, divisor, quotient].every(Number.isFinite) ? String(r) : null;
+}
+
+function setupStep3(stepProblem) {
+  const container = $('#operations-container');
+  container.innerHTML = '';
+  state.selectedOperation = null;
+  $('#calculation-input').value = '';
+  $('#feedback-step3').classList.add('opacity-0');
+  $('#check-step3-btn').disabled = false;
+  startStepTimer(3);
+
+  // column scratchpad, only for whole-number data
+  state.scratchpad = null;
+  const pad = $('#scratchpad');
+  pad.innerHTML = ''; pad.classList.add('hidden-view');
+  pad.oninput = onScratchpadInput;
+  $('#scratchpad-btn').classList.toggle('hidden-view', !scratchpadNumbers(stepProblem));
+  $('#scratchpad-btn').onclick = () => openScratchpad(stepProblem);
+
+  // division with remainder: a second box for the "resto"
+  const oldRemainder = $('#remainder-input'); if (oldRemainder) oldRemainder.remove();
+  const calc = $('#calculation-input');
+  const unit = quantityUnit(norm(stepProblem.answer));
+  calc.placeholder = unit ? `Resultado (${unit})` : 'Resultado';
+  if (expectedRemainder(stepProblem) != null) {
+    calc.placeholder = 'Cociente';
+    calc.insertAdjacentHTML('afterend', `<input type="text" id="remainder-input" placeholder="Resto" aria-label="Resto de la división" class="mt-4 ml-2 w-24 text-lg px-4 py-2 border-2 border-gray-300 rounded-lg">`);
+  }
+
+  OPERATIONS.forEach(op => {
+    const btn = document.createElement('button');
+    btn.textContent = op;
+    btn.className = 'op-btn text-2xl font-bold w-12 h-12 rounded-full border-2 border-gray-300 transition';
+    btn.setAttribute('role','button');
+    btn.setAttribute('title', `Operación ${op}`);
+    btn.setAttribute('aria-pressed','false');
+    btn.onclick = () => {
+      // use semantic selected class so styles are centralized in CSS
+      document.querySelectorAll('.op-btn').forEach(b => { b.classList.remove('bg-selected'); b.setAttribute('aria-pressed','false'); });
+      btn.classList.add('bg-selected');
+      btn.setAttribute('aria-pressed','true');
+      state.selectedOperation = op;
+      // an open scratchpad follows the new operation
+      if (!$('#scratchpad').classList.contains('hidden-view')) openScratchpad(stepProblem);
+    };
     container.appendChild(btn);
   });
 }
@@ -1010,17 +3083,76 @@ function setupStep4(stepProblem) {
   $('#feedback-step4').classList.add('opacity-0');
   $('#check-step4-btn').disabled = false;
   state.logicCorrect = false;
+  startStepTimer(4);
 
+  const logic = getLogicCheck(state.currentProblem);
   const logicContainer = $('#logic-check-container');
   logicContainer.innerHTML = `
-    <p class="italic text-gray-600">${state.currentProblem.logicCheck || ''}</p>
-    <div class="flex gap-4 mt-2">
-      <button id="logic-yes" class="logic-btn font-bold py-2 px-4 rounded-lg border-2 border-gray-300">Sí</button>
-      <button id="logic-no" class="logic-btn font-bold py-2 px-4 rounded-lg border-2 border-gray-300">No</button>
-    </div>
+    <p class="italic text-gray-600" id="logic-question"></p>
+    <div class="flex flex-wrap gap-4 mt-2" id="logic-options" role="group" aria-labelledby="logic-question"></div>
+    <p id="logic-explanation" class="text-sm mt-2 hidden" aria-live="polite"></p>
   `;
-  $('#logic-yes').onclick = (e) => checkLogic(true, e.currentTarget);
-  $('#logic-no').onclick = (e) => checkLogic(false, e.currentTarget);
+  $('#logic-question').textContent = logic.question;
+  logic.options.forEach((opt, i) => {
+    const btn = document.createElement('button');
+    btn.type = 'button';
+    btn.className = 'logic-btn font-bold py-2 px-4 rounded-lg border-2 border-gray-300';
+    btn.textContent = opt.text;
+    // keep the historical ids on the Sí/No pair
+    if (logic.yesNo) btn.id = i === 0 ? 'logic-yes' : 'logic-no';
+    btn.onclick = (e) => checkLogic(opt.correct, e.currentTarget, opt.explanation);
+    $('#logic-options').appendChild(btn);
+  });
+}
+
+// ---- Comprobación lógica (paso 4)
+// Problems may set `logicAnswer` ('Sí' | 'No', default 'Sí') and/or `logicOptions`
+// ([{ text, correct, explanation? }]). Problems without either keep the original
+// Sí/No question where "Sí" is the right answer.
+function getLogicCheck(problem) {
+  const p = problem || {};
+  const question = p.logicCheck || '¿La respuesta es lógica?';
+  const options = Array.isArray(p.logicOptions) ? p.logicOptions.filter(o => o && String(o.text || '').trim()) : [];
+  if (options.length >= 2 && options.some(o => o.correct === true)) {
+    return { question, yesNo: false, options: options.map(o => ({ text: String(o.text).trim(), correct: o.correct === true, explanation: o.explanation ? String(o.explanation) : '' })) };
+  }
+  const expectsNo = normalizeLogicAnswer(p.logicAnswer) === 'No';
+  return { question, yesNo: true, options: [{ text: 'Sí', correct: !expectsNo, explanation: '' }, { text: 'No', correct: expectsNo, explanation: '' }] };
+}
+
+// 'No' for "No" and false (also the string "false"), 'Sí' otherwise
+function normalizeLogicAnswer(v) {
+  if (v === false) return 'No';
+  return /^\s*(no|false)\s*$/i.test(String(v == null ? '' : v)) ? 'No' : 'Sí';
+}
+
+// Editor textarea format: one option per line, "*" marks the right one(s) and
+// " | " separates the explanation shown after answering.
+//   * Sí, porque 8 es mayor que 6 | Al recibir más, tengo más que al principio.
+//   No | Si me regalan manzanas no puedo tener menos.
+function parseLogicOptions(text) {
+  return String(text || '').split(/\r?\n/).map(l => l.trim()).filter(Boolean).map(line => {
+    const correct = line.startsWith('*');
+    const [label, ...rest] = line.replace(/^\*\s*/, '').split('|');
+    return { text: label.trim(), correct, explanation: rest.join('|').trim() };
+  }).filter(o => o.text);
+}
+
+function formatLogicOptions(options) {
+  if (!Array.isArray(options)) return '';
+  return options.map(o => `${o.correct ? '* ' : ''}${o.text || ''}${o.explanation ? ' | ' + o.explanation : ''}`).join('\n');
+}
+
+// returns an error message or null
+function validateLogicConfig(p) {
+  if (p.logicAnswer != null && !['sí', 'si', 'no', 'true', 'false'].includes(String(p.logicAnswer).trim().toLowerCase())) return "logicAnswer debe ser 'Sí' o 'No'.";
+  if (p.logicOptions == null) return null;
+  if (!Array.isArray(p.logicOptions)) return 'logicOptions debe ser un array.';
+  if (p.logicOptions.length < 2) return 'logicOptions necesita al menos 2 opciones.';
+  if (p.logicOptions.some(o => !o || typeof o.text !== 'string' || !o.text.trim())) return 'Cada opción de logicOptions necesita un text.';
+  if (p.logicOptions.some(o => o.correct != null && typeof o.correct !== 'boolean')) return 'correct debe ser true o false en cada opción de logicOptions.';
+  if (!p.logicOptions.some(o => o.correct === true)) return 'logicOptions debe marcar al menos una opción como correct.';
+  return null;
 }
 
 // ---- Validaciones
@@ -1032,9 +3164,11 @@ function validateStep1(stepProblem) {
     const expectedValue = stepProblem.data[key];
     const child = slot.firstChild;
     if (expectedValue === '?') { if (child) correct = false; }
-    else if (expectedValue === 'RESULTADO_ANTERIOR') { if (child) correct = false; }
-    else { if (!child || child.textContent != expectedValue) correct = false; }
+    else if (isStepReference(expectedValue)) { if (child) correct = false; }
+    else { if (!child || (child.textContent != expectedValue && !sameQuantity(child.textContent, expectedValue))) correct = false; }
   });
+  const placed = keys.map(key => { const slot = document.getElementById(`slot-${key}`); return `${key}=${slot && slot.firstChild ? slot.firstChild.textContent : ''}`; }).join('; ');
+  recordStepEvent({ step: 1, value: placed, correct });
   const feedback = $('#feedback-step1');
   feedback.classList.remove('opacity-0');
   if (correct) {
@@ -1048,23 +3182,40 @@ function validateStep1(stepProblem) {
   }
 }
 
+// Typed result against the expected one: 8 = 8,0 = "8 €"; fractions, decimals and percentages
+// follow the problem's `answerEquivalence` (by default 1/2 must be written as a fraction).
+// Measures are converted (150 cm = 1,5 m) except in conversion steps, where converting is the exercise.
+function answerMatches(typed, expected, problem, step) {
+  const a = norm(typed), b = norm(expected);
+  const def = getProblemType(step && step.type);
+  if (parseQuantity(a) && parseQuantity(b)) return sameQuantity(a, b, problem && problem.answerEquivalence, { convert: !(def && def.conversion) });
+  return a === b;
+}
+
 function validateStep3(stepProblem) {
-  const userAnswer = norm($('#calculation-input').value);
-  const correct = (state.selectedOperation === stepProblem.operation && userAnswer === norm(stepProblem.answer));
+  const userAnswer = $('#calculation-input').value;
+  const remainder = expectedRemainder(stepProblem);
+  const remainderInput = $('#remainder-input');
+  const remainderOk = remainder == null || (remainderInput && norm(remainderInput.value) === remainder);
+  const quotientOk = state.selectedOperation === stepProblem.operation && answerMatches(userAnswer, stepProblem.answer, state.currentProblem, stepProblem);
+  const correct = quotientOk && remainderOk;
+  const value = $('#calculation-input').value + (remainderInput ? ` resto ${remainderInput.value}` : '');
+  recordStepEvent({ step: 3, operation: state.selectedOperation, value, correct });
   const feedback = $('#feedback-step3');
   feedback.classList.remove('opacity-0');
 
   if (correct) {
   feedback.textContent = '¡Cálculo correcto!'; feedback.style.color = '#10B981';
     $('#check-step3-btn').disabled = true;
+    if (state.estimate) showEstimateFeedback(stepProblem);
+    // the number line can now show where the unknown falls
+    state.step3Solved = true;
+    if ($('#cpa-container .number-line') && $('#tab-pictorico.active')) renderPictorial(stepProblem.cpa || synthesizeCPA(stepProblem), stepProblem, $('#cpa-container'), { reveal: true });
   try { avatarStepAnnounce(2, 'correct'); } catch(e){}
 
-    if (state.currentProblem.type === 'DOS_OPERACIONES' && state.currentStep === 0) {
+    if (isMultiStep(state.currentProblem) && state.currentStep < state.currentProblem.steps.length - 1) {
       state.currentStep++;
-      const nextStepProblem = JSON.parse(JSON.stringify(state.currentProblem.steps[1]));
-      for (const key in nextStepProblem.data) {
-        if (nextStepProblem.data[key] === 'RESULTADO_ANTERIOR') nextStepProblem.data[key] = stepProblem.answer;
-      }
+      const nextStepProblem = resolveStepData(state.currentProblem, state.currentStep);
   // animate transition and update progress
   animateHide($('#step-1'));
   setTimeout(() => { setupStep1(nextStepProblem); updateGameProgress(); }, 520);
@@ -1073,52 +3224,1033 @@ function validateStep3(stepProblem) {
   setTimeout(() => { setupStep4(stepProblem); updateGameProgress(); }, 220);
     }
   } else {
-  feedback.textContent = 'Revisa la operación o el resultado.'; feedback.style.color = '#EF4444';
-  try { avatarStepAnnounce(2, 'incorrect'); } catch(e){}
+  const diagnosis = quotientOk ? null : diagnoseStep3(stepProblem, state.selectedOperation, userAnswer);
+  feedback.textContent = quotientOk && !remainderOk ? 'El cociente está bien. Revisa el resto: lo que sobra al repartir.' : diagnosis ? diagnosis.message : 'Revisa la operación o el resultado.'; feedback.style.color = '#EF4444';
+  try { avatarStepAnnounce(2, 'incorrect', diagnosis && diagnosis.message); } catch(e){}
+  }
+}
+
+function checkLogic(isLogical, element, explanation) {
+  document.querySelectorAll('.logic-btn').forEach(b => { b.classList.remove('bg-green-500', 'text-white', 'bg-red-500'); b.setAttribute('aria-pressed', 'false'); });
+  element.setAttribute('aria-pressed', 'true');
+  if (isLogical) { element.classList.add('bg-green-500', 'text-white'); state.logicCorrect = true; }
+  else { element.classList.add('bg-red-500', 'text-white'); state.logicCorrect = false; }
+  const expl = $('#logic-explanation');
+  if (expl) {
+    expl.textContent = explanation || '';
+    expl.classList.toggle('hidden', !explanation);
+    expl.style.color = isLogical ? '#047857' : '#B91C1C';
+  }
+}
+
+function validateStep4(stepProblem) {
+  const userAnswer = $('#full-answer-input').value.trim();
+  const grading = gradeFullAnswer(userAnswer, state.currentProblem);
+  const correct = state.logicCorrect && grading.ok;
+  recordStepEvent({ step: 4, value: userAnswer, correct, logicCorrect: !!state.logicCorrect });
+
+  const feedback = $('#feedback-step4');
+  feedback.classList.remove('opacity-0');
+  if (correct) {
+  feedback.textContent = '¡Problema resuelto!'; feedback.style.color = '#10B981';
+  try { avatarStepAnnounce(3, 'correct'); } catch(e){}
+    $('#check-step4-btn').disabled = true;
+
+    const finalButtonsContainer = $('#final-buttons-container');
+    finalButtonsContainer.innerHTML = `
+      <button id="btn-explain" class="font-bold text-white bg-purple-500 hover:bg-purple-600 px-8 py-3 rounded-lg">✨ Explicar Razonamiento</button>
+      <button id="btn-choose" class="font-bold text-white bg-green-500 hover:bg-green-600 px-8 py-3 rounded-lg">Elegir Otro Problema →</button>
+      <button id="btn-recommended" class="font-bold text-white bg-indigo-500 hover:bg-indigo-600 px-8 py-3 rounded-lg">🎯 Siguiente recomendado</button>
+    `;
+  $('#btn-explain').onclick = () => showToast("¡Genial! Identificaste los datos, razonaste con el diagrama, elegiste la operación correcta y escribiste una respuesta completa.", 'success');
+    $('#btn-choose').onclick = () => showProblemSelection();
+    $('#btn-recommended').onclick = () => playRecommendedProblem();
+    if (state.session) markSessionProblemSolved();
+    updateGameProgress(true);
+    recordProblemSolved(state.currentProblem);
+  } else {
+  feedback.textContent = !grading.ok ? grading.feedback : 'Revisa la valoración: ¿la respuesta es lógica?'; feedback.style.color = '#EF4444';
+  try { avatarStepAnnounce(3, 'incorrect'); } catch(e){}
+  }
+}
+
+// -------- Corrección de la respuesta completa --------
+// The sentence typed in step 4 is read as a child would write it: digits with a
+// decimal comma ("8,0", "1.250,5") or Spanish number words ("ocho", "veintiuno"),
+// fractions and percentages ("3/4", "tres cuartos", "25 %", "veinticinco por ciento"),
+// a unit when the answer has one ("13 €" / "13 euros") and the key noun of the
+// answer ("manzanas"). `answerStrictness` picks how much of that is required and
+// `answerEquivalence` whether 0,5 may stand for 1/2 or 50 %.
+const ANSWER_STRICTNESS = {
+  numero: 'Solo el número',
+  normal: 'Número y de qué es (unidad o nombre)',
+  estricta: 'Frase completa con número y de qué es'
+};
+const NUMBER_WORDS = {
+  cero: 0, un: 1, uno: 1, una: 1, dos: 2, tres: 3, cuatro: 4, cinco: 5, seis: 6, siete: 7, ocho: 8, nueve: 9,
+  diez: 10, once: 11, doce: 12, trece: 13, catorce: 14, quince: 15, dieciseis: 16, diecisiete: 17, dieciocho: 18, diecinueve: 19,
+  veinte: 20, veintiun: 21, veintiuno: 21, veintiuna: 21, veintidos: 22, veintitres: 23, veinticuatro: 24, veinticinco: 25,
+  veintiseis: 26, veintisiete: 27, veintiocho: 28, veintinueve: 29,
+  treinta: 30, cuarenta: 40, cincuenta: 50, sesenta: 60, setenta: 70, ochenta: 80, noventa: 90,
+  cien: 100, ciento: 100, doscientos: 200, doscientas: 200, trescientos: 300, trescientas: 300, cuatrocientos: 400, cuatrocientas: 400,
+  quinientos: 500, quinientas: 500, seiscientos: 600, seiscientas: 600, setecientos: 700, setecientas: 700,
+  ochocientos: 800, ochocientas: 800, novecientos: 900, novecientas: 900
+};
+// "tres cuartos": denominators said as words
+const FRACTION_WORDS = {
+  medio: 2, medios: 2, media: 2, medias: 2, tercio: 3, tercios: 3, cuarto: 4, cuartos: 4, quinto: 5, quintos: 5,
+  sexto: 6, sextos: 6, septimo: 7, septimos: 7, octavo: 8, octavos: 8, noveno: 9, novenos: 9, decimo: 10, decimos: 10,
+  centesimo: 100, centesimos: 100
+};
+const QUANTITY_KIND_NAMES = { number: 'número decimal', fraction: 'fracción', percent: 'porcentaje' };
+// canonical unit -> ways a child may write it (accents already stripped): the units of shared/quantities.js and %
+const ANSWER_UNITS = { ...Object.fromEntries(Object.entries(UNITS).map(([u, def]) => [u, def.names])), '%': ['%', 'por ciento'] };
+// generic words in labels that never name what is being counted
+const ANSWER_GENERIC_WORDS = new Set(['cantidad', 'cantidades', 'inicial', 'iniciales', 'final', 'finales', 'total', 'totales', 'parte', 'partes', 'cambio', 'mayor', 'menor', 'diferencia', 'unidad', 'veces', 'resultado', 'gasto', 'pago', 'dato', 'mas', 'menos', 'que', 'del', 'los', 'las', 'por', 'cada', 'con', 'para']);
+
+function foldText(text) {
+  return String(text || '').toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+}
+
+function tokenizeAnswer(text) {
+  return foldText(text).match(/\d+\s*\/\s*\d+|\d+(?:[.,]\d+)*|[a-zñ]+|[€$%]/g) || [];
+}
+
+// Digits, read as in step 3 (shared/quantities.js): "1.250,5" -> 1250.5; "8,0" -> 8; "1.250" -> 1250; "2.5" -> 2.5
+function parseDigitToken(tok) {
+  const v = parseDecimal(tok);
+  return [Number.isFinite(v) ? v : Number(tok.replace(/[.,]/g, ''))];
+}
+
+// -> [{ values: [n, ...], kind, index, end }] with token positions, so we can look at the words around each number.
+// Percentages are worth n/100 but keep the plain n as `raw` (older answers store "25" for "25 %").
+function extractAnswerNumbers(tokens) {
+  const found = [];
+  const push = (values, kind, index, end) => {
+    if (tokens[end + 1] === '%' || (tokens[end + 1] === 'por' && tokens[end + 2] === 'ciento')) {
+      found.push({ values: values.map(v => v / 100).concat(values), raw: values[0], kind: 'percent', index, end: end + (tokens[end + 1] === '%' ? 1 : 2) });
+    } else found.push({ values, kind, index, end });
+  };
+  for (let i = 0; i < tokens.length; i++) {
+    const tok = tokens[i];
+    if (tok.includes('/')) { found.push({ values: [quantityValue(tok)], kind: 'fraction', index: i, end: i }); continue; }
+    // mixed number "1 1/2"
+    if (/^\d+$/.test(tok) && /\//.test(tokens[i + 1] || '') && quantityValue(tokens[i + 1]) < 1) {
+      found.push({ values: [Number(tok) + quantityValue(tokens[i + 1])], kind: 'fraction', index: i, end: i + 1 }); i++; continue;
+    }
+    if (/^\d/.test(tok)) { push(parseDigitToken(tok), 'number', i, i); continue; }
+    if (!(tok in NUMBER_WORDS) && tok !== 'mil') continue;
+    let total = 0, current = 0, j = i;
+    for (; j < tokens.length; j++) {
+      const t = tokens[j];
+      if (t in NUMBER_WORDS) current += NUMBER_WORDS[t];
+      else if (t === 'mil') { total += (current || 1) * 1000; current = 0; }
+      else if (t === 'y' && tokens[j + 1] in NUMBER_WORDS && j > i) continue;
+      else break;
+    }
+    let value = total + current;
+    // "tres cuartos"
+    if (tokens[j] in FRACTION_WORDS && value > 0) { found.push({ values: [value / FRACTION_WORDS[tokens[j]]], kind: 'fraction', index: i, end: j }); i = j; continue; }
+    // "ocho coma cinco" / "ocho y medio"
+    if (tokens[j] === 'coma' && tokens[j + 1] in NUMBER_WORDS) { value += Number('0.' + NUMBER_WORDS[tokens[j + 1]]); j += 2; }
+    else if (tokens[j] === 'y' && (tokens[j + 1] === 'medio' || tokens[j + 1] === 'media')) { value += 0.5; j += 2; }
+    push([value], 'number', i, j - 1);
+    i = found[found.length - 1].end;
+  }
+  return found;
+}
+
+function answerUnitOf(tok) {
+  return Object.keys(ANSWER_UNITS).find(u => ANSWER_UNITS[u].includes(tok)) || null;
+}
+
+function answerStem(word) { return word.replace(/(es|s)$/, ''); }
+
+// What must accompany the number: the unit or noun that follows it in the author's
+// fullAnswer, otherwise the most specific word of the unknown's label.
+function getAnswerKeywords(problem, expected) {
+  const last = Array.isArray(problem.steps) && problem.steps.length ? problem.steps[problem.steps.length - 1] : problem;
+  const result = { unit: null, noun: null };
+  const tokens = tokenizeAnswer(problem.fullAnswer || '');
+  // the answer may appear several times ("50 - 37 = 13. Me devuelven 13€."): the last mention is the sentence
+  const hits = extractAnswerNumbers(tokens).filter(n => n.values.some(v => Math.abs(v - expected) < 1e-9)).reverse();
+  for (const hit of hits) {
+    // "25 %" when the stored answer is the plain 25: the % is the unit
+    if (hit.kind === 'percent' && Math.abs(hit.raw - expected) < 1e-9) { result.unit = '%'; break; }
+    for (let k = hit.end + 1; k < Math.min(tokens.length, hit.end + 3); k++) {
+      const t = tokens[k];
+      const unit = answerUnitOf(t);
+      if (unit) { result.unit = unit; break; }
+      if (t.length >= 3 && !ANSWER_GENERIC_WORDS.has(t) && !(t in NUMBER_WORDS)) { result.noun = t; break; }
+      if (!['de', 'del'].includes(t)) break;
+    }
+    if (result.unit || result.noun) break;
+  }
+  if (!result.unit && !result.noun && last && last.labels && last.data) {
+    const unknownKey = Object.keys(last.data).find(k => last.data[k] === '?') || Object.keys(last.labels).slice(-1)[0];
+    const label = String(last.labels[unknownKey] || '').replace(/\([^)]*\)/g, ' ');
+    const words = tokenizeAnswer(label).filter(w => /^[a-zñ]+$/.test(w));
+    result.unit = words.map(answerUnitOf).find(Boolean) || null;
+    if (!result.unit) result.noun = words.find(w => w.length >= 4 && !ANSWER_GENERIC_WORDS.has(w)) || null;
+  }
+  return result;
+}
+
+function getExpectedFinalAnswer(problem) {
+  const last = Array.isArray(problem.steps) && problem.steps.length ? problem.steps[problem.steps.length - 1] : problem;
+  return last ? last.answer : '';
+}
+
+// gradeFullAnswer(text, problem) -> { ok, code, feedback }
+function gradeFullAnswer(text, problem) {
+  const expectedRaw = getExpectedFinalAnswer(problem);
+  const expectedQ = parseQuantity(norm(expectedRaw));
+  const expected = expectedQ ? expectedQ.value : NaN;
+  const strictness = ANSWER_STRICTNESS[problem.answerStrictness] ? problem.answerStrictness : 'normal';
+  const tokens = tokenizeAnswer(text);
+  if (!tokens.length) return { ok: false, code: 'empty', feedback: 'Escribe la respuesta completa.' };
+  // Non-numeric answers (rare) keep the old plain-text check
+  if (!Number.isFinite(expected)) {
+    const ok = foldText(text).includes(foldText(expectedRaw));
+    return { ok, code: ok ? 'ok' : 'wrong-number', feedback: ok ? '' : 'Revisa tu respuesta.' };
+  }
+  const numbers = extractAnswerNumbers(tokens);
+  const keys = expectedQ.unit ? { unit: expectedQ.unit, noun: null } : getAnswerKeywords(problem, expected);
+  // a measure in another unit of the same magnitude counts once converted ("1,5 m" for 150 cm)
+  if (UNITS[keys.unit]) numbers.forEach(n => {
+    const unit = answerUnitOf(tokens[n.end + 1]);
+    if (unit && unit !== keys.unit && sameMagnitude(unit, keys.unit)) n.values = n.values.map(v => convertValue(v, unit, keys.unit));
+  });
+  const sameValue = n => n.values.some(v => Math.abs(v - expected) < 1e-9);
+  // fractions and percentages must keep their form unless the author accepts equivalents
+  const sameForm = n => problem.answerEquivalence === 'equivalente' || expectedQ.kind === 'number' || n.kind === expectedQ.kind;
+  const hit = numbers.find(n => sameValue(n) && sameForm(n));
+  const shown = formatQuantity(norm(expectedRaw), { withUnit: false });
+  if (!hit) {
+    if (!numbers.length) return { ok: false, code: 'no-number', feedback: `Falta el número de la respuesta. ¿Cuál fue el resultado del cálculo?` };
+    if (numbers.some(sameValue)) return { ok: false, code: 'other-form', feedback: `Tu resultado vale lo mismo, pero escríbelo como ${QUANTITY_KIND_NAMES[expectedQ.kind]}: ${shown}.` };
+    if (expectedQ.kind === 'percent' && numbers.some(n => n.values.some(v => Math.abs(v - expected * 100) < 1e-9))) {
+      return { ok: false, code: 'missing-unit', feedback: `Falta el símbolo %: escribe ${shown} o «${shown.replace('%', '')} por ciento».` };
+    }
+    const steps = Array.isArray(problem.steps) ? problem.steps.slice(0, -1) : [];
+    const partial = steps.some(st => numbers.some(n => n.values.some(v => Math.abs(v - quantityValue(norm(st.answer))) < 1e-9)));
+    return { ok: false, code: partial ? 'partial-result' : 'wrong-number', feedback: partial
+      ? 'Ese es el resultado de un paso intermedio. ¿Cuál es la respuesta final?'
+      : 'El número de tu frase no coincide con el resultado del cálculo.' };
+  }
+  // "no son 8": a negation right before the number flips the meaning
+  const before = tokens.slice(Math.max(0, hit.index - 2), hit.index);
+  if (before.includes('no') || before.includes('ni')) return { ok: false, code: 'negated', feedback: `Tu frase dice que no son ${shown}. Escribe la respuesta en positivo.` };
+  if (strictness === 'numero') return { ok: true, code: 'ok', feedback: '' };
+
+  if (keys.unit && !tokens.some(t => answerUnitOf(t) === keys.unit || sameMagnitude(answerUnitOf(t), keys.unit)) && !(keys.unit === '%' && /por ciento/.test(foldText(text)))) {
+    return { ok: false, code: 'missing-unit', feedback: `Falta la unidad: ¿${shown} qué? (${ANSWER_UNITS[keys.unit][ANSWER_UNITS[keys.unit].length - 1]})` };
+  }
+  if (keys.noun && !tokens.some(t => answerStem(t) === answerStem(keys.noun))) {
+    return { ok: false, code: 'missing-noun', feedback: `Falta decir de qué son los ${shown}.` };
+  }
+  if (strictness === 'estricta') {
+    const words = tokens.filter((t, i) => i < hit.index || i > hit.end).filter(t => /^[a-zñ]+$/.test(t) && !answerUnitOf(t));
+    if (words.length < 2) return { ok: false, code: 'not-sentence', feedback: `Escribe una frase completa${problem.fullAnswer ? `, por ejemplo: «${problem.fullAnswer}»` : '.'}` };
+  }
+  return { ok: true, code: 'ok', feedback: '' };
+}
+
+function updateGameProgress(final=false) {
+  try {
+    const progressEl = document.querySelector('#game-progress .bar');
+    if (!progressEl) return;
+    const totalSteps = 4; // we render 4 step containers but flow may skip
+    const stepIndex = final ? totalSteps : (state.currentStep + 1);
+    const pct = Math.min(100, Math.round((stepIndex / totalSteps) * 100));
+    progressEl.style.width = pct + '%';
+  } catch(e){}
+}
+
+// -------- Telemetría de pasos --------
+// Every check in steps 1, 3 and 4 is stored as a structured event so teachers can see
+// where children get stuck. Events are shared by all profiles and capped in size.
+const TELEMETRY_KEY = `${LS_KEY}_telemetry`;
+const TELEMETRY_MAX = 5000;
+const TELEMETRY_FIELDS = ['at', 'attemptId', 'profile', 'problemId', 'grade', 'type', 'part', 'stepType', 'step', 'operation', 'value', 'correct', 'logicCorrect', 'hintOpened', 'timeMs'];
+
+function loadTelemetry() {
+  try {
+    const raw = localStorage.getItem(TELEMETRY_KEY);
+    const arr = raw ? JSON.parse(raw) : [];
+    return Array.isArray(arr) ? arr : [];
+  } catch(e) { return []; }
+}
+function saveTelemetry(arr) {
+  try { localStorage.setItem(TELEMETRY_KEY, JSON.stringify(arr.slice(-TELEMETRY_MAX))); } catch(e) { /* ignore */ }
+}
+
+function startStepTimer(step) {
+  state.stepStartedAt = state.stepStartedAt || {};
+  state.stepStartedAt[step] = Date.now();
+}
+
+// recordStepEvent({ step: 1|2|3|4, operation?, value?, correct, logicCorrect? })
+function recordStepEvent(evt) {
+  try {
+    const p = state.currentProblem;
+    if (!p) return null;
+    const profile = getActiveProfile();
+    const startedAt = (state.stepStartedAt || {})[evt.step];
+    const stepProblem = Array.isArray(p.steps) ? p.steps[state.currentStep] : p;
+    const entry = {
+      id: rid(),
+      at: Date.now(),
+      attemptId: state.attemptId || null,
+      profileId: profile ? profile.id : null,
+      profile: profile ? profile.name : '',
+      problemId: p.id || '',
+      grade: p.grade,
+      type: p.type,
+      part: state.currentStep + 1,
+      stepType: (stepProblem && stepProblem.type) || p.type,
+      step: evt.step,
+      operation: evt.operation || null,
+      value: evt.value == null ? '' : String(evt.value),
+      correct: !!evt.correct,
+      logicCorrect: evt.logicCorrect == null ? null : !!evt.logicCorrect,
+      hintOpened: !!state.hintOpened,
+      timeMs: startedAt ? Date.now() - startedAt : null
+    };
+    const arr = loadTelemetry();
+    arr.push(entry);
+    saveTelemetry(arr);
+    return entry;
+  } catch(e) { return null; }
+}
+
+function telemetryToCsv(events) {
+  const cell = (v) => {
+    if (v == null) return '';
+    const s = String(v);
+    return /[",;\n]/.test(s) ? '"' + s.replace(/"/g, '""') + '"' : s;
+  };
+  const rows = events.map(e => TELEMETRY_FIELDS.map(f => cell(f === 'at' ? new Date(e.at).toISOString() : e[f])).join(','));
+  return [TELEMETRY_FIELDS.join(','), ...rows].join('\n');
+}
+
+function downloadFile(filename, content, mime) {
+  const blob = new Blob([content], { type: mime });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a'); a.href = url; a.download = filename; document.body.appendChild(a); a.click(); a.remove(); URL.revokeObjectURL(url);
+}
+
+function showTelemetryModal() {
+  const modal = document.getElementById('telemetry-modal');
+  const content = document.getElementById('telemetry-content');
+  const profileSel = document.getElementById('telemetry-profile-filter');
+  const onlyErrors = document.getElementById('telemetry-only-errors');
+  if (!modal || !content) return;
+  const all = loadTelemetry();
+  const names = Array.from(new Set(all.map(e => e.profile || ''))).sort();
+  const prevSel = profileSel.value || 'all';
+  profileSel.innerHTML = '<option value="all">Todos los alumnos</option>' + names.map(n => `<option value="${n.replace(/"/g,'&quot;')}">${n ? n.replace(/</g,'&lt;') : '(sin perfil)'}</option>`).join('');
+  profileSel.value = names.includes(prevSel) ? prevSel : 'all';
+  const filtered = () => all.filter(e => (profileSel.value === 'all' || (e.profile || '') === profileSel.value) && (!onlyErrors.checked || !e.correct));
+
+  const render = () => {
+    const events = filtered().slice().reverse();
+    if (!events.length) { content.innerHTML = '<p class="italic text-gray-600">No hay intentos registrados.</p>'; return; }
+    const esc = (v) => (v == null ? '' : String(v)).replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g,'&lt;').replace(/>/g,'&gt;');
+    const problemText = (id) => { const p = state.problems.find(x => x.id === id); return p ? problemListText(p) : id; };
+    let html = '<div class="overflow-x-auto"><table class="w-full text-sm border-collapse"><thead><tr class="bg-gray-100">';
+    html += '<th class="p-2 text-left">Fecha</th><th class="p-2 text-left">Alumno</th><th class="p-2 text-left">Problema</th><th class="p-2 text-left">Paso</th><th class="p-2 text-left">Op.</th><th class="p-2 text-left">Valor</th><th class="p-2 text-left">Resultado</th><th class="p-2 text-left">Pista</th><th class="p-2 text-left">Tiempo</th></tr></thead><tbody>';
+    events.slice(0, 500).forEach(e => {
+      const part = isMultiStepType(e.type) ? ` (parte ${e.part})` : '';
+      html += `<tr class="border-b"><td class="p-2 whitespace-nowrap">${new Date(e.at).toLocaleString()}</td><td class="p-2">${esc(e.profile || '—')}</td>`
+        + `<td class="p-2"><div class="problem-question" title="${esc(problemText(e.problemId))}">${esc(problemText(e.problemId))}</div><div class="text-xs text-gray-500">${esc(e.type)} · ${esc(e.grade)}º</div></td>`
+        + `<td class="p-2">${e.step}${part}</td><td class="p-2">${esc(e.operation || '')}</td><td class="p-2">${esc(e.value)}</td>`
+        + `<td class="p-2 font-bold ${e.correct ? 'text-green-700' : 'text-red-600'}">${e.correct ? 'Correcto' : 'Incorrecto'}</td>`
+        + `<td class="p-2">${e.hintOpened ? 'Sí' : 'No'}</td><td class="p-2">${e.timeMs != null ? Math.round(e.timeMs / 1000) + ' s' : ''}</td></tr>`;
+    });
+    html += '</tbody></table></div>';
+    if (events.length > 500) html += `<p class="text-xs text-gray-500 mt-2">Mostrando los 500 más recientes de ${events.length}. Exporta para verlos todos.</p>`;
+    content.innerHTML = html;
+  };
+  profileSel.onchange = render;
+  onlyErrors.onchange = render;
+  render();
+
+  const stamp = () => new Date().toISOString().slice(0,10);
+  document.getElementById('telemetry-export-json').onclick = () => downloadFile(`intentos_${stamp()}.json`, JSON.stringify(filtered(), null, 2), 'application/json');
+  document.getElementById('telemetry-export-csv').onclick = () => downloadFile(`intentos_${stamp()}.csv`, telemetryToCsv(filtered()), 'text/csv');
+  document.getElementById('telemetry-clear').onclick = () => {
+    if (!confirm('¿Borrar todo el registro de intentos? Esta acción no se puede deshacer.')) return;
+    saveTelemetry([]);
+    showTelemetryModal();
+    showToast('Registro de intentos borrado', 'success');
+  };
+  document.getElementById('telemetry-close').onclick = () => { modal.classList.remove('modal-visible'); setTimeout(()=>{ modal.classList.add('hidden'); modal.classList.add('hidden-view'); }, 320); };
+
+  modal.classList.remove('hidden'); modal.classList.remove('hidden-view'); void modal.offsetWidth; modal.classList.add('modal-visible');
+}
+
+// -------- Panel de resultados (docente) --------
+// Turns the telemetry log into per-problem / per-type / per-grade summaries. An attempt is
+// every event sharing an attemptId (one play of a problem); it counts as solved when it
+// contains a correct step 4 check.
+const DASHBOARD_TYPES = ALL_TYPES;
+const TYPE_NAMES = Object.fromEntries(ALL_TYPES.map(t => [t, typeName(t)]));
+const STEP_NAMES = { 1: 'Paso 1 · Leo e identifico', 2: 'Paso 2 · Razono', 3: 'Paso 3 · Calculo', 4: 'Paso 4 · Contesto y valoro' };
+
+function groupAttempts(events) {
+  const byId = new Map();
+  events.forEach(e => {
+    const key = e.attemptId || `legacy_${e.profileId || ''}_${e.problemId}_${new Date(e.at).toDateString()}`;
+    if (!byId.has(key)) byId.set(key, { id: key, problemId: e.problemId, grade: e.grade, type: e.type, profile: e.profile || '', events: [] });
+    byId.get(key).events.push(e);
+  });
+  return Array.from(byId.values()).map(a => {
+    a.events.sort((x, y) => x.at - y.at);
+    const first = a.events[0];
+    const start = first.at - (first.timeMs || 0);
+    const win = a.events.find(e => e.step === 4 && e.correct);
+    a.solved = !!win;
+    a.durationMs = win ? win.at - start : null;
+    a.hints = new Set(a.events.filter(e => e.hintOpened).map(e => e.part || 1)).size;
+    a.errors = a.events.filter(e => !e.correct).length;
+    return a;
+  });
+}
+
+function summarizeAttempts(attempts) {
+  const solved = attempts.filter(a => a.solved);
+  const times = solved.map(a => a.durationMs).filter(n => Number.isFinite(n));
+  return {
+    attempts: attempts.length,
+    solved: solved.length,
+    rate: attempts.length ? solved.length / attempts.length : null,
+    avgHints: attempts.length ? attempts.reduce((acc, a) => acc + a.hints, 0) / attempts.length : null,
+    avgTimeMs: times.length ? times.reduce((acc, n) => acc + n, 0) / times.length : null
+  };
+}
+
+function buildDashboardStats(events) {
+  const attempts = groupAttempts(events);
+  const group = (keyFn) => {
+    const map = new Map();
+    attempts.forEach(a => { const k = keyFn(a); if (!map.has(k)) map.set(k, []); map.get(k).push(a); });
+    return map;
+  };
+  const byProblem = Array.from(group(a => a.problemId).entries()).map(([problemId, list]) => ({ problemId, grade: list[0].grade, type: list[0].type, ...summarizeAttempts(list) }));
+  const byType = DASHBOARD_TYPES.map(type => ({ key: type, ...summarizeAttempts(attempts.filter(a => a.type === type)) }));
+  const byGrade = [1,2,3,4,5,6].map(g => ({ key: g, ...summarizeAttempts(attempts.filter(a => Number(a.grade) === g)) }));
+  const stepErrors = [1,2,3,4].map(step => {
+    const checks = events.filter(e => e.step === step);
+    const wrong = checks.filter(e => !e.correct).length;
+    return { step, checks: checks.length, wrong, rate: checks.length ? wrong / checks.length : null };
+  });
+  return { total: summarizeAttempts(attempts), byProblem, byType, byGrade, stepErrors };
+}
+
+function showDashboard() {
+  forceCloseModals();
+  $('#editor-view').classList.add('hidden-view');
+  $('#dashboard-view').classList.remove('hidden-view');
+  const back = $('#btn-dashboard-back');
+  if (back) back.onclick = () => { $('#dashboard-view').classList.add('hidden-view'); $('#editor-view').classList.remove('hidden-view'); fetchProblemsForEditor($('#grade-selector').value); };
+  const profileSel = $('#dashboard-profile-filter');
+  const all = loadTelemetry();
+  const names = Array.from(new Set(all.map(e => e.profile || ''))).sort();
+  const prevSel = profileSel.value || 'all';
+  profileSel.innerHTML = '<option value="all">Toda la clase</option>' + names.map(n => `<option value="${n.replace(/"/g,'&quot;')}">${n ? n.replace(/</g,'&lt;') : '(sin perfil)'}</option>`).join('');
+  profileSel.value = names.includes(prevSel) ? prevSel : 'all';
+  profileSel.onchange = () => renderDashboard(all.filter(e => profileSel.value === 'all' || (e.profile || '') === profileSel.value));
+  profileSel.onchange();
+}
+
+function renderDashboard(events) {
+  const mount = $('#dashboard-content');
+  if (!mount) return;
+  if (!events.length) { mount.innerHTML = '<p class="italic text-gray-600">Todavía no hay resultados registrados. Los datos aparecen cuando el alumnado resuelve problemas en Modo Juego.</p>'; return; }
+  const stats = buildDashboardStats(events);
+  const esc = (v) => (v == null ? '' : String(v)).replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g,'&lt;').replace(/>/g,'&gt;');
+  const pct = (r) => r == null ? '—' : Math.round(r * 100) + '%';
+  const secs = (ms) => ms == null ? '—' : (ms >= 60000 ? `${Math.floor(ms / 60000)} min ${Math.round((ms % 60000) / 1000)} s` : `${Math.round(ms / 1000)} s`);
+  const num = (n) => n == null ? '—' : (Math.round(n * 10) / 10).toString().replace('.', ',');
+  const barColor = (r) => r == null ? '#cbd5e1' : (r >= 0.75 ? '#16a34a' : (r >= 0.5 ? '#d97706' : '#dc2626'));
+  // invert: for error rates, where a long bar is bad news
+  const barRow = (label, rate, detail, invert) => `
+    <div class="dash-row">
+      <div class="dash-label">${esc(label)}</div>
+      <div class="dash-bar" role="img" aria-label="${esc(label)}: ${pct(rate)}"><div class="dash-fill" style="width:${rate == null ? 0 : Math.round(rate * 100)}%;background:${barColor(rate == null || !invert ? rate : 1 - rate)}"></div></div>
+      <div class="dash-value">${pct(rate)} <span class="text-xs text-gray-500">${esc(detail)}</span></div>
+    </div>`;
+  const worstStep = stats.stepErrors.filter(s => s.checks).sort((a, b) => b.wrong - a.wrong)[0];
+
+  let html = `
+    <div class="grid grid-cols-2 md:grid-cols-4 gap-3 mb-6">
+      <div class="dash-kpi"><div class="dash-kpi-value">${stats.total.attempts}</div><div class="dash-kpi-label">Intentos</div></div>
+      <div class="dash-kpi"><div class="dash-kpi-value">${pct(stats.total.rate)}</div><div class="dash-kpi-label">Problemas resueltos</div></div>
+      <div class="dash-kpi"><div class="dash-kpi-value">${num(stats.total.avgHints)}</div><div class="dash-kpi-label">Pistas por intento</div></div>
+      <div class="dash-kpi"><div class="dash-kpi-value">${secs(stats.total.avgTimeMs)}</div><div class="dash-kpi-label">Tiempo medio</div></div>
+    </div>
+    <div class="grid md:grid-cols-2 gap-6 mb-6">
+      <section><h3 class="font-bold mb-2">Éxito por tipo de problema</h3>
+        ${stats.byType.map(t => barRow(TYPE_NAMES[t.key], t.rate, t.attempts ? `(${t.solved}/${t.attempts})` : '(sin datos)')).join('')}
+      </section>
+      <section><h3 class="font-bold mb-2">Éxito por curso</h3>
+        ${stats.byGrade.map(g => barRow(`${g.key}º Primaria`, g.rate, g.attempts ? `(${g.solved}/${g.attempts})` : '(sin datos)')).join('')}
+      </section>
+    </div>
+    <section class="mb-6"><h3 class="font-bold mb-2">Errores por paso</h3>
+      ${stats.stepErrors.map(s => barRow(STEP_NAMES[s.step], s.rate, s.checks ? `(${s.wrong} de ${s.checks} comprobaciones)` : '(sin datos)', true)).join('')}
+      ${worstStep && worstStep.wrong ? `<p class="text-sm mt-2">El paso donde más se falla es <strong>${esc(STEP_NAMES[worstStep.step])}</strong>.</p>` : ''}
+    </section>`;
+
+  const rows = stats.byProblem.slice().sort((a, b) => (a.rate ?? 1) - (b.rate ?? 1));
+  html += `<section><h3 class="font-bold mb-2">Por problema</h3><div class="overflow-x-auto"><table class="w-full text-sm border-collapse"><thead><tr class="bg-gray-100">
+    <th class="p-2 text-left">Problema</th><th class="p-2 text-left">Tipo</th><th class="p-2 text-left">Curso</th><th class="p-2 text-left">Éxito</th><th class="p-2 text-left">Intentos</th><th class="p-2 text-left">Pistas</th><th class="p-2 text-left">Tiempo medio</th></tr></thead><tbody>`;
+  rows.forEach(r => {
+    const problem = state.problems.find(p => p.id === r.problemId);
+    // A problem most children fail is more likely badly written than simply hard
+    const flag = r.attempts >= 5 && r.rate != null && r.rate < 0.4 ? ' <span class="badge dash-flag" title="Pocos aciertos: revisa el enunciado y los datos">⚠ Revisar</span>' : '';
+    html += `<tr class="border-b"><td class="p-2"><div class="problem-question">${esc(problem ? problemListText(problem) : r.problemId + ' (eliminado)')}</div>${flag}</td>
+      <td class="p-2">${esc(r.type)}</td><td class="p-2">${esc(r.grade)}º</td>
+      <td class="p-2"><div class="dash-bar dash-bar-sm"><div class="dash-fill" style="width:${Math.round((r.rate || 0) * 100)}%;background:${barColor(r.rate)}"></div></div>${pct(r.rate)}</td>
+      <td class="p-2">${r.solved}/${r.attempts}</td><td class="p-2">${num(r.avgHints)}</td><td class="p-2">${secs(r.avgTimeMs)}</td></tr>`;
+  });
+  html += '</tbody></table></div></section>';
+  mount.innerHTML = html;
+}
+
+// -------- Recomendación adaptativa --------
+// Picks the next problem from the active profile's own telemetry (works offline):
+// 1) mistakes come back on a spaced-repetition schedule, 2) otherwise the weakest
+// problem types get more weight, 3) once the child is consistent at a grade, harder
+// grades and multi-step problems are favoured.
+const REVIEW_INTERVALS_DAYS = [1, 3, 7, 14, 30];
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MASTERY_MIN_ATTEMPTS = 5;
+const MASTERY_RATE = 0.8;
+
+// Telemetry attempts of the active profile (guests share the anonymous history)
+function getProfileAttempts() {
+  const profileId = state.profileId || null;
+  return groupAttempts(loadTelemetry().filter(e => (e.profileId || null) === profileId));
+}
+
+// A problem is due for review when it was ever failed; each clean success since the
+// last failure pushes the next review further away.
+function getReviewSchedule(attempts) {
+  const byProblem = new Map();
+  attempts.slice().sort((a, b) => a.events[0].at - b.events[0].at).forEach(a => {
+    const clean = a.solved && a.errors === 0;
+    const last = a.events[a.events.length - 1].at;
+    const entry = byProblem.get(a.problemId) || { everFailed: false, streak: 0, lastAt: 0 };
+    if (!clean) { entry.everFailed = true; entry.streak = 0; } else if (entry.everFailed) entry.streak += 1;
+    entry.lastAt = last;
+    byProblem.set(a.problemId, entry);
+  });
+  const schedule = [];
+  byProblem.forEach((entry, problemId) => {
+    if (!entry.everFailed || entry.streak >= REVIEW_INTERVALS_DAYS.length) return;
+    schedule.push({ problemId, due: entry.lastAt + REVIEW_INTERVALS_DAYS[entry.streak] * DAY_MS, streak: entry.streak });
+  });
+  return schedule;
+}
+
+function getTypeRates(attempts) {
+  const rates = {};
+  DASHBOARD_TYPES.forEach(type => {
+    const recent = attempts.filter(a => a.type === type).slice(-10);
+    // A neutral prior keeps unseen types in the mix without dominating
+    rates[type] = recent.length ? (recent.filter(a => a.solved && a.errors === 0).length + 0.5) / (recent.length + 1) : 0.5;
+  });
+  return rates;
+}
+
+function isGradeMastered(attempts, grade) {
+  const recent = attempts.filter(a => Number(a.grade) === Number(grade)).slice(-8);
+  if (recent.length < MASTERY_MIN_ATTEMPTS) return false;
+  return recent.filter(a => a.solved).length / recent.length >= MASTERY_RATE;
+}
+
+// recommendNextProblem({ grade, excludeId, now }) -> { problem, reason } | null
+function recommendNextProblem(opts = {}) {
+  const now = opts.now || Date.now();
+  const grade = Number(opts.grade || state.currentLevel || 1);
+  const attempts = getProfileAttempts().sort((a, b) => a.events[0].at - b.events[0].at);
+  const pool = state.problems.filter(p => p.id !== opts.excludeId);
+  if (!pool.length) return null;
+
+  const due = getReviewSchedule(attempts)
+    .filter(r => r.due <= now && pool.some(p => p.id === r.problemId))
+    .sort((a, b) => a.due - b.due);
+  if (due.length) {
+    const problem = pool.find(p => p.id === due[0].problemId);
+    return { problem, reason: 'Repaso: este problema te costó la última vez. ¡Vamos a por él!' };
   }
+
+  const rates = getTypeRates(attempts);
+  const mastered = isGradeMastered(attempts, grade);
+  const playedAt = new Map();
+  attempts.forEach(a => playedAt.set(a.problemId, a.events[a.events.length - 1].at));
+  const solvedIds = new Set(attempts.filter(a => a.solved).map(a => a.problemId));
+  const allowedGrades = mastered ? [grade, grade + 1] : [grade];
+
+  const scored = pool.filter(p => allowedGrades.includes(Number(p.grade))).map(p => {
+    let score = 1 - (rates[p.type] ?? 0.5);
+    if (!solvedIds.has(p.id)) score += 0.5;
+    const last = playedAt.get(p.id);
+    if (last && now - last < DAY_MS) score -= 0.6;
+    if (mastered && (Number(p.grade) > grade || isMultiStepType(p.type))) score += 0.7;
+    return { p, score: score + Math.random() * 0.05 };
+  }).sort((a, b) => b.score - a.score);
+  const best = scored[0] || { p: pool[Math.floor(Math.random() * pool.length)] };
+  const problem = best.p;
+  let reason = 'Te propongo este problema.';
+  if (mastered && (Number(problem.grade) > grade || isMultiStepType(problem.type))) reason = '¡Lo estás haciendo genial! Probemos algo más difícil.';
+  else if ((rates[problem.type] ?? 0.5) < 0.5) reason = 'Vamos a practicar más este tipo de problema.';
+  else if (!solvedIds.has(problem.id)) reason = 'Un problema nuevo para ti.';
+  return { problem, reason };
+}
+
+function playRecommendedProblem() {
+  const rec = recommendNextProblem({ grade: state.currentLevel, excludeId: state.currentProblem && state.currentProblem.id });
+  if (!rec || !rec.problem) { showToast('No hay más problemas disponibles.', 'info'); return; }
+  state.currentLevel = Number(rec.problem.grade);
+  state.currentProblems = state.problems.filter(p => Number(p.grade) === state.currentLevel);
+  const index = state.currentProblems.findIndex(p => p.id === rec.problem.id);
+  if (index === -1) { showToast('No hay más problemas disponibles.', 'info'); return; }
+  selectProblem(index);
+  showToast(rec.reason, 'info');
+  announce(rec.reason);
+}
+
+// -------- Sesión de práctica / reto --------
+// A session plays N problems back-to-back (optionally against the clock) and ends
+// with a summary. Per-step errors come from the telemetry of the session's attempts.
+const SESSION_PREF_KEY = `${LS_KEY}_session_prefs`;
+
+function loadSessionPrefs() {
+  try { return Object.assign({ grades: [state.currentLevel || 1], types: DASHBOARD_TYPES.slice(), count: 5, minutes: 0 }, JSON.parse(localStorage.getItem(SESSION_PREF_KEY) || '{}')); }
+  catch(e) { return { grades: [1], types: DASHBOARD_TYPES.slice(), count: 5, minutes: 0 }; }
+}
+function saveSessionPrefs(prefs) { try { localStorage.setItem(SESSION_PREF_KEY, JSON.stringify(prefs)); } catch(e){} }
+
+function showSessionSetup() {
+  const prefs = loadSessionPrefs();
+  const view = $('#problem-selection-view');
+  const grades = [1,2,3,4,5,6].map(g => `<label class="inline-flex items-center gap-1 mr-3"><input type="checkbox" name="session-grade" value="${g}" ${prefs.grades.includes(g) ? 'checked' : ''}> ${g}º</label>`).join('');
+  const types = DASHBOARD_TYPES.map(t => `<label class="inline-flex items-center gap-1 mr-3"><input type="checkbox" name="session-type" value="${t}" ${prefs.types.includes(t) ? 'checked' : ''}> ${TYPE_NAMES[t]}</label>`).join('');
+  view.innerHTML = `
+    <div class="flex justify-between items-center mb-6">
+      <h2 class="text-2xl font-bold text-gray-800">⏱️ Sesión de práctica</h2>
+      <button id="btn-session-cancel" class="text-sm text-gray-600 hover:text-gray-800 font-bold py-2 px-4 rounded transition">← Volver a Cursos</button>
+    </div>
+    <form id="session-setup-form" class="space-y-4">
+      <fieldset><legend class="font-bold mb-1">Cursos</legend>${grades}</fieldset>
+      <fieldset><legend class="font-bold mb-1">Tipos de problema</legend>${types}</fieldset>
+      <div class="flex flex-wrap gap-6">
+        <label class="font-bold">Número de problemas <input id="session-count" type="number" min="1" max="50" value="${prefs.count}" class="ml-2 w-20 px-2 py-1 border rounded"></label>
+        <label class="font-bold">Tiempo límite (min, 0 = sin límite) <input id="session-minutes" type="number" min="0" max="120" value="${prefs.minutes}" class="ml-2 w-20 px-2 py-1 border rounded"></label>
+      </div>
+      <p id="session-available" class="text-sm text-gray-600"></p>
+      <button type="submit" class="font-bold text-white bg-indigo-500 hover:bg-indigo-600 px-6 py-3 rounded-lg shadow">Empezar sesión →</button>
+    </form>
+  `;
+  const readForm = () => ({
+    grades: Array.from(view.querySelectorAll('input[name="session-grade"]:checked')).map(i => Number(i.value)),
+    types: Array.from(view.querySelectorAll('input[name="session-type"]:checked')).map(i => i.value),
+    count: Math.max(1, Math.min(50, parseInt($('#session-count').value, 10) || 5)),
+    minutes: Math.max(0, Math.min(120, parseInt($('#session-minutes').value, 10) || 0))
+  });
+  const refreshAvailable = () => {
+    const n = getSessionPool(readForm()).length;
+    $('#session-available').textContent = `${n} problema(s) disponibles con esta selección.`;
+  };
+  view.querySelectorAll('input').forEach(i => i.addEventListener('change', refreshAvailable));
+  refreshAvailable();
+  $('#btn-session-cancel').onclick = () => renderLevelSelection();
+  $('#session-setup-form').onsubmit = (e) => {
+    e.preventDefault();
+    const prefs = readForm();
+    if (!prefs.grades.length || !prefs.types.length) { showToast('Elige al menos un curso y un tipo de problema.', 'error'); return; }
+    const pool = getSessionPool(prefs);
+    if (!pool.length) { showToast('No hay problemas con esa combinación de cursos y tipos.', 'error'); return; }
+    saveSessionPrefs(prefs);
+    // shuffle, then take N (fewer if the bank is smaller)
+    const picked = pool.slice().sort(() => Math.random() - 0.5).slice(0, prefs.count);
+    if (picked.length < prefs.count) showToast(`Solo hay ${picked.length} problema(s) disponibles.`, 'info');
+    startSession(picked, prefs.minutes);
+  };
+
+  $('#level-selection').classList.add('hidden-view');
+  $('#game-container').classList.add('hidden-view');
+  view.classList.remove('hidden-view');
+}
+
+function getSessionPool(prefs) {
+  return state.problems.filter(p => prefs.grades.includes(Number(p.grade)) && prefs.types.includes(p.type));
+}
+
+function startSession(problems, minutes) {
+  stopSessionTimer();
+  state.session = {
+    problems: problems.slice(),
+    index: 0,
+    minutes: minutes || 0,
+    startedAt: Date.now(),
+    deadline: minutes ? Date.now() + minutes * 60000 : null,
+    results: problems.map(p => ({ problemId: p.id, attemptId: null, solved: false, played: false })),
+    timerId: null,
+    // time spent in the editor, not counted (see pauseSessionTimer)
+    pausedAt: null,
+    pausedMs: 0
+  };
+  if (state.session.deadline) state.session.timerId = setInterval(tickSessionTimer, 1000);
+  playSessionProblem();
+}
+
+function playSessionProblem() {
+  const session = state.session;
+  if (!session) return;
+  if (session.index >= session.problems.length) { finishSession(); return; }
+  const problem = session.problems[session.index];
+  state.currentLevel = Number(problem.grade);
+  state.currentProblems = session.problems;
+  $('#level-selection').classList.add('hidden-view');
+  selectProblem(session.index);
+  const result = session.results[session.index];
+  result.attemptId = state.attemptId;
+  result.played = true;
+}
+
+function renderSessionBar() {
+  const session = state.session;
+  const back = $('#btn-back-problems');
+  back.textContent = '✕ Terminar sesión';
+  back.onclick = () => { if (confirm('¿Terminar la sesión ahora? Verás el resumen con lo que llevas.')) finishSession(); };
+  const bar = document.createElement('div');
+  bar.id = 'session-bar';
+  bar.className = 'flex justify-between items-center mb-3 text-sm font-bold';
+  bar.innerHTML = `<span id="session-counter">Problema ${session.index + 1} de ${session.problems.length}</span>
+    <span id="session-timer" class="session-timer" aria-live="off"></span>
+    <button id="btn-session-skip" type="button" class="text-gray-600 hover:text-gray-800 underline">Saltar →</button>`;
+  $('#game-container').insertBefore(bar, $('#problem-text'));
+  $('#btn-session-skip').onclick = () => nextSessionProblem();
+  tickSessionTimer();
+}
+
+function markSessionProblemSolved() {
+  const session = state.session;
+  session.results[session.index].solved = true;
+  const last = session.index >= session.problems.length - 1;
+  $('#final-buttons-container').innerHTML = `<button id="btn-session-next" class="font-bold text-white bg-indigo-500 hover:bg-indigo-600 px-8 py-3 rounded-lg">${last ? 'Ver resumen →' : 'Siguiente problema →'}</button>`;
+  $('#btn-session-next').onclick = () => nextSessionProblem();
+  const skip = $('#btn-session-skip');
+  if (skip) skip.classList.add('hidden');
+}
+
+function nextSessionProblem() {
+  if (!state.session) return;
+  state.session.index++;
+  playSessionProblem();
+}
+
+function tickSessionTimer() {
+  const session = state.session;
+  const el = document.getElementById('session-timer');
+  if (!session) return;
+  const fmt = (ms) => { const s = Math.max(0, Math.round(ms / 1000)); return `${Math.floor(s / 60)}:${String(s % 60).padStart(2, '0')}`; };
+  if (!session.deadline) { if (el) el.textContent = ''; return; }
+  const left = session.deadline - Date.now();
+  if (el) { el.textContent = `⏱️ ${fmt(left)}`; el.classList.toggle('session-timer-low', left <= 60000); }
+  if (left <= 0) { announce('¡Se acabó el tiempo!'); finishSession(); }
+}
+
+function stopSessionTimer() {
+  if (state.session && state.session.timerId) { clearInterval(state.session.timerId); state.session.timerId = null; }
+}
+
+function pauseSessionTimer() {
+  const session = state.session;
+  if (!session || session.pausedAt) return;
+  stopSessionTimer();
+  session.pausedAt = Date.now();
+}
+
+// back in the play view: the paused time moves the deadline and is left out of the session time
+function resumeSessionTimer() {
+  const session = state.session;
+  if (!session || !session.pausedAt) return;
+  const paused = Date.now() - session.pausedAt;
+  session.pausedAt = null;
+  session.pausedMs += paused;
+  if (!session.deadline) return;
+  session.deadline += paused;
+  session.timerId = setInterval(tickSessionTimer, 1000);
+  tickSessionTimer();
+}
+
+function finishSession() {
+  const session = state.session;
+  if (!session) return;
+  stopSessionTimer();
+  session.endedAt = Date.now();
+  state.session = null;
+  renderSessionSummary(session);
+}
+
+function renderSessionSummary(session) {
+  const esc = (v) => (v == null ? '' : String(v)).replace(/</g,'&lt;').replace(/>/g,'&gt;');
+  const attemptIds = new Set(session.results.map(r => r.attemptId).filter(Boolean));
+  const events = loadTelemetry().filter(e => attemptIds.has(e.attemptId));
+  const solved = session.results.filter(r => r.solved).length;
+  const total = session.problems.length;
+  const elapsed = Math.round((session.endedAt - session.startedAt - (session.pausedMs || 0)) / 1000);
+  const stepErrors = [1,2,3,4].map(step => ({ step, wrong: events.filter(e => e.step === step && !e.correct).length }));
+  const missed = session.problems.filter((p, i) => !session.results[i].solved);
+  const rows = session.problems.map((p, i) => {
+    const r = session.results[i];
+    const errs = events.filter(e => e.attemptId === r.attemptId && !e.correct).length;
+    const status = r.solved ? '✔' : (r.played ? '✘' : '—');
+    return `<li class="p-3 border rounded-lg bg-white flex items-start gap-3">
+      <span class="font-black ${r.solved ? 'text-green-600' : 'text-red-600'}" aria-label="${r.solved ? 'Resuelto' : 'No resuelto'}">${status}</span>
+      <div class="flex-1"><div class="problem-question">${esc(problemListText(p))}</div><div class="text-xs text-gray-500">${p.grade}º · ${esc(TYPE_NAMES[p.type] || p.type)}${errs ? ` · ${errs} error(es)` : ''}</div></div>
+    </li>`;
+  }).join('');
+
+  const view = $('#problem-selection-view');
+  view.innerHTML = `
+    <h2 class="text-2xl font-bold text-gray-800 mb-4">Resumen de la sesión</h2>
+    <div class="grid grid-cols-2 md:grid-cols-3 gap-3 mb-6">
+      <div class="dash-kpi"><div class="dash-kpi-value">${solved}/${total}</div><div class="dash-kpi-label">Problemas resueltos</div></div>
+      <div class="dash-kpi"><div class="dash-kpi-value">${Math.floor(elapsed / 60)}:${String(elapsed % 60).padStart(2, '0')}</div><div class="dash-kpi-label">Tiempo${session.minutes ? ` (límite ${session.minutes} min)` : ''}</div></div>
+      <div class="dash-kpi"><div class="dash-kpi-value">${stepErrors.reduce((n, s) => n + s.wrong, 0)}</div><div class="dash-kpi-label">Errores</div></div>
+    </div>
+    <section class="mb-6"><h3 class="font-bold mb-2">Errores por paso</h3>
+      <ul class="text-sm space-y-1">${stepErrors.map(s => `<li>${esc(STEP_NAMES[s.step])}: <strong>${s.wrong}</strong></li>`).join('')}</ul>
+    </section>
+    <section class="mb-6"><h3 class="font-bold mb-2">Problemas</h3><ul class="space-y-2 max-h-[40vh] overflow-y-auto">${rows}</ul></section>
+    <div class="flex flex-wrap gap-3 justify-end">
+      ${missed.length ? `<button id="btn-session-retry" class="font-bold text-white bg-orange-500 hover:bg-orange-600 px-6 py-3 rounded-lg">↻ Repetir los ${missed.length} fallado(s)</button>` : ''}
+      <button id="btn-session-new" class="font-bold text-white bg-indigo-500 hover:bg-indigo-600 px-6 py-3 rounded-lg">Nueva sesión</button>
+      <button id="btn-session-exit" class="font-bold text-gray-700 bg-gray-200 hover:bg-gray-300 px-6 py-3 rounded-lg">Volver a Cursos</button>
+    </div>
+  `;
+  if (missed.length) $('#btn-session-retry').onclick = () => startSession(missed, session.minutes);
+  $('#btn-session-new').onclick = () => showSessionSetup();
+  $('#btn-session-exit').onclick = () => renderLevelSelection();
+
+  $('#level-selection').classList.add('hidden-view');
+  $('#game-container').classList.add('hidden-view');
+  view.classList.remove('hidden-view');
+  announce(`Sesión terminada. Has resuelto ${solved} de ${total} problemas.`);
+  try { if (solved === total) avatarCelebrate(); } catch(e){}
 }
 
-function checkLogic(isLogical, element) {
-  document.querySelectorAll('.logic-btn').forEach(b => b.classList.remove('bg-green-500', 'text-white', 'bg-red-500'));
-  if (isLogical) { element.classList.add('bg-green-500', 'text-white'); state.logicCorrect = true; }
-  else { element.classList.add('bg-red-500', 'text-white'); state.logicCorrect = false; }
+// -------- Clasificar problemas --------
+// Practice recognising the schema before solving: only the question is shown and the child
+// classifies it by schema (SCHEMA_TYPES) or by its number of operations, with feedback at once
+// and a score at the end. The answer is the stored `type`; results go to the active profile
+// (`classification` next to `progress`).
+const CLASSIFY_PREF_KEY = `${LS_KEY}_classify_prefs`;
+const CLASSIFY_BY = { schema: 'Por esquema', operations: 'Por número de operaciones' };
+const OPERATION_COUNTS = { one: 'Una operación', more: 'Dos o más operaciones' };
+
+function loadClassifyPrefs() {
+  try { return Object.assign({ grades: [state.currentLevel || 1], by: 'schema', count: 10 }, JSON.parse(localStorage.getItem(CLASSIFY_PREF_KEY) || '{}')); }
+  catch(e) { return { grades: [1], by: 'schema', count: 10 }; }
 }
+function saveClassifyPrefs(prefs) { try { localStorage.setItem(CLASSIFY_PREF_KEY, JSON.stringify(prefs)); } catch(e){} }
 
-function validateStep4(stepProblem) {
-  const userAnswer = $('#full-answer-input').value.trim();
-  const finalAnswer = state.currentProblem.type === 'DOS_OPERACIONES' ? state.currentProblem.steps[1].answer : state.currentProblem.answer;
-  const correct = state.logicCorrect && userAnswer.includes(finalAnswer);
+// Right answer for a problem: its type, or 'one' / 'more' operations
+function classifyAnswer(problem, by) {
+  if (by === 'operations') return COMPOSITE_TYPES[problem.type] ? 'more' : 'one';
+  return problem.type;
+}
 
-  const feedback = $('#feedback-step4');
-  feedback.classList.remove('opacity-0');
-  if (correct) {
-  feedback.textContent = '¡Problema resuelto!'; feedback.style.color = '#10B981';
-  try { avatarStepAnnounce(3, 'correct'); } catch(e){}
-    $('#check-step4-btn').disabled = true;
+function getClassifyPool(prefs) {
+  return state.problems.filter(p => prefs.grades.includes(Number(p.grade)) && String(p.question || '').trim()
+    && (prefs.by === 'operations' ? ALL_TYPES.includes(p.type) : SCHEMA_TYPES.includes(p.type)));
+}
 
-    const finalButtonsContainer = $('#final-buttons-container');
-    finalButtonsContainer.innerHTML = `
-      <button id="btn-explain" class="font-bold text-white bg-purple-500 hover:bg-purple-600 px-8 py-3 rounded-lg">✨ Explicar Razonamiento</button>
-      <button id="btn-choose" class="font-bold text-white bg-green-500 hover:bg-green-600 px-8 py-3 rounded-lg">Elegir Otro Problema →</button>
-    `;
-  $('#btn-explain').onclick = () => showToast("¡Genial! Identificaste los datos, razonaste con el diagrama, elegiste la operación correcta y escribiste una respuesta completa.", 'success');
-    $('#btn-choose').onclick = () => showProblemSelection();
-    updateGameProgress(true);
+function recordClassification(problem, correct) {
+  if (!problem || !problem.id) return;
+  updateActiveProfile(profile => {
+    profile.classification = profile.classification || {};
+    const entry = profile.classification[problem.id] || (profile.classification[problem.id] = { tries: 0, right: 0, lastAt: null });
+    entry.tries++;
+    if (correct) entry.right++;
+    entry.lastAt = Date.now();
+  });
+}
+
+function showClassifySetup() {
+  const prefs = loadClassifyPrefs();
+  const profile = getActiveProfile();
+  const history = Object.values((profile && profile.classification) || {});
+  const tries = history.reduce((n, e) => n + (e.tries || 0), 0);
+  const view = $('#problem-selection-view');
+  const grades = GRADES.map(g => `<label class="inline-flex items-center gap-1 mr-3"><input type="checkbox" name="classify-grade" value="${g}" ${prefs.grades.includes(g) ? 'checked' : ''}> ${g}º</label>`).join('');
+  const by = Object.entries(CLASSIFY_BY).map(([k, label]) => `<label class="inline-flex items-center gap-1 mr-3"><input type="radio" name="classify-by" value="${k}" ${prefs.by === k ? 'checked' : ''}> ${label}</label>`).join('');
+  view.innerHTML = `
+    <div class="flex justify-between items-center mb-6">
+      <h2 class="text-2xl font-bold text-gray-800">🏷️ Clasificar problemas</h2>
+      <button id="btn-classify-cancel" class="text-sm text-gray-600 hover:text-gray-800 font-bold py-2 px-4 rounded transition">← Volver a Cursos</button>
+    </div>
+    <p class="text-gray-600 mb-4">Lee cada enunciado y di de qué tipo es, sin resolverlo.</p>
+    <form id="classify-setup-form" class="space-y-4">
+      <fieldset><legend class="font-bold mb-1">Cursos</legend>${grades}</fieldset>
+      <fieldset><legend class="font-bold mb-1">Clasificar</legend>${by}</fieldset>
+      <label class="font-bold block">Número de enunciados <input id="classify-count" type="number" min="1" max="50" value="${prefs.count}" class="ml-2 w-20 px-2 py-1 border rounded"></label>
+      <p id="classify-available" class="text-sm text-gray-600"></p>
+      ${tries ? `<p class="text-sm text-gray-600">Hasta ahora, ${profile.name} ha acertado ${history.reduce((n, e) => n + (e.right || 0), 0)} de ${tries} clasificaciones.</p>` : ''}
+      <button type="submit" class="font-bold text-white bg-indigo-500 hover:bg-indigo-600 px-6 py-3 rounded-lg shadow">Empezar →</button>
+    </form>
+  `;
+  const readForm = () => ({
+    grades: Array.from(view.querySelectorAll('input[name="classify-grade"]:checked')).map(i => Number(i.value)),
+    by: (view.querySelector('input[name="classify-by"]:checked') || {}).value === 'operations' ? 'operations' : 'schema',
+    count: Math.max(1, Math.min(50, parseInt($('#classify-count').value, 10) || 10))
+  });
+  const refreshAvailable = () => { $('#classify-available').textContent = `${getClassifyPool(readForm()).length} enunciado(s) disponibles con esta selección.`; };
+  view.querySelectorAll('input').forEach(i => i.addEventListener('change', refreshAvailable));
+  refreshAvailable();
+  $('#btn-classify-cancel').onclick = () => renderLevelSelection();
+  $('#classify-setup-form').onsubmit = (e) => {
+    e.preventDefault();
+    const prefs = readForm();
+    if (!prefs.grades.length) { showToast('Elige al menos un curso.', 'error'); return; }
+    const pool = getClassifyPool(prefs);
+    if (!pool.length) { showToast('No hay enunciados para clasificar en esos cursos.', 'error'); return; }
+    saveClassifyPrefs(prefs);
+    const picked = pool.slice().sort(() => Math.random() - 0.5).slice(0, prefs.count);
+    if (picked.length < prefs.count) showToast(`Solo hay ${picked.length} enunciado(s) disponibles.`, 'info');
+    startClassification(picked, prefs.by);
+  };
+
+  $('#level-selection').classList.add('hidden-view');
+  $('#game-container').classList.add('hidden-view');
+  view.classList.remove('hidden-view');
+}
+
+function startClassification(problems, by) {
+  state.classify = {
+    by,
+    problems: problems.map(p => {
+      // templates are shown with numbers, like when they are played
+      if (!isTemplateProblem(p)) return p;
+      try { return instantiateTemplate(p); } catch (e) { return p; }
+    }),
+    index: 0,
+    results: problems.map(p => ({ problemId: p.id, answer: null, correct: false }))
+  };
+  renderClassifyQuestion();
+}
+
+function renderClassifyQuestion() {
+  const cl = state.classify;
+  if (!cl) return;
+  if (cl.index >= cl.problems.length) { renderClassifySummary(); return; }
+  const problem = cl.problems[cl.index];
+  const esc = (v) => (v == null ? '' : String(v)).replace(/</g,'&lt;').replace(/>/g,'&gt;');
+  const options = cl.by === 'operations' ? OPERATION_COUNTS : Object.fromEntries(SCHEMA_TYPES.map(t => [t, typeName(t)]));
+  const score = cl.results.slice(0, cl.index).filter(r => r.correct).length;
+  const view = $('#problem-selection-view');
+  view.innerHTML = `
+    <div class="flex justify-between items-center mb-4 text-sm font-bold">
+      <span>Enunciado ${cl.index + 1} de ${cl.problems.length}</span>
+      <span id="classify-score">Aciertos: ${score}</span>
+      <button id="btn-classify-exit" type="button" class="text-gray-600 hover:text-gray-800 underline">✕ Terminar</button>
+    </div>
+    <div class="p-4 bg-white rounded-lg border-2 mb-4">
+      <p id="classify-question" class="text-xl">${esc(problem.question)}</p>
+      <button id="btn-classify-read" type="button" class="mt-2 text-sm font-bold text-blue-600">🔊 Escuchar</button>
+    </div>
+    <p class="font-bold mb-2">${cl.by === 'operations' ? '¿Cuántas operaciones hacen falta?' : '¿De qué tipo es?'}</p>
+    <div id="classify-options" class="flex flex-wrap gap-2" role="group" aria-label="Tipos">
+      ${Object.entries(options).map(([k, label]) => `<button type="button" class="schema-choice" data-classify="${k}" aria-pressed="false">${label}</button>`).join('')}
+    </div>
+    <p id="classify-feedback" class="feedback opacity-0 mt-3 font-bold" aria-live="polite"></p>
+    <div id="classify-next" class="mt-4 flex justify-end"></div>
+  `;
+  $('#btn-classify-exit').onclick = () => { if (confirm('¿Terminar ahora? Verás la puntuación con lo que llevas.')) renderClassifySummary(); };
+  $('#btn-classify-read').onclick = () => speakText(problem.question);
+  $('#classify-options').onclick = (e) => { const b = e.target.closest('[data-classify]'); if (b) answerClassification(b.dataset.classify); };
+  const first = view.querySelector('[data-classify]'); if (first) first.focus();
+}
+
+function answerClassification(answer) {
+  const cl = state.classify;
+  const result = cl && cl.results[cl.index];
+  if (!result || result.answer != null) return;
+  const problem = cl.problems[cl.index];
+  const right = classifyAnswer(problem, cl.by);
+  const correct = answer === right;
+  result.answer = answer;
+  result.correct = correct;
+  recordClassification(problem, correct);
+  document.querySelectorAll('#classify-options [data-classify]').forEach(b => {
+    b.disabled = true;
+    b.classList.toggle('selected', b.dataset.classify === right);
+    b.setAttribute('aria-pressed', String(b.dataset.classify === answer));
+  });
+  let message;
+  if (cl.by === 'operations') {
+    const steps = isMultiStep(problem) ? problem.steps.length : 1;
+    message = correct ? `¡Bien! ${steps === 1 ? 'Se resuelve con una operación.' : `Hacen falta ${steps} operaciones.`}`
+      : `No: ${steps === 1 ? 'se resuelve con una sola operación.' : `hacen falta ${steps} operaciones, una detrás de otra.`}`;
   } else {
-  feedback.textContent = 'Revisa tu respuesta o la valoración.'; feedback.style.color = '#EF4444';
-  try { avatarStepAnnounce(3, 'incorrect'); } catch(e){}
+    const clue = getProblemType(right).schema.clue;
+    message = `${correct ? '¡Bien! Es' : 'No: es'} ${typeName(right)}, el esquema para ${clue}.`;
   }
+  const feedback = $('#classify-feedback');
+  feedback.textContent = message;
+  feedback.style.color = correct ? '#10B981' : '#EF4444';
+  feedback.classList.remove('opacity-0');
+  announce(message);
+  $('#classify-score').textContent = `Aciertos: ${cl.results.filter(r => r.correct).length}`;
+  try { if (correct) avatarCelebrate(); else avatarEncourage(); } catch(e){}
+  const last = cl.index >= cl.problems.length - 1;
+  $('#classify-next').innerHTML = `<button id="btn-classify-next" class="font-bold text-white bg-indigo-500 hover:bg-indigo-600 px-8 py-3 rounded-lg">${last ? 'Ver puntuación →' : 'Siguiente →'}</button>`;
+  $('#btn-classify-next').onclick = () => { cl.index++; renderClassifyQuestion(); };
+  $('#btn-classify-next').focus();
 }
 
-function updateGameProgress(final=false) {
-  try {
-    const progressEl = document.querySelector('#game-progress .bar');
-    if (!progressEl) return;
-    const totalSteps = state.currentProblem.type === 'DOS_OPERACIONES' ? 4 : 4; // we render 4 step containers but flow may skip
-    const stepIndex = final ? totalSteps : (state.currentStep + 1);
-    const pct = Math.min(100, Math.round((stepIndex / totalSteps) * 100));
-    progressEl.style.width = pct + '%';
-  } catch(e){}
+function renderClassifySummary() {
+  const cl = state.classify;
+  if (!cl) return;
+  state.classify = null;
+  const esc = (v) => (v == null ? '' : String(v)).replace(/</g,'&lt;').replace(/>/g,'&gt;');
+  const answered = cl.results.filter(r => r.answer != null);
+  const right = answered.filter(r => r.correct).length;
+  const name = (k) => cl.by === 'operations' ? OPERATION_COUNTS[k] : typeName(k);
+  const missed = cl.problems.filter((p, i) => cl.results[i].answer != null && !cl.results[i].correct);
+  const rows = cl.problems.map((p, i) => {
+    const r = cl.results[i];
+    if (r.answer == null) return '';
+    return `<li class="p-3 border rounded-lg bg-white flex items-start gap-3">
+      <span class="font-black ${r.correct ? 'text-green-600' : 'text-red-600'}" aria-label="${r.correct ? 'Acertado' : 'Fallado'}">${r.correct ? '✔' : '✘'}</span>
+      <div class="flex-1"><div class="problem-question">${esc(p.question)}</div><div class="text-xs text-gray-500">${esc(name(classifyAnswer(p, cl.by)))}${r.correct ? '' : ` · dijiste ${esc(name(r.answer))}`}</div></div>
+    </li>`;
+  }).join('');
+  const view = $('#problem-selection-view');
+  view.innerHTML = `
+    <h2 class="text-2xl font-bold text-gray-800 mb-4">Puntuación</h2>
+    <div class="grid grid-cols-2 gap-3 mb-6">
+      <div class="dash-kpi"><div class="dash-kpi-value">${right}/${answered.length}</div><div class="dash-kpi-label">Aciertos</div></div>
+      <div class="dash-kpi"><div class="dash-kpi-value">${answered.length ? Math.round(right / answered.length * 100) : 0}%</div><div class="dash-kpi-label">${esc(CLASSIFY_BY[cl.by])}</div></div>
+    </div>
+    <section class="mb-6"><h3 class="font-bold mb-2">Enunciados</h3><ul class="space-y-2 max-h-[40vh] overflow-y-auto">${rows}</ul></section>
+    <div class="flex flex-wrap gap-3 justify-end">
+      ${missed.length ? `<button id="btn-classify-retry" class="font-bold text-white bg-orange-500 hover:bg-orange-600 px-6 py-3 rounded-lg">↻ Repetir los ${missed.length} fallado(s)</button>` : ''}
+      <button id="btn-classify-new" class="font-bold text-white bg-indigo-500 hover:bg-indigo-600 px-6 py-3 rounded-lg">Clasificar otros</button>
+      <button id="btn-classify-back" class="font-bold text-gray-700 bg-gray-200 hover:bg-gray-300 px-6 py-3 rounded-lg">Volver a Cursos</button>
+    </div>
+  `;
+  if (missed.length) $('#btn-classify-retry').onclick = () => startClassification(missed, cl.by);
+  $('#btn-classify-new').onclick = () => showClassifySetup();
+  $('#btn-classify-back').onclick = () => renderLevelSelection();
+  announce(`Has acertado ${right} de ${answered.length}.`);
+  try { if (answered.length && right === answered.length) avatarCelebrate(); } catch(e){}
 }
 
 // -------- Avatar helper (selector, dialog, persistence) --------
@@ -1178,13 +4310,14 @@ function syncFixedFace(){
   } catch(e){}
 }
 
-function avatarStepAnnounce(stepIndex, status){
-  // status: 'start'|'correct'|'incorrect'|'hint'
+function avatarStepAnnounce(stepIndex, status, message){
+  // status: 'start'|'correct'|'incorrect'|'hint'; `message` explains an 'incorrect' (see diagnoseStep3)
   try {
     syncFixedFace();
     if (status === 'start') showAvatarMessage('Vamos con el paso ' + (stepIndex+1) + ' — tú puedes', {timeout:2000, small:true});
     if (status === 'correct') avatarCelebrate();
-    if (status === 'incorrect') avatarEncourage();
+    if (status === 'incorrect' && message) { renderAvatar(); showAvatarMessage(message, {timeout:5000}); }
+    else if (status === 'incorrect') avatarEncourage();
     if (status === 'hint') showAvatarMessage('Pista: revisa las operaciones', {timeout:2200, small:true});
     // small visual pulse on fixed face
     const f = document.getElementById('avatar-face-fixed'); if (f) { f.classList.add('avatar-react'); setTimeout(()=>f.classList.remove('avatar-react'), 600); }
@@ -1366,6 +4499,233 @@ document.addEventListener('keydown', function delegatedAvatarKey(e){
   } catch(err){}
 });
 
+// -------- Reglas por curso --------
+// Per-grade content rules (shared/grade-rules.js) with the teacher's overrides, stored
+// per device; the AI generator sends the effective rules of the grade it asks for.
+// The same table picks the grades whose students build the step 2 diagram (DIAGRAM_BUILD_KEY).
+const GRADE_RULES_KEY = `${LS_KEY}_grade_rules`;
+
+function loadGradeRuleOverrides() {
+  try { return normalizeGradeRules(JSON.parse(localStorage.getItem(GRADE_RULES_KEY) || '{}')); } catch (e) { return {}; }
+}
+
+// Template and bank checks ask for the rules once per value, so the effective rules are
+// kept per grade until the teacher saves or resets the table.
+let gradeRulesCache = {};
+
+function effectiveGradeRules(grade) {
+  const g = Number(grade);
+  return gradeRulesCache[g] || (gradeRulesCache[g] = gradeRules(grade, loadGradeRuleOverrides()));
+}
+
+function showGradeRulesModal() {
+  const modal = document.getElementById('grade-rules-modal');
+  const content = document.getElementById('grade-rules-content');
+  if (!modal || !content) return;
+  const num = (g, k, v) => `<input type="number" min="1" class="w-24 p-1 border rounded" data-grade="${g}" data-rule="${k}" value="${v}">`;
+  const buildGrades = loadDiagramBuildGrades();
+  content.innerHTML = `
+    <div class="overflow-x-auto"><table class="w-full text-sm border-collapse">
+      <thead><tr class="bg-gray-100">
+        <th class="p-2 text-left">Curso</th><th class="p-2 text-left">Operaciones</th><th class="p-2 text-left">Valor máximo</th>
+        <th class="p-2 text-left">Decimales y fracciones</th><th class="p-2 text-left">Operaciones por problema</th>
+        <th class="p-2 text-left">Palabras del enunciado</th><th class="p-2 text-left">Palabras por frase</th>
+        <th class="p-2 text-left">El alumno construye el esquema</th>
+      </tr></thead>
+      <tbody>${GRADES.map(g => { const r = effectiveGradeRules(g); return `
+        <tr class="border-b">
+          <td class="p-2 font-bold">${g}º</td>
+          <td class="p-2 whitespace-nowrap">${OPERATIONS.map(op => `<label class="mr-2"><input type="checkbox" data-grade="${g}" data-rule="operations" value="${op}" ${r.operations.includes(op) ? 'checked' : ''}> ${op}</label>`).join('')}</td>
+          <td class="p-2">${num(g, 'maxValue', r.maxValue)}</td>
+          <td class="p-2"><input type="checkbox" data-grade="${g}" data-rule="decimals" ${r.decimals ? 'checked' : ''}></td>
+          <td class="p-2">${num(g, 'maxSteps', r.maxSteps)}</td>
+          <td class="p-2">${num(g, 'maxQuestionWords', r.maxQuestionWords)}</td>
+          <td class="p-2">${num(g, 'maxWordsPerSentence', r.maxWordsPerSentence)}</td>
+          <td class="p-2"><input type="checkbox" data-grade="${g}" data-diagram-build ${buildGrades.includes(g) ? 'checked' : ''}></td>
+        </tr>`; }).join('')}
+      </tbody>
+    </table></div>
+    <p class="text-xs text-gray-500 mt-2">Se avisan al guardar un problema y en «Comprobar banco», y las sigue el generador con IA.</p>
+    <p class="text-xs text-gray-500 mt-1">Con «El alumno construye el esquema», en el paso 2 se elige el esquema y se colocan los números en vez de verlo hecho; cada problema puede cambiarlo en el editor.</p>`;
+  const close = () => { modal.classList.remove('modal-visible'); setTimeout(() => { modal.classList.add('hidden'); modal.classList.add('hidden-view'); }, 320); };
+  $('#grade-rules-close').onclick = close;
+  $('#grade-rules-reset').onclick = () => {
+    if (!confirm('¿Volver a las reglas por defecto de todos los cursos?')) return;
+    try { localStorage.removeItem(GRADE_RULES_KEY); localStorage.removeItem(DIAGRAM_BUILD_KEY); } catch (e) {}
+    gradeRulesCache = {};
+    showToast('Reglas por defecto restauradas', 'success');
+    showGradeRulesModal();
+  };
+  $('#grade-rules-save').onclick = () => {
+    // only what differs from the defaults is stored, so later default changes still apply
+    const overrides = {};
+    GRADES.forEach(g => {
+      const field = (k) => content.querySelector(`[data-grade="${g}"][data-rule="${k}"]`);
+      const read = {
+        operations: OPERATIONS.filter(op => content.querySelector(`[data-grade="${g}"][data-rule="operations"][value="${op}"]`).checked),
+        maxValue: field('maxValue').value, decimals: field('decimals').checked, maxSteps: field('maxSteps').value,
+        maxQuestionWords: field('maxQuestionWords').value, maxWordsPerSentence: field('maxWordsPerSentence').value
+      };
+      const valid = normalizeGradeRules({ [g]: read })[g] || {};
+      const diff = Object.fromEntries(Object.entries(valid).filter(([k, v]) => JSON.stringify(v) !== JSON.stringify(DEFAULT_GRADE_RULES[g][k])));
+      if (Object.keys(diff).length) overrides[g] = diff;
+    });
+    if (GRADES.some(g => overrides[g] && overrides[g].operations && !overrides[g].operations.length)) { showToast('Cada curso necesita al menos una operación.', 'error'); return; }
+    const buildGrades = GRADES.filter(g => content.querySelector(`[data-grade="${g}"][data-diagram-build]`).checked);
+    gradeRulesCache = {};
+    try {
+      localStorage.setItem(GRADE_RULES_KEY, JSON.stringify(overrides));
+      localStorage.setItem(DIAGRAM_BUILD_KEY, JSON.stringify(buildGrades));
+    } catch (e) { showToast('No se pudieron guardar las reglas', 'error'); return; }
+    showToast('Reglas guardadas', 'success');
+    close();
+  };
+  modal.classList.remove('hidden'); modal.classList.remove('hidden-view'); void modal.offsetWidth; modal.classList.add('modal-visible');
+}
+
+// -------- Coherencia del banco --------
+// Recomputes a problem from its data: the operation against where the '?' is, the answer
+// against the data, the chaining of steps (every intermediate result is used later), the
+// answer in fullAnswer and the grade's rules (operations, values, steps, question length).
+// Each issue is { code, step, message, fix }, `step` being the step index (null for the
+// whole problem) and `fix(problem)` the one-click correction when there is a sure one.
+function checkProblemConsistency(problem) {
+  if (!problem || typeof problem !== 'object') return [];
+  const multi = isMultiStep(problem);
+  const steps = multi ? problem.steps : [problem];
+  const template = isTemplateProblem(problem);
+  const issues = [];
+  const add = (code, step, message, fix) => issues.push({ code, step, message: (multi && step != null ? `Paso ${step + 1}: ` : '') + message, fix: fix || null });
+  const at = (p, i) => (multi ? p.steps[i] : p);
+
+  steps.forEach((st, i) => {
+    if (!st || !getProblemType(st.type) || !st.data) return;
+    const resolved = multi ? resolveStepData(problem, i) : st;
+    const sol = derivedStepSolution(resolved);
+    const opWarn = operationWarning(st);
+    if (opWarn) add('operation', i, opWarn, sol && (p => { at(p, i).operation = sol.operation; }));
+    // "1.250" is read as 1250: a decimal stored with a point before three digits needs the comma
+    Object.entries(st.data).concat([['answer', st.answer]]).forEach(([k, v]) => {
+      if (ambiguousDecimal(v)) add('decimal', i, `${k === 'answer' ? 'La respuesta' : `El dato ${k}`} «${v}» se lee como ${formatQuantity(v)}: escribe ${canonicalQuantity(v)} si es eso o ${String(v).replace('.', ',')} si es un decimal.`);
+    });
+    if (template) return;
+    // with no '?' to derive from, the step's own operation is recomputed
+    const n = sol ? quantityValue(norm(sol.answer)) : deriveStepAnswer(resolved.data, st.operation, st.type);
+    const expected = sol ? sol.answer : Number.isFinite(n) ? templateNumber(n) : '';
+    if (expected && !isAutoAnswer(st.answer) && !sameQuantity(norm(st.answer), norm(expected), 'equivalente')) {
+      add('answer', i, `La respuesta calculada con esos datos es ${formatQuantity(expected)}, no ${formatQuantity(st.answer)}.`, p => { at(p, i).answer = expected; });
+    }
+  });
+
+  // every intermediate result must be used by a later step (DOS_OPERACIONES: step 2 uses step 1)
+  if (multi) problem.steps.slice(0, -1).forEach((st, i) => {
+    const later = problem.steps.slice(i + 1);
+    const used = later.some((ls, j) => Object.values((ls && ls.data) || {}).some(v => isStepReference(v) && stepReferenceTarget(v, i + 1 + j) === i));
+    if (used) return;
+    // a later step that writes the value instead of the reference
+    let target = null;
+    if (!template && st && st.answer != null) later.forEach((ls, j) => {
+      const key = !target && Object.keys((ls && ls.data) || {}).find(k => ls.data[k] !== '?' && !isStepReference(ls.data[k]) && sameQuantity(norm(ls.data[k]), norm(st.answer), 'equivalente'));
+      if (key) target = { step: i + 1 + j, key };
+    });
+    const ref = (stepIndex) => (stepIndex === i + 1 ? 'RESULTADO_ANTERIOR' : `RESULTADO_PASO_${i + 1}`);
+    if (target) add('chain', target.step, `escribe ${ref(target.step)} en lugar de ${formatQuantity(problem.steps[target.step].data[target.key])} (el resultado del paso ${i + 1}).`, p => { p.steps[target.step].data[target.key] = ref(target.step); });
+    else add('chain', i, `su resultado no se usa en ningún paso posterior (usa RESULTADO_ANTERIOR o RESULTADO_PASO_${i + 1}).`);
+  });
+
+  // the grade's rules, with the first grade that accepts the problem as the fix
+  const grade = Number(problem.grade);
+  const broken = gradeRuleViolations(problem, effectiveGradeRules(grade));
+  if (broken.length) {
+    const fits = GRADES.find(g => g > grade && !gradeRuleViolations(problem, effectiveGradeRules(g)).length);
+    broken.forEach(v => add('grade', null, `Para ${grade}º ${v.replace(/\.$/, '')}${fits ? `; vale para ${fits}º` : ''}.`, fits && (p => { p.grade = fits; })));
+  }
+
+  if (template) return issues;
+
+  const finalAnswer = getExpectedFinalAnswer(problem);
+  if (!isAutoAnswer(finalAnswer)) {
+    const full = String(problem.fullAnswer || '');
+    if (!gradeFullAnswer(full, { ...problem, answerStrictness: 'numero' }).ok) {
+      // only one number in the sentence: it is the one to replace
+      const nums = full.match(/\d+(?:\s*\/\s*\d+|(?:[.,]\d+)*)/g) || [];
+      const canFix = nums.length === 1 && (parseQuantity(norm(finalAnswer)) || {}).kind !== 'percent';
+      add('fullAnswer', null, full.trim() ? `La respuesta completa no menciona ${formatQuantity(finalAnswer)}.` : 'Falta la respuesta completa.',
+        canFix && (p => { p.fullAnswer = String(p.fullAnswer).replace(nums[0], formatQuantity(norm(getExpectedFinalAnswer(p)), { withUnit: false })); }));
+    }
+  }
+
+  return issues;
+}
+
+// Applies every sure fix, recomputing after each pass (fixing step 1 can change step 2's answer)
+function fixProblemConsistency(problem) {
+  let fixed = 0;
+  for (let pass = 0; pass < 10; pass++) {
+    const fixable = checkProblemConsistency(problem).filter(i => i.fix);
+    if (!fixable.length) break;
+    fixable[0].fix(problem);
+    fixed++;
+  }
+  return fixed;
+}
+
+// Runs `fn(problem) -> number of fixes made` on the stored problems with those ids; undoable
+function applyConsistencyFixes(ids, fn) {
+  const before = state.problems.filter(p => ids.includes(p.id)).map(p => JSON.parse(JSON.stringify(p)));
+  let count = 0;
+  state.problems.filter(p => ids.includes(p.id)).forEach(p => { count += fn(p); });
+  if (!count) return 0;
+  pushUndo({ type: 'fix', payload: { items: before } });
+  saveProblems(state.problems);
+  fetchProblemsForEditor($('#grade-selector').value);
+  showToast(count === 1 ? 'Corrección aplicada.' : `${count} correcciones aplicadas.`, 'success');
+  return count;
+}
+
+// Bank-wide report with one-click fixes (undoable with «Deshacer acción»)
+function showConsistencyReport() {
+  const modal = document.getElementById('consistency-modal');
+  const content = document.getElementById('consistency-content');
+  if (!modal || !content) return;
+  const flagged = state.problems.map(p => ({ p, issues: checkProblemConsistency(p) })).filter(x => x.issues.length);
+  const esc = (s) => String(s ?? '').replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
+  const fixAll = document.getElementById('consistency-fix-all');
+  if (fixAll) fixAll.disabled = !flagged.some(x => x.issues.some(i => i.fix));
+  content.innerHTML = `<p class="mb-3">${state.problems.length} problemas revisados: ${flagged.length ? `${flagged.length} con avisos.` : 'todo cuadra.'}</p>` +
+    (flagged.length ? `<ul class="space-y-2">${flagged.map(({ p, issues }) => `
+      <li class="p-2 border rounded" data-problem-id="${esc(p.id)}">
+        <div class="flex justify-between items-start gap-2">
+          <div class="font-semibold">${esc(p.grade)}º · ${esc(typeName(p.type))} · ${esc(p.question)}</div>
+          <button class="btn-consistency-edit py-1 px-3 rounded border shrink-0" data-id="${esc(p.id)}">Editar</button>
+        </div>
+        <ul class="mt-1 space-y-1">${issues.map((iss, k) => `
+          <li class="flex justify-between items-center gap-2 text-sm">
+            <span class="text-amber-700">⚠ ${esc(iss.message)}</span>
+            ${iss.fix ? `<button class="btn-consistency-fix py-1 px-3 rounded bg-green-600 text-white shrink-0" data-id="${esc(p.id)}" data-issue="${k}">Corregir</button>` : ''}
+          </li>`).join('')}
+        </ul>
+      </li>`).join('')}</ul>` : '');
+
+  const applyFixes = (ids, fn) => { if (applyConsistencyFixes(ids, fn)) showConsistencyReport(); };
+  content.querySelectorAll('.btn-consistency-fix').forEach(b => b.onclick = () => {
+    const id = b.getAttribute('data-id');
+    const k = Number(b.getAttribute('data-issue'));
+    applyFixes([id], p => { const iss = checkProblemConsistency(p)[k]; if (!iss || !iss.fix) return 0; iss.fix(p); return 1; });
+  });
+  content.querySelectorAll('.btn-consistency-edit').forEach(b => b.onclick = () => {
+    hideConsistencyReport();
+    showEditProblemForm(b.getAttribute('data-id'));
+  });
+  if (fixAll) fixAll.onclick = () => applyFixes(flagged.map(x => x.p.id), fixProblemConsistency);
+  modal.classList.remove('hidden'); modal.classList.remove('hidden-view'); void modal.offsetWidth; modal.classList.add('modal-visible');
+}
+
+function hideConsistencyReport() {
+  const m = document.getElementById('consistency-modal');
+  if (m) { m.classList.remove('modal-visible'); setTimeout(() => { m.classList.add('hidden'); m.classList.add('hidden-view'); }, 320); }
+}
+
 // -------- Editor --------
 function renderEditor() {
   const modal = $('#add-problem-modal');
@@ -1493,7 +4853,8 @@ function renderEditor() {
       const id = checked[0].getAttribute('data-id');
       const p = state.problems.find(x => x.id === id);
       if (!p) { showToast('Problema no encontrado.', 'error'); return; }
-      const html = buildPrintHtml(p);
+      // templates print a fresh instance, so each printed sheet gets its own numbers
+      const html = buildPrintHtml(isTemplateProblem(p) ? instantiateTemplate(p) : p);
       const w = window.open('', '_blank');
       if (!w) { showToast('Bloqueado por el navegador. Permite popups para imprimir.', 'warn'); return; }
       w.document.open();
@@ -1535,27 +4896,42 @@ function renderEditor() {
       </style>
     </head><body><div class="sheet">`;
     const footer = `<div class="sp"></div><div class="mut">Generado: ${today}</div></div></body></html>`;
-
-    if (p.type !== 'DOS_OPERACIONES') {
-      const [l1,l2,lT] = p.labels ? [p.labels.p1||p.labels.u||p.labels.cm||p.labels.ci||'', p.labels.p2||p.labels.v||p.labels.cmen||p.labels.c||'', p.labels.t||p.labels.d||p.labels.cf||''] : ['','',''];
-      const [d1,d2,dT] = p.data ? [p.data.p1||p.data.u||p.data.cm||p.data.ci||'', p.data.p2||p.data.v||p.data.cmen||p.data.c||'', p.data.t||p.data.d||p.data.cf||''] : ['','',''];
+    const logic = getLogicCheck(p);
+    const logicBox = `${safe(logic.question)}<div class="sp"></div><div class="row" style="flex-wrap:wrap;gap:18px">${logic.options.map(o => `<span>☐ ${safe(o.text)}</span>`).join('')}</div>`;
+
+    // one row per key of the type, plus the equation (with the remainder for division types)
+    const slotRows = (labels, data) => labels.map((l, i) => `<div class="row"><span class="label">${safe(l || ['Dato 1', 'Dato 2', 'Total'][i] || `Dato ${i + 1}`)}</span><span>${safe(data[i])}</span></div>`).join('');
+    const equation = (data, op) => `${safe(data[0])} ${op} ${safe(data[1])} = ${safe(data[2])}${data.length > 3 ? ` (resto ${safe(data[3])})` : ''}`;
+    // measures with a decimal comma; the unknown and the answer line carry the answer's unit
+    const shownData = (values, unit) => values.map(v => v === '?' && unit ? `? ${unit}` : formatQuantity(v));
+    const answerLine = (unit) => `<div class="row"><span class="label">Respuesta numérica</span><span class="answer">&nbsp;</span>${unit ? `<span>${safe(unit)}</span>` : ''}</div>`;
+    // ESTIMO, before the calculation: a blank for the estimate or the author's ranges to tick
+    const estimate = estimateConfig(p);
+    const estimateUnit = estimate && quantityUnit(norm(getExpectedFinalAnswer(p)));
+    const estimateBox = !estimate ? '' : `<h2>Estimo</h2><div class="box" style="min-height:0"><div class="small">Antes de calcular: ¿cuánto crees que saldrá, más o menos?</div><div class="sp"></div>${estimate.ranges
+      ? `<div class="row" style="flex-wrap:wrap;gap:18px">${estimate.ranges.map(([lo, hi]) => `<span>☐ entre ${safe(formatQuantity(String(lo)))} y ${safe(formatQuantity(String(hi)))}</span>`).join('')}</div>`
+      : `<div class="row"><span class="label">Unos</span><span class="answer">&nbsp;</span>${estimateUnit ? `<span>${safe(estimateUnit)}</span>` : ''}</div>`}</div>`;
+
+    if (!isMultiStep(p)) {
+      const labels = slotValues(p.type, p.labels).map(v => v || '');
+      const unit = quantityUnit(norm(p.answer));
+      const data = shownData(slotValues(p.type, p.data).map(v => v || ''), unit);
       const op = p.operation || '+';
-      const eq = `${safe(d1)} ${op} ${safe(d2)} = ${safe(dT)}`;
+      const eq = equation(data, op);
       return head + `
         <h1>Problema (${safe(p.type)})</h1>
         <div class="meta"><div>Curso: ${safe(p.grade||'')}</div><div>ID: ${safe(p.id||'')}</div></div>
         <p>${safe(p.question||'')}</p>
+        ${estimateBox}
         <div class="sp"></div>
         <div class="grid">
           <div class="box">
-            <div class="row"><span class="label">${safe(l1||'Dato 1')}</span><span>${safe(d1)}</span></div>
-            <div class="row"><span class="label">${safe(l2||'Dato 2')}</span><span>${safe(d2)}</span></div>
-            <div class="row"><span class="label">${safe(lT||'Total')}</span><span>${safe(dT)}</span></div>
+            ${slotRows(labels, data)}
           </div>
           <div class="box">
             <div class="row eq">${eq}</div>
             <div class="sp"></div>
-            <div class="row"><span class="label">Respuesta numérica</span><span class="answer">&nbsp;</span></div>
+            ${answerLine(unit)}
             <div class="sp"></div>
             <div><div class="small">Respuesta completa</div>
               <div class="lines"><div class="line"></div><div class="line"></div><div class="line"></div><div class="line"></div></div>
@@ -1563,67 +4939,45 @@ function renderEditor() {
           </div>
         </div>
         ${p.hint?`<h2>Pista</h2><div class="box">${safe(p.hint)}</div>`:''}
-        ${p.logicCheck?`<h2>Pregunta lógica</h2><div class="box">${safe(p.logicCheck)}</div>`:''}
+        ${p.logicCheck?`<h2>Pregunta lógica</h2><div class="box">${logicBox}</div>`:''}
       ` + footer;
     } else {
-      const s1 = p.steps && p.steps[0] || {};
-      const s2 = p.steps && p.steps[1] || {};
-      const pick = (s) => {
-        const l1 = s.labels ? (s.labels.p1||s.labels.u||s.labels.cm||s.labels.ci||'') : '';
-        const l2 = s.labels ? (s.labels.p2||s.labels.v||s.labels.cmen||s.labels.c||'') : '';
-        const lT = s.labels ? (s.labels.t||s.labels.d||s.labels.cf||'') : '';
-        const d1 = s.data ? (s.data.p1||s.data.u||s.data.cm||s.data.ci||'') : '';
-        const d2 = s.data ? (s.data.p2||s.data.v||s.data.cmen||s.data.c||'') : '';
-        const dT = s.data ? (s.data.t||s.data.d||s.data.cf||'') : '';
-        return { l1,l2,lT,d1,d2,dT, op: s.operation || '+' };
+      const pick = (s, i) => {
+        const show = (v) => isStepReference(v) ? `(${describeStepReference(v, i)})` : (v || '');
+        const unit = quantityUnit(norm(s.answer));
+        return { labels: slotValues(s.type, s.labels).map(v => v || ''), data: shownData(slotValues(s.type, s.data).map(show), unit), op: s.operation || '+', unit };
       };
-      const a = pick(s1), b = pick(s2);
-      const eq1 = `${safe(a.d1)} ${a.op} ${safe(a.d2)} = ${safe(a.dT)}`;
-      const eq2 = `${safe(b.d1)} ${b.op} ${safe(b.d2)} = ${safe(b.dT)}`;
-      return head + `
-        <h1>Problema (DOS_OPERACIONES)</h1>
-        <div class="meta"><div>Curso: ${safe(p.grade||'')}</div><div>ID: ${safe(p.id||'')}</div></div>
-        <p>${safe(p.question||'')}</p>
-        <div class="sp"></div>
-        <h2>Paso 1</h2>
-        <div class="grid">
-          <div class="box">
-            <div class="row"><span class="label">${safe(a.l1||'Dato 1')}</span><span>${safe(a.d1)}</span></div>
-            <div class="row"><span class="label">${safe(a.l2||'Dato 2')}</span><span>${safe(a.d2)}</span></div>
-            <div class="row"><span class="label">${safe(a.lT||'Total')}</span><span>${safe(a.dT)}</span></div>
-          </div>
-          <div class="box">
-            <div class="row eq">${eq1}</div>
-            <div class="sp"></div>
-            <div class="row"><span class="label">Respuesta numérica</span><span class="answer">&nbsp;</span></div>
-            <div class="sp"></div>
-            <div><div class="small">Respuesta completa</div>
-              <div class="lines"><div class="line"></div><div class="line"></div><div class="line"></div><div class="line"></div></div>
-            </div>
-          </div>
-        </div>
-        <h2>Paso 2</h2>
+      const stepsHtml = (p.steps || []).map((st, i) => {
+        const a = pick(st || {}, i);
+        return `
+        <h2>Paso ${i + 1}</h2>
         <div class="grid">
           <div class="box">
-            <div class="row"><span class="label">${safe(b.l1||'Dato 1')}</span><span>${safe(b.d1)}</span></div>
-            <div class="row"><span class="label">${safe(b.l2||'Dato 2')}</span><span>${safe(b.d2)}</span></div>
-            <div class="row"><span class="label">${safe(b.lT||'Total')}</span><span>${safe(b.dT)}</span></div>
+            ${slotRows(a.labels, a.data)}
           </div>
           <div class="box">
-            <div class="row eq">${eq2}</div>
+            <div class="row eq">${equation(a.data, a.op)}</div>
             <div class="sp"></div>
-            <div class="row"><span class="label">Respuesta numérica</span><span class="answer">&nbsp;</span></div>
+            ${answerLine(a.unit)}
             <div class="sp"></div>
             <div><div class="small">Respuesta completa</div>
               <div class="lines"><div class="line"></div><div class="line"></div><div class="line"></div><div class="line"></div></div>
             </div>
           </div>
-        </div>
+        </div>`;
+      }).join('');
+      return head + `
+        <h1>Problema (${safe(p.type)})</h1>
+        <div class="meta"><div>Curso: ${safe(p.grade||'')}</div><div>ID: ${safe(p.id||'')}</div></div>
+        <p>${safe(p.question||'')}</p>
+        ${estimateBox}
+        <div class="sp"></div>
+        ${stepsHtml}
         ${p.hint?`<h2>Pista</h2><div class="box">${safe(p.hint)}</div>`:''}
-        ${p.logicCheck?`<h2>Pregunta lógica</h2><div class="box">${safe(p.logicCheck)}</div>`:''}
+        ${p.logicCheck?`<h2>Pregunta lógica</h2><div class="box">${logicBox}</div>`:''}
         <h2>Resultado final</h2>
         <div class="box">
-          <div class="row"><span class="label">Respuesta numérica</span><span class="answer">&nbsp;</span></div>
+          ${answerLine(quantityUnit(norm(getExpectedFinalAnswer(p))))}
           <div class="sp"></div>
           <div><div class="small">Respuesta completa</div>
             <div class="lines"><div class="line"></div><div class="line"></div><div class="line"></div><div class="line"></div></div>
@@ -1652,6 +5006,16 @@ function renderEditor() {
     if (confirm('¿Revertir la última importación y restaurar el backup más reciente?')) revertLastImport();
   };
   if (btnUndoAction) btnUndoAction.onclick = () => undoLastAction();
+  const btnTelemetry = $('#btn-show-telemetry');
+  if (btnTelemetry) btnTelemetry.onclick = () => showTelemetryModal();
+  const btnDashboard = $('#btn-show-dashboard');
+  if (btnDashboard) btnDashboard.onclick = () => showDashboard();
+  const btnGradeRules = $('#btn-grade-rules');
+  if (btnGradeRules) btnGradeRules.onclick = () => showGradeRulesModal();
+  const btnCheckBank = $('#btn-check-bank');
+  if (btnCheckBank) btnCheckBank.onclick = () => showConsistencyReport();
+  const consistencyClose = $('#consistency-close');
+  if (consistencyClose) consistencyClose.onclick = () => hideConsistencyReport();
   if (backupsClose) backupsClose.onclick = () => { const m = $('#backups-modal'); if (m) { m.classList.remove('modal-visible'); setTimeout(()=>{ m.classList.add('hidden'); m.classList.add('hidden-view'); }, 320); } };
 }
 
@@ -1672,13 +5036,12 @@ function ensureAiModal() {
         </label>
         <label class="text-sm">Tipo de problema
           <select id="ai-type" class="w-full p-2 border rounded">
-            <option value="PPT">Parte-Parte-Total</option>
-            <option value="UVT">Unidad-Veces-Total</option>
-            <option value="COMPARACION">Comparación</option>
-            <option value="CAMBIO">Cambio</option>
-            <option value="DOS_OPERACIONES">Dos Operaciones</option>
+            ${typeOptionsHtml(ALL_TYPES)}
           </select>
         </label>
+        <label class="text-sm">Incógnita
+          <select id="ai-unknown" class="w-full p-2 border rounded"></select>
+        </label>
         <label class="text-sm">Cantidad (1-10)
           <input id="ai-count" type="number" min="1" max="10" value="1" class="w-full p-2 border rounded" />
         </label>
@@ -1709,6 +5072,9 @@ function openAiModal() {
   const btnBatch = document.getElementById('ai-generate-batch');
   btnOne.onclick = () => doAiGenerate(false);
   btnBatch.onclick = () => doAiGenerate(true);
+  const typeSel = document.getElementById('ai-type');
+  typeSel.onchange = syncAiUnknown;
+  syncAiUnknown();
   // show current endpoint and allow configuring
   const view = document.getElementById('ai-endpoint-view');
   if (view) view.textContent = (getApiBase() || window.location.origin) + '/api/generate-problem';
@@ -1720,6 +5086,18 @@ function openAiModal() {
   };
 }
 
+// Boxes the AI may put the '?' in for the chosen type (only types with a `relation`;
+// composite types keep the usual one in each step)
+function syncAiUnknown() {
+  const sel = document.getElementById('ai-unknown');
+  const def = getProblemType(document.getElementById('ai-type').value);
+  if (!sel) return;
+  sel.disabled = !(def && def.relation);
+  sel.innerHTML = sel.disabled ? `<option value="">${def ? `La habitual (${def.defaultLabels[def.unknown]})` : 'La de cada paso'}</option>`
+    : `<option value="">La habitual (${def.defaultLabels[def.unknown]})</option>` +
+      def.keys.filter(k => k !== def.remainder && k !== def.unknown).map(k => `<option value="${k}">${def.defaultLabels[k]}</option>`).join('');
+}
+
 function wireAiGenerator() {
   const btn = document.getElementById('btn-ai-generate');
   if (!btn) return;
@@ -1729,11 +5107,15 @@ function wireAiGenerator() {
 async function doAiGenerate(asBatch) {
   const grade = Number(document.getElementById('ai-grade').value || 1);
   const type = document.getElementById('ai-type').value || 'PPT';
+  const unknown = document.getElementById('ai-unknown').value || undefined;
+  const rules = effectiveGradeRules(grade);
   const theme = (document.getElementById('ai-theme').value || '').trim();
   const count = Math.max(1, Math.min(10, Number(document.getElementById('ai-count').value || (asBatch ? 5 : 1))));
   const status = document.getElementById('ai-status');
   status.textContent = 'Generando… Por favor espera.';
   try {
+    const typeErr = gradeTypeError(type, rules);
+    if (typeErr) throw new Error(`Para ${grade}º: ${typeErr} Puedes cambiarlo en «Reglas por curso».`);
     const base = getApiBase();
     const url = (base ? base : '') + '/api/generate-problem';
     // Helpful hint if running on GitHub Pages without configured API
@@ -1743,7 +5125,7 @@ async function doAiGenerate(asBatch) {
     const res = await fetch(url, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ grade, type, theme, count })
+      body: JSON.stringify({ grade, type, unknown, theme, count, rules })
     });
     if (!res.ok) {
       let detail = '';
@@ -1754,6 +5136,7 @@ async function doAiGenerate(asBatch) {
     const data = await res.json();
     const problems = Array.isArray(data.problems) ? data.problems : (data.problem ? [data.problem] : []);
     if (!problems.length) throw new Error('Respuesta IA incompleta');
+    if (Array.isArray(data.rejected) && data.rejected.length) showToast(`${data.rejected.length} problema(s) descartado(s) por no cumplir las reglas de ${grade}º.`, 'warn', 6000);
 
     if (asBatch) {
       const incoming = problems.map(p => ({ id: p.id || rid(), ...p, grade: Number(p.grade), createdAt: p.createdAt || Date.now() }));
@@ -1765,7 +5148,9 @@ async function doAiGenerate(asBatch) {
       }
       status.textContent = '';
       const modal = document.getElementById('ai-modal'); if (modal) { modal.classList.remove('modal-visible'); setTimeout(()=>{ modal.classList.add('hidden'); modal.classList.add('hidden-view'); }, 260); }
-      showToast(`Se añadieron ${incoming.length} problemas generados.`, 'success');
+      const flagged = incoming.filter(pr => checkProblemConsistency(pr).length).length;
+      if (flagged) showToast(`Se añadieron ${incoming.length} problemas generados; ${flagged} con avisos de coherencia (revisa «Comprobar banco»).`, 'warn', 7000);
+      else showToast(`Se añadieron ${incoming.length} problemas generados.`, 'success');
       return;
     }
 
@@ -1779,50 +5164,27 @@ async function doAiGenerate(asBatch) {
     const typeSel = form.querySelector('[name="type"]');
     typeSel.value = p.type || type;
     renderFormFields();
-    if (p.type === 'DOS_OPERACIONES' && Array.isArray(p.steps)) {
-      const s1 = p.steps[0] || {};
-      const s2 = p.steps[1] || {};
-      form.querySelector('[name="step1_type"]').value = s1.type || 'PPT';
-      form.querySelector('[name="step1_operation"]').value = s1.operation || '+';
-      form.querySelector('[name="step1_answer"]').value = s1.answer ?? '';
-      form.querySelector('[name="step1_label1"]').value = (s1.labels && (s1.labels.p1||s1.labels.u||s1.labels.cm||s1.labels.ci)) || 'Dato 1';
-      form.querySelector('[name="step1_label2"]').value = (s1.labels && (s1.labels.p2||s1.labels.v||s1.labels.cmen||s1.labels.c)) || 'Dato 2';
-      form.querySelector('[name="step1_labelT"]').value = (s1.labels && (s1.labels.t||s1.labels.d||s1.labels.cf)) || 'Total';
-      form.querySelector('[name="step2_type"]').value = s2.type || 'PPT';
-      form.querySelector('[name="step2_operation"]').value = s2.operation || '+';
-      form.querySelector('[name="step2_answer"]').value = s2.answer ?? '';
-      form.querySelector('[name="step2_label1"]').value = (s2.labels && (s2.labels.p1||s2.labels.u||s2.labels.cm||s2.labels.ci)) || 'Dato 1';
-      form.querySelector('[name="step2_label2"]').value = (s2.labels && (s2.labels.p2||s2.labels.v||s2.labels.cmen||s2.labels.c)) || 'Dato 2';
-      form.querySelector('[name="step2_labelT"]').value = (s2.labels && (s2.labels.t||s2.labels.d||s2.labels.cf)) || 'Total';
-      const mapVals = (stype, data, prefix) => {
-        if (!data) return;
-        if (stype === 'PPT') { form.querySelector(`[name="${prefix}_data1"]`).value = data.p1 ?? ''; form.querySelector(`[name="${prefix}_data2"]`).value = data.p2 ?? ''; form.querySelector(`[name="${prefix}_dataT"]`).value = data.t ?? ''; }
-        else if (stype === 'UVT') { form.querySelector(`[name="${prefix}_data1"]`).value = data.u ?? ''; form.querySelector(`[name="${prefix}_data2"]`).value = data.v ?? ''; form.querySelector(`[name="${prefix}_dataT"]`).value = data.t ?? ''; }
-        else if (stype === 'COMPARACION') { form.querySelector(`[name="${prefix}_data1"]`).value = data.cm ?? ''; form.querySelector(`[name="${prefix}_data2"]`).value = data.cmen ?? ''; form.querySelector(`[name="${prefix}_dataT"]`).value = data.d ?? ''; }
-        else if (stype === 'CAMBIO') { form.querySelector(`[name="${prefix}_data1"]`).value = data.ci ?? ''; form.querySelector(`[name="${prefix}_data2"]`).value = data.c ?? ''; form.querySelector(`[name="${prefix}_dataT"]`).value = data.cf ?? ''; }
-      };
-      mapVals(s1.type, s1.data, 'step1');
-      mapVals(s2.type, s2.data, 'step2');
+    if (isMultiStep(p)) {
+      renderFormFields(p.steps.length);
+      p.steps.forEach((st, i) => fillStepFields(form, 'step' + (i + 1), st || {}));
       form.querySelector('[name="fullAnswer"]').value = p.fullAnswer || '';
       form.querySelector('[name="logicCheck"]').value = p.logicCheck || '¿La respuesta es lógica?';
     } else {
-      const labels = p.labels || {};
-      const data = p.data || {};
       form.querySelector('[name="operation"]').value = p.operation || '+';
       form.querySelector('[name="answer"]').value = p.answer ?? '';
       form.querySelector('[name="fullAnswer"]').value = p.fullAnswer || '';
       form.querySelector('[name="logicCheck"]').value = p.logicCheck || '¿La respuesta es lógica?';
-      form.querySelector('[name="label1"]').value = labels.p1 || labels.u || labels.cm || labels.ci || 'Dato 1';
-      form.querySelector('[name="label2"]').value = labels.p2 || labels.v || labels.cmen || labels.c || 'Dato 2';
-      form.querySelector('[name="labelT"]').value = labels.t || labels.d || labels.cf || 'Total';
-      if (p.type === 'PPT') { form.querySelector('[name="data1"]').value = data.p1 ?? ''; form.querySelector('[name="data2"]').value = data.p2 ?? ''; form.querySelector('[name="dataT"]').value = data.t ?? ''; }
-      else if (p.type === 'UVT') { form.querySelector('[name="data1"]').value = data.u ?? ''; form.querySelector('[name="data2"]').value = data.v ?? ''; form.querySelector('[name="dataT"]').value = data.t ?? ''; }
-      else if (p.type === 'COMPARACION') { form.querySelector('[name="data1"]').value = data.cm ?? ''; form.querySelector('[name="data2"]').value = data.cmen ?? ''; form.querySelector('[name="dataT"]').value = data.d ?? ''; }
-      else if (p.type === 'CAMBIO') { form.querySelector('[name="data1"]').value = data.ci ?? ''; form.querySelector('[name="data2"]').value = data.c ?? ''; form.querySelector('[name="dataT"]').value = data.cf ?? ''; }
+      fillSlotFields(form, null, p.type, p.data, p.labels);
+      const dirEl = form.querySelector('[name="direction"]'); if (dirEl) dirEl.value = p.direction || '';
     }
+    refreshDerivedHints(form);
+    form.querySelector('[name="logicAnswer"]').value = normalizeLogicAnswer(p.logicAnswer);
+    form.querySelector('[name="logicOptions"]').value = formatLogicOptions(p.logicOptions);
     const modal = document.getElementById('ai-modal');
     if (modal) { modal.classList.remove('modal-visible'); setTimeout(()=>{ modal.classList.add('hidden'); modal.classList.add('hidden-view'); }, 260); }
-    showToast('Problema generado. Revisa y guarda.', 'success');
+    const issues = checkProblemConsistency(p);
+    if (issues.length) showToast(`Problema generado con avisos: ${issues[0].message}`, 'warn', 7000);
+    else showToast('Problema generado. Revisa y guarda.', 'success');
   } catch (err) {
     console.error(err);
   status.innerHTML = `<span class="text-red-600">${err.message || 'Fallo generando problema'}</span>`;
@@ -2047,7 +5409,7 @@ function suggestFixes(parsed) {
     if (p.type && typeof p.type === 'string') {
       const t = p.type.toUpperCase().trim();
       if (t === 'SIMPLE' && p.type !== 'SIMPLE') fixes.push({ field: 'type', from: p.type, to: 'SIMPLE' });
-      if (t === 'DOS_OPERACIONES' && p.type !== 'DOS_OPERACIONES') fixes.push({ field: 'type', from: p.type, to: 'DOS_OPERACIONES' });
+      if (ALL_TYPES.includes(t) && p.type !== t) fixes.push({ field: 'type', from: p.type, to: t });
     }
     return { index: idx, fixes };
   });
@@ -2283,6 +5645,13 @@ function exportProblems() {
   } catch (err) { showToast('Error al exportar: ' + err.message, 'error'); }
 }
 
+// -> warning when a data value or the answer is not a number, fraction or percentage
+function quantityWarning(s) {
+  const bad = Object.entries((s && s.data) || {}).concat([['answer', s && s.answer]])
+    .filter(([, v]) => v != null && v !== '' && v !== '?' && !isStepReference(v) && !parseQuantity(norm(v)));
+  return bad.length ? `${bad.map(([k]) => k).join(', ')} no es un número, una fracción ni un porcentaje.` : null;
+}
+
 // Import problems from a JSON file. Validates basic shape and asks to merge/replace.
 // importParsed(parsed, mode)
 // - parsed: array of problem objects parsed from a JSON file
@@ -2293,38 +5662,48 @@ function exportProblems() {
 function importParsed(parsed, mode = 'replace') {
   if (!Array.isArray(parsed)) { showToast('JSON inválido: se esperaba un array de problemas.', 'error'); return; }
 
-  const validTypes = new Set(['PPT','UVT','COMPARACION','CAMBIO','DOS_OPERACIONES']);
-  const validOps = new Set(['+','-','*','/']);
-
-  const validateStep = (s) => {
-    if (!s || typeof s !== 'object') return 'Paso inválido (debe ser objeto).';
-    if (!s.type || !validTypes.has(s.type)) return 'Tipo de paso inválido.';
-    if (!s.data || typeof s.data !== 'object') return 'Paso sin campo data válido.';
-    if (!s.labels || typeof s.labels !== 'object') return 'Paso sin campo labels válido.';
-    if (!s.operation || !validOps.has(s.operation)) return 'Operación inválida en paso.';
-    if (s.answer == null) return 'Paso sin respuesta.';
-    return null;
-  };
-
   const errors = [];
+  const warnings = [];
   parsed.forEach((p, idx) => {
     if (!p || typeof p !== 'object') { errors.push(`Entrada ${idx}: no es un objeto`); return; }
     if (!p.question || typeof p.question !== 'string') errors.push(`Entrada ${idx}: falta question (string).`);
     if (p.grade == null || Number.isNaN(Number(p.grade))) errors.push(`Entrada ${idx}: grade inválido.`);
-    if (!p.type || !validTypes.has(p.type)) errors.push(`Entrada ${idx}: type inválido.`);
-
-    if (p.type === 'DOS_OPERACIONES') {
-      if (!Array.isArray(p.steps) || p.steps.length !== 2) { errors.push(`Entrada ${idx}: DOS_OPERACIONES debe tener 'steps' como array de 2 pasos.`); return; }
+    if (!p.type || !ALL_TYPES.includes(p.type)) errors.push(`Entrada ${idx}: type inválido.`);
+    const logicErr = validateLogicConfig(p);
+    if (logicErr) errors.push(`Entrada ${idx}: ${logicErr}`);
+    if (p.answerStrictness != null && !ANSWER_STRICTNESS[p.answerStrictness]) errors.push(`Entrada ${idx}: answerStrictness debe ser ${Object.keys(ANSWER_STRICTNESS).join(', ')}.`);
+    if (p.answerEquivalence != null && !EQUIVALENCE_MODES[p.answerEquivalence]) errors.push(`Entrada ${idx}: answerEquivalence debe ser ${Object.keys(EQUIVALENCE_MODES).join(', ')}.`);
+    if (p.diagramMode != null && !DIAGRAM_MODES[p.diagramMode]) errors.push(`Entrada ${idx}: diagramMode debe ser ${Object.keys(DIAGRAM_MODES).join(', ')}.`);
+    const estimateErr = estimateError(p.estimate);
+    if (estimateErr) errors.push(`Entrada ${idx}: ${estimateErr}`);
+    const feedbackErr = errorFeedbackError(p.errorFeedback);
+    if (feedbackErr) errors.push(`Entrada ${idx}: ${feedbackErr}`);
+    if (p.template != null) { const tplErr = templateError(p); if (tplErr) errors.push(`Entrada ${idx}: ${tplErr}`); }
+
+    const entryErrors = errors.length;
+    const composite = COMPOSITE_TYPES[p.type];
+    if (composite) {
+      const { minSteps, maxSteps } = composite;
+      if (!Array.isArray(p.steps) || p.steps.length < minSteps || p.steps.length > maxSteps) { errors.push(`Entrada ${idx}: ${p.type} debe tener 'steps' como array de ${minSteps === maxSteps ? minSteps : `${minSteps} a ${maxSteps}`} pasos.`); return; }
       p.steps.forEach((s, si) => {
-        const e = validateStep(s);
+        const e = validateStepShape(s);
+        if (!e) completeConversionStep(s);
         if (e) errors.push(`Entrada ${idx} paso ${si}: ${e}`);
+        const w = p.template == null && quantityWarning(s);
+        if (w) warnings.push(`Entrada ${idx} paso ${si}: ${w}`);
       });
-    } else {
-      if (!p.data || typeof p.data !== 'object') errors.push(`Entrada ${idx}: falta data válido.`);
-      if (!p.labels || typeof p.labels !== 'object') errors.push(`Entrada ${idx}: falta labels válido.`);
-      if (!p.operation || !validOps.has(p.operation)) errors.push(`Entrada ${idx}: operación inválida.`);
-      if (p.answer == null) errors.push(`Entrada ${idx}: falta answer.`);
+      const refErr = stepReferenceError(p.steps);
+      if (refErr) errors.push(`Entrada ${idx}: ${refErr}`);
+    } else if (getProblemType(p.type)) {
+      const e = validateStepShape(p);
+      // conversion factors left empty are filled in from the units
+      if (!e) completeConversionStep(p);
+      if (e) errors.push(`Entrada ${idx}: ${e}`);
+      const w = p.template == null && quantityWarning(p);
+      if (w) warnings.push(`Entrada ${idx}: ${w}`);
     }
+    // arithmetic only once the shape is valid
+    if (errors.length === entryErrors) checkProblemConsistency(p).forEach(iss => warnings.push(`Entrada ${idx}: ${iss.message}`));
   });
 
   if (errors.length) { showToast('Errores al importar: revisa la consola', 'error', 7000); console.error('Import errors:', errors); return; }
@@ -2359,7 +5738,7 @@ function importParsed(parsed, mode = 'replace') {
     });
   }
   saveProblems(state.problems);
-  showToast('Importación completada', 'success');
+  showToast(warnings.length ? `Importación completada con ${warnings.length} aviso(s): revísalos en «Comprobar banco».` : 'Importación completada', warnings.length ? 'warn' : 'success', warnings.length ? 7000 : undefined);
   // saved to state and localStorage
   try { const raw = localStorage.getItem(LS_KEY); } catch (e) { /* ignore */ }
   // After import, switch grade selector to first imported grade to make problems visible
@@ -2466,7 +5845,7 @@ function fetchProblemsForEditor(grade) {
   problems.sort((a, b) => (a.createdAt || 0) - (b.createdAt || 0));
   let html = '<ul class="space-y-3">'; 
   problems.forEach((p, i) => { 
-    const safeQ = (p.question || '').replace(/</g,'&lt;').replace(/>/g,'&gt;');
+    const safeQ = problemListText(p).replace(/</g,'&lt;').replace(/>/g,'&gt;');
     html += ` 
   <li class="bg-gray-100 p-3 rounded-lg flex justify-between items-center"> 
     <label class="flex items-center gap-3"> 
@@ -2581,18 +5960,14 @@ function renderProblemForm() {
     <div>
       <label class="font-bold">Tipo:</label>
       <select name="type" id="problem-type-selector" required class="w-full p-2 border rounded mt-1">
-        <option value="PPT">Parte-Parte-Total</option>
-        <option value="UVT">Unidad-Veces-Total</option>
-        <option value="COMPARACION">Comparación</option>
-        <option value="CAMBIO">Cambio</option>
-        <option value="DOS_OPERACIONES">Dos Operaciones</option>
+        ${typeOptionsHtml(ALL_TYPES)}
       </select>
     </div>
     <div id="form-fields-container"></div>
     <div>
       <label class="font-bold">Operación:</label>
       <select name="operation" required class="w-full p-2 border rounded mt-1">
-        <option value="+">+</option><option value="-">-</option><option value="*">*</option><option value="/">/</option>
+        ${OPERATIONS.map(op => `<option value="${op}">${op}</option>`).join('')}
       </select>
     </div>
     <div>
@@ -2603,14 +5978,76 @@ function renderProblemForm() {
       <label class="font-bold">Respuesta Completa:</label>
       <input type="text" name="fullAnswer" required class="w-full p-2 border rounded mt-1">
     </div>
+    <div>
+      <label class="font-bold">Corrección de la respuesta completa:</label>
+      <select name="answerStrictness" class="w-full p-2 border rounded mt-1">
+        ${Object.entries(ANSWER_STRICTNESS).map(([k, label]) => `<option value="${k}" ${k === 'normal' ? 'selected' : ''}>${label}</option>`).join('')}
+      </select>
+    </div>
+    <div>
+      <label class="font-bold">Fracciones, decimales y porcentajes en la respuesta:</label>
+      <select name="answerEquivalence" class="w-full p-2 border rounded mt-1">
+        ${Object.entries(EQUIVALENCE_MODES).map(([k, label]) => `<option value="${k}">${label}</option>`).join('')}
+      </select>
+    </div>
+    <div>
+      <label class="font-bold">Esquema del paso 2:</label>
+      <select name="diagramMode" class="w-full p-2 border rounded mt-1">
+        <option value="">Como en su curso («Reglas por curso»)</option>
+        ${Object.entries(DIAGRAM_MODES).map(([k, label]) => `<option value="${k}">${label}</option>`).join('')}
+      </select>
+    </div>
+    <div>
+      <label class="font-bold">Paso ESTIMO (antes de calcular):</label>
+      <select name="estimateMode" class="w-full p-2 border rounded mt-1">
+        <option value="">Sin estimación</option>
+        ${Object.entries(ESTIMATE_MODES).map(([k, label]) => `<option value="${k}">${label}</option>`).join('')}
+      </select>
+      <div class="grid grid-cols-1 md:grid-cols-2 gap-2 mt-1">
+        <input type="number" name="estimateTolerance" min="1" max="100" placeholder="Cerca si se aleja menos de ${ESTIMATE_TOLERANCE}%" class="p-2 border rounded" aria-label="Tolerancia de la estimación (%)">
+        <input type="text" name="estimateRanges" placeholder="Intervalos: 0-10; 10-20; 20-50" class="p-2 border rounded" aria-label="Intervalos para elegir">
+      </div>
+    </div>
     <div>
       <label class="font-bold">Pista (opcional):</label>
       <input type="text" name="hint" class="w-full p-2 border rounded mt-1">
     </div>
+    <div>
+      <label class="font-bold">Mensajes para respuestas equivocadas del cálculo (opcional):</label>
+      <textarea name="errorFeedback" rows="2" class="w-full p-2 border rounded mt-1" placeholder="Uno por línea: respuesta | mensaje (en varios pasos: Paso 2: 11 | mensaje)"></textarea>
+      <p class="text-xs text-gray-500 mt-1">Se muestran en lugar del aviso general. Los errores típicos (operación contraria, llevadas, cifras cambiadas…) se detectan solos.</p>
+    </div>
     <div>
       <label class="font-bold">Pregunta Lógica:</label>
       <input type="text" name="logicCheck" required class="w-full p-2 border rounded mt-1">
     </div>
+    <div class="grid grid-cols-1 md:grid-cols-3 gap-2">
+      <div>
+        <label class="font-bold">Respuesta lógica esperada:</label>
+        <select name="logicAnswer" class="w-full p-2 border rounded mt-1"><option value="Sí">Sí</option><option value="No">No</option></select>
+      </div>
+      <div class="md:col-span-2">
+        <label class="font-bold">Opciones (opcional):</label>
+        <textarea name="logicOptions" rows="3" class="w-full p-2 border rounded mt-1" placeholder="* Sí, porque el total es mayor | Al juntar, el total crece.&#10;No, es menor | Juntar nunca da menos."></textarea>
+        <p class="text-xs text-gray-500">Una opción por línea. Marca la correcta con * y añade una explicación tras |. Si hay opciones, sustituyen a Sí/No.</p>
+      </div>
+    </div>
+    <details id="template-details" class="p-3 border rounded">
+      <summary class="font-bold">🎲 Plantilla con números aleatorios (opcional)</summary>
+      <p class="text-xs text-gray-500 mt-2">Usa <code>{a}</code>, <code>{b}</code>, <code>{a+b}</code>… en el enunciado, los datos, las etiquetas y la respuesta completa. Escribe <code>auto</code> en la respuesta numérica para calcularla con la operación; <code>{respuesta}</code> (o <code>{paso1}</code>, <code>{paso2}</code>…) la muestra en el texto. Los valores se limitan al rango del curso.</p>
+      <div class="grid grid-cols-1 md:grid-cols-2 gap-2 mt-2">
+        <div>
+          <label class="text-sm font-semibold">Variables (una por línea)</label>
+          <textarea name="templateVars" rows="3" class="w-full p-2 border rounded mt-1" placeholder="a = 5..20&#10;b = 1..a-1"></textarea>
+        </div>
+        <div>
+          <label class="text-sm font-semibold">Condiciones (opcional, una por línea)</label>
+          <textarea name="templateConditions" rows="3" class="w-full p-2 border rounded mt-1" placeholder="b < a&#10;a % 2 == 0"></textarea>
+        </div>
+      </div>
+      <button type="button" id="btn-template-preview" class="mt-2 px-3 py-1 rounded border font-bold">Ver ejemplos</button>
+      <div id="template-preview" class="mt-2 space-y-2" aria-live="polite"></div>
+    </details>
     <div class="flex justify-end gap-4 pt-2">
       <button type="button" id="cancel-add" class="font-bold py-2 px-6 rounded-lg">Cancelar</button>
       <button type="submit" class="font-bold text-white bg-blue-500 hover:bg-blue-600 py-2 px-6 rounded-lg">Guardar</button>
@@ -2632,7 +6069,9 @@ function renderProblemForm() {
           <option value="">(auto)</option>
           <option value="bars">Barras</option>
           <option value="numberline">Línea numérica</option>
+          <option value="fractions">Barras de fracciones</option>
         </select>
+        <label class="text-sm flex items-center gap-1 mt-1"><input type="checkbox" name="cpaPlace"> El alumno marca «?» en la línea numérica</label>
       </div>
       <div>
         <label class="text-sm font-semibold">Plantilla abstracta</label>
@@ -2659,72 +6098,56 @@ function renderProblemForm() {
   $('#cancel-add').onclick = () => hideAddProblemForm();
   renderFormFields();
 
-  // wire per-step CPA preview/edit handlers (guard presence)
-  setTimeout(() => {
+  // step type changes show/hide the 4th data pair (types with a remainder)
+  form.addEventListener('change', (ev) => {
+    if (ev.target.matches && ev.target.matches('[data-step-fieldset] select[name$="_type"]')) syncStepSlotFields(ev.target.closest('[data-step-fieldset]'));
+    refreshDerivedHints(form);
+  });
+  form.addEventListener('input', () => refreshDerivedHints(form));
+
+  // per-step CPA preview/edit handlers, delegated so steps added later work too
+  form.addEventListener('click', (ev) => {
+    const previewBtn = ev.target.closest && ev.target.closest('[data-step-preview]');
+    const countsBtn = ev.target.closest && ev.target.closest('[data-step-counts]');
+    const applyBtn = ev.target.closest && ev.target.closest('[data-derived-apply]');
     try {
-      const s1Preview = form.querySelector('#step1_cpa_preview');
-      const s1Edit = form.querySelector('#step1_cpa_edit_counts');
-      const s2Preview = form.querySelector('#step2_cpa_preview');
-      const s2Edit = form.querySelector('#step2_cpa_edit_counts');
-      if (s1Preview) s1Preview.addEventListener('click', (ev) => {
-        const mode = ev && ev.detail && ev.detail.mode; // allow custom mode
-        const fd = new FormData(form); const snap = buildCPASnapshot(fd, 'step1'); const mount = form.querySelector('#step1_cpa_counts_editor') || document.getElementById('cpa-preview'); (form.querySelector('#step1_cpa_preview_mount') || mount).innerHTML = '';
-        renderConcrete(snap.cpa || synthesizeCPA(snap), snap, mount);
-      });
-      if (s1Edit) s1Edit.addEventListener('click', () => { const mount = form.querySelector('#step1_cpa_counts_editor'); if (!mount) return; if (mount.innerHTML.trim()) { mount.innerHTML = ''; return; } const fd = new FormData(form); const type = fd.get('step1_type'); generateCountsEditor('step1', type); });
-      if (s2Preview) s2Preview.addEventListener('click', (ev) => {
-        const fd = new FormData(form); const snap = buildCPASnapshot(fd, 'step2'); const mount = form.querySelector('#step2_cpa_counts_editor') || document.getElementById('cpa-preview'); (form.querySelector('#step2_cpa_preview_mount') || mount).innerHTML = '';
+      if (applyBtn) {
+        // operation and answer derived from where the '?' is
+        const prefix = applyBtn.dataset.derivedApply || null;
+        form.querySelector(`[name="${slotFieldName(prefix, 'operation')}"]`).value = applyBtn.dataset.operation;
+        if (applyBtn.dataset.answer) form.querySelector(`[name="${slotFieldName(prefix, 'answer')}"]`).value = applyBtn.dataset.answer;
+      } else if (previewBtn) {
+        const prefix = previewBtn.getAttribute('data-step-preview');
+        const fd = new FormData(form); const snap = buildCPASnapshot(fd, prefix); const mount = form.querySelector('#' + prefix + '_cpa_counts_editor') || document.getElementById('cpa-preview'); mount.innerHTML = '';
         renderConcrete(snap.cpa || synthesizeCPA(snap), snap, mount);
-      });
-      if (s2Edit) s2Edit.addEventListener('click', () => { const mount = form.querySelector('#step2_cpa_counts_editor'); if (!mount) return; if (mount.innerHTML.trim()) { mount.innerHTML = ''; return; } const fd = new FormData(form); const type = fd.get('step2_type'); generateCountsEditor('step2', type); });
+      } else if (countsBtn) {
+        const prefix = countsBtn.getAttribute('data-step-counts');
+        const mount = form.querySelector('#' + prefix + '_cpa_counts_editor'); if (!mount) return; if (mount.innerHTML.trim()) { mount.innerHTML = ''; return; }
+        const fd = new FormData(form); generateCountsEditor(prefix, fd.get(prefix + '_type'));
+      }
     } catch(e){}
-  }, 80);
+  });
 
   // helper: build snapshot object (step-like) from form values for preview
   function buildCPASnapshot(fd, prefix) {
     // prefix undefined for single-step
-    const get = (name) => fd.get(prefix ? (prefix + '_' + name) : name);
-    const type = (get('type') || get('step1_type') || get('step2_type') || '').toString() || fd.get('type');
-    const stype = prefix ? get('type') || get('step1_type') : fd.get('type');
-    // determine keys depending on type
-    const keysMap = { 'PPT':['p1','p2','t'], 'UVT':['u','v','t'], 'COMPARACION':['cm','cmen','d'], 'CAMBIO':['ci','c','cf'] };
-    const keys = (keysMap[stype] || []);
-    const data = {};
-    if (prefix) {
-      // step-specific names
-      const map = { p1: 'data1', p2: 'data2', t: 'dataT', u: 'data1', v: 'data2', cm: 'data1', cmen: 'data2', d: 'dataT', ci: 'data1', c: 'data2', cf: 'dataT' };
-      keys.forEach(k => { const val = fd.get(prefix + '_' + (map[k] || 'data1')); if (val != null) data[k] = val; });
-      // labels
-      const labels = {}; const labelMap = { p1:'label1', p2:'label2', t:'labelT', u:'label1', v:'label2', cm:'label1', cmen:'label2', d:'labelT', ci:'label1', c:'label2', cf:'labelT' };
-      keys.forEach(k => { const v = fd.get(prefix + '_' + (labelMap[k] || 'label1')); if (v != null) labels[k] = v; });
-      // cpa fields
-      const cpaIcon = (fd.get(prefix + '_cpaIcon') || '').trim();
-      const cpaTheme = (fd.get(prefix + '_cpaTheme') || '').trim();
-      const cpaTpl = (fd.get(prefix + '_cpaTpl') || '').trim();
-      // counts overrides
-      const items = {};
-      keys.forEach(k => {
-        const override = fd.get(prefix + '_cpaCount_' + k);
-        if (override != null && String(override).trim() !== '') items[k] = { count: Number(String(override).replace(',', '.')), icon: cpaIcon || undefined };
-      });
-      const cpa = { concrete: Object.keys(items).length ? { items, layout: 'row' } : (cpaIcon ? { items: {}, layout: 'row' } : undefined), pictorial: cpaTheme ? { theme: cpaTheme } : undefined, abstract: cpaTpl ? { template: cpaTpl, hideUnknown: true } : undefined };
-      return { type: stype, data, labels, cpa };
-    } else {
-      // single-step
-      const stype2 = fd.get('type');
-      const map2 = { p1:'data1', p2:'data2', t:'dataT', u:'data1', v:'data2', cm:'data1', cmen:'data2', d:'dataT', ci:'data1', c:'data2', cf:'dataT' };
-      const keys2 = (keysMap[stype2] || []);
-      keys2.forEach(k => { const val = fd.get(map2[k]); if (val != null) data[k] = val; });
-      const labels = {}; const labelMap2 = { p1:'label1', p2:'label2', t:'labelT', u:'label1', v:'label2', cm:'label1', cmen:'label2', d:'labelT', ci:'label1', c:'label2', cf:'labelT' };
-      keys2.forEach(k => { const v = fd.get(labelMap2[k]); if (v != null) labels[k] = v; });
-      const cpaIcon = (fd.get('cpaIcon') || '').trim();
-      const cpaTheme = (fd.get('cpaTheme') || '').trim();
-      const cpaTpl = (fd.get('cpaTpl') || '').trim();
-      const items = {};
-      keys2.forEach(k => { const override = fd.get('cpaCount_' + k); if (override != null && String(override).trim() !== '') items[k] = { count: Number(String(override).replace(',', '.')), icon: cpaIcon || undefined }; });
-      const cpa = { concrete: Object.keys(items).length ? { items, layout: 'row' } : (cpaIcon ? { items: {}, layout: 'row' } : undefined), pictorial: cpaTheme ? { theme: cpaTheme } : undefined, abstract: cpaTpl ? { template: cpaTpl, hideUnknown: true } : undefined };
-      return { type: stype2, data, labels, cpa };
-    }
+    const get = (name) => fd.get(slotFieldName(prefix, name));
+    const stype = get('type');
+    const { data, labels } = readSlotFields(fd, prefix, stype);
+    const cpaIcon = (get('cpaIcon') || '').trim();
+    const cpaTheme = (get('cpaTheme') || '').trim();
+    const cpaTpl = (get('cpaTpl') || '').trim();
+    // counts overrides
+    const items = {};
+    typeKeys(stype).forEach(k => {
+      const override = get('cpaCount_' + k);
+      if (override != null && String(override).trim() !== '') items[k] = { count: Number(String(override).replace(',', '.')), icon: cpaIcon || undefined };
+    });
+    const options = concreteOptionsFromForm(fd, prefix);
+    const cpa = { concrete: Object.keys(items).length || cpaIcon || Object.keys(options).length ? { items, layout: 'row', ...options } : undefined, pictorial: pictorialFromForm(cpaTheme, get('cpaPlace')), abstract: cpaTpl ? { template: cpaTpl, hideUnknown: true } : undefined };
+    // the number line places the unknown from the answer (or from the operation when it is 'auto');
+    // the grade picks the default manipulative
+    return { type: stype, data, labels, operation: get('operation'), answer: get('answer'), direction: readDirection(fd, prefix, stype), grade: Number(fd.get('grade')), cpa };
   }
 
   // generate counts editor UI for a given prefix and type
@@ -2732,8 +6155,7 @@ function renderProblemForm() {
     const mount = document.getElementById(prefix ? (prefix + '_cpa_counts_editor') : 'cpa-counts-editor');
     if (!mount) return;
     mount.innerHTML = '';
-    const keysMap = { 'PPT':['p1','p2','t'], 'UVT':['u','v','t'], 'COMPARACION':['cm','cmen','d'], 'CAMBIO':['ci','c','cf'] };
-    const keys = keysMap[type] || [];
+    const keys = typeKeys(type);
     if (!keys.length) { mount.textContent = 'No hay claves para editar counts.'; return; }
     keys.forEach(k => {
       const row = document.createElement('div'); row.className = 'flex items-center gap-2 mb-2';
@@ -2749,6 +6171,21 @@ function renderProblemForm() {
       });
       row.appendChild(lbl); row.appendChild(inp); row.appendChild(note); mount.appendChild(row);
     });
+    // manipulatives: which ones (auto = counters in 1º–2º) and how many counters make a group
+    const existing = editingProblemId && state.problems.find(p => p.id === editingProblemId);
+    const stored = existing && (prefix ? (existing.steps || [])[Number(prefix.replace('step', '')) - 1] : existing);
+    const concrete = (stored && stored.cpa && stored.cpa.concrete) || {};
+    const opts = document.createElement('div'); opts.className = 'flex flex-wrap items-center gap-2 mb-2';
+    opts.innerHTML = `
+      <label class="font-bold" for="${slotFieldName(prefix, 'cpaManipulative')}">Manipulativos</label>
+      <select id="${slotFieldName(prefix, 'cpaManipulative')}" name="${slotFieldName(prefix, 'cpaManipulative')}" class="p-1 border rounded">
+        <option value="">Automático (fichas en 1º–2º)</option>
+        ${Object.entries(MANIPULATIVES).map(([k, name]) => `<option value="${k}"${concrete.manipulative === k ? ' selected' : ''}>${name}</option>`).join('')}
+      </select>
+      <label class="font-bold ml-2" for="${slotFieldName(prefix, 'cpaGroup')}">Agrupar de</label>
+      <input type="number" id="${slotFieldName(prefix, 'cpaGroup')}" name="${slotFieldName(prefix, 'cpaGroup')}" min="2" max="10" step="1" placeholder="10" value="${Number.isInteger(concrete.group) ? concrete.group : ''}" class="p-1 border rounded w-20">
+      <span class="text-xs text-gray-500">Los bloques base 10 siempre agrupan de 10.</span>`;
+    mount.appendChild(opts);
   }
 
   // validate template contains required keys
@@ -2771,8 +6208,7 @@ function renderProblemForm() {
   });
   if (btnAbstract) btnAbstract.addEventListener('click', () => {
     const fd = new FormData(form); const snap = buildCPASnapshot(fd, null); const mount = document.getElementById('cpa-preview'); mount.innerHTML = '';
-    const keysMap = { 'PPT':['p1','p2','t'], 'UVT':['u','v','t'], 'COMPARACION':['cm','cmen','d'], 'CAMBIO':['ci','c','cf'] };
-    const keys = keysMap[snap.type] || [];
+    const keys = typeKeys(snap.type);
     const tpl = (snap.cpa && snap.cpa.abstract && snap.cpa.abstract.template) ? snap.cpa.abstract.template : '';
     if (!tpl) {
       mount.textContent = 'No hay plantilla abstracta configurada. Use el editor para añadir `cpaTpl`.'; return;
@@ -2801,70 +6237,77 @@ function renderProblemForm() {
       const ansEl = form.querySelector('[name="answer"]'); if (ansEl) ansEl.value = existing.answer ?? '';
       const fullEl = form.querySelector('[name="fullAnswer"]'); if (fullEl) fullEl.value = existing.fullAnswer || '';
       const hintEl = form.querySelector('[name="hint"]'); if (hintEl) hintEl.value = existing.hint || '';
+      const errorFeedbackEl = form.querySelector('[name="errorFeedback"]'); if (errorFeedbackEl) errorFeedbackEl.value = formatErrorFeedback(existing.errorFeedback);
       const logicEl = form.querySelector('[name="logicCheck"]'); if (logicEl) logicEl.value = existing.logicCheck || '';
-      // If DOS_OPERACIONES, set up fields in renderFormFields and fill steps
-      if (existing.type === 'DOS_OPERACIONES' && existing.steps && existing.steps.length === 2) {
-        // set type and re-render fields
-        const sel = form.querySelector('#problem-type-selector'); if (sel) sel.value = 'DOS_OPERACIONES'; renderFormFields();
-        // populate step1 and step2 fields via names used in renderFormFields (guard each)
+      const strictEl = form.querySelector('[name="answerStrictness"]'); if (strictEl) strictEl.value = ANSWER_STRICTNESS[existing.answerStrictness] ? existing.answerStrictness : 'normal';
+      const equivEl = form.querySelector('[name="answerEquivalence"]'); if (equivEl) equivEl.value = EQUIVALENCE_MODES[existing.answerEquivalence] ? existing.answerEquivalence : 'forma';
+      const diagramEl = form.querySelector('[name="diagramMode"]'); if (diagramEl) diagramEl.value = DIAGRAM_MODES[existing.diagramMode] ? existing.diagramMode : '';
+      const estimate = estimateConfig(existing);
+      if (estimate) {
+        form.querySelector('[name="estimateMode"]').value = estimate.ranges ? 'ranges' : 'number';
+        if (estimate.ranges) form.querySelector('[name="estimateRanges"]').value = formatEstimateRanges(estimate.ranges);
+        else if (existing.estimate.tolerance != null) form.querySelector('[name="estimateTolerance"]').value = estimate.tolerance;
+      }
+      const logicAnsEl = form.querySelector('[name="logicAnswer"]'); if (logicAnsEl) logicAnsEl.value = normalizeLogicAnswer(existing.logicAnswer);
+      const logicOptsEl = form.querySelector('[name="logicOptions"]'); if (logicOptsEl) logicOptsEl.value = formatLogicOptions(existing.logicOptions);
+      if (isTemplateProblem(existing)) {
+        form.querySelector('[name="templateVars"]').value = formatTemplateVars(existing.template.vars);
+        form.querySelector('[name="templateConditions"]').value = (existing.template.conditions || []).join('\n');
+        $('#template-details').open = true;
+      }
+      // Multi-step problems: render one fieldset per step, then fill each stepN_* group
+      if (isMultiStep(existing) && existing.steps.length) {
+        const sel = form.querySelector('#problem-type-selector'); if (sel) sel.value = existing.type; renderFormFields(existing.steps.length);
         try {
-          const s1 = existing.steps[0]; const s2 = existing.steps[1];
-          const s1_type = form.querySelector('[name="step1_type"]'); if (s1_type) s1_type.value = s1.type || 'PPT';
-          const s1_d1 = form.querySelector('[name="step1_data1"]'); if (s1_d1) s1_d1.value = s1.data ? (s1.data.p1||s1.data.u||s1.data.cm||s1.data.ci||'') : '';
-          const s1_d2 = form.querySelector('[name="step1_data2"]'); if (s1_d2) s1_d2.value = s1.data ? (s1.data.p2||s1.data.v||s1.data.cmen||s1.data.c||'') : '';
-          const s1_dT = form.querySelector('[name="step1_dataT"]'); if (s1_dT) s1_dT.value = s1.data ? (s1.data.t||s1.data.d||s1.data.cf||'') : '';
-          const s1_l1 = form.querySelector('[name="step1_label1"]'); if (s1_l1) s1_l1.value = s1.labels ? (s1.labels.p1||s1.labels.u||s1.labels.cm||s1.labels.ci||'') : '';
-          const s1_l2 = form.querySelector('[name="step1_label2"]'); if (s1_l2) s1_l2.value = s1.labels ? (s1.labels.p2||s1.labels.v||s1.labels.cmen||s1.labels.c||'') : '';
-          const s1_lT = form.querySelector('[name="step1_labelT"]'); if (s1_lT) s1_lT.value = s1.labels ? (s1.labels.t||s1.labels.d||s1.labels.cf||'') : '';
-          const s1_op = form.querySelector('[name="step1_operation"]'); if (s1_op) s1_op.value = s1.operation || '+';
-          const s1_ans = form.querySelector('[name="step1_answer"]'); if (s1_ans) s1_ans.value = s1.answer ?? '';
-          const s1_hint = form.querySelector('[name="step1_hint"]'); if (s1_hint) s1_hint.value = s1.hint || '';
-          // prefill per-step CPA if present
-          const s1_cpaIcon = form.querySelector('[name="step1_cpaIcon"]'); if (s1_cpaIcon) s1_cpaIcon.value = s1.cpa && s1.cpa.concrete && Object.values(s1.cpa.concrete.items || {})[0] ? (Object.values(s1.cpa.concrete.items || {})[0].icon || '') : (s1.cpa && s1.cpa.concrete && s1.cpa.concrete.items && Object.keys(s1.cpa.concrete.items)[0] ? '' : '');
-          const s1_cpaTheme = form.querySelector('[name="step1_cpaTheme"]'); if (s1_cpaTheme) s1_cpaTheme.value = s1.cpa && s1.cpa.pictorial ? (s1.cpa.pictorial.theme || '') : '';
-          const s1_cpaTpl = form.querySelector('[name="step1_cpaTpl"]'); if (s1_cpaTpl) s1_cpaTpl.value = s1.cpa && s1.cpa.abstract ? (s1.cpa.abstract.template || '') : '';
-
-          const s2_type = form.querySelector('[name="step2_type"]'); if (s2_type) s2_type.value = s2.type || 'PPT';
-          const s2_d1 = form.querySelector('[name="step2_data1"]'); if (s2_d1) s2_d1.value = s2.data ? (s2.data.p1||s2.data.u||s2.data.cm||s2.data.ci||'') : '';
-          const s2_d2 = form.querySelector('[name="step2_data2"]'); if (s2_d2) s2_d2.value = s2.data ? (s2.data.p2||s2.data.v||s2.data.cmen||s2.data.c||'') : '';
-          const s2_dT = form.querySelector('[name="step2_dataT"]'); if (s2_dT) s2_dT.value = s2.data ? (s2.data.t||s2.data.d||s2.data.cf||'') : '';
-          const s2_l1 = form.querySelector('[name="step2_label1"]'); if (s2_l1) s2_l1.value = s2.labels ? (s2.labels.p1||s2.labels.u||s2.labels.cm||s2.labels.ci||'') : '';
-          const s2_l2 = form.querySelector('[name="step2_label2"]'); if (s2_l2) s2_l2.value = s2.labels ? (s2.labels.p2||s2.labels.v||s2.labels.cmen||s2.labels.c||'') : '';
-          const s2_lT = form.querySelector('[name="step2_labelT"]'); if (s2_lT) s2_lT.value = s2.labels ? (s2.labels.t||s2.labels.d||s2.labels.cf||'') : '';
-          const s2_op = form.querySelector('[name="step2_operation"]'); if (s2_op) s2_op.value = s2.operation || '+';
-          const s2_ans = form.querySelector('[name="step2_answer"]'); if (s2_ans) s2_ans.value = s2.answer ?? '';
-          const s2_hint = form.querySelector('[name="step2_hint"]'); if (s2_hint) s2_hint.value = s2.hint || '';
-            const s2_cpaIcon = form.querySelector('[name="step2_cpaIcon"]'); if (s2_cpaIcon) s2_cpaIcon.value = s2.cpa && s2.cpa.concrete && Object.values(s2.cpa.concrete.items || {})[0] ? (Object.values(s2.cpa.concrete.items || {})[0].icon || '') : '';
-            const s2_cpaTheme = form.querySelector('[name="step2_cpaTheme"]'); if (s2_cpaTheme) s2_cpaTheme.value = s2.cpa && s2.cpa.pictorial ? (s2.cpa.pictorial.theme || '') : '';
-            const s2_cpaTpl = form.querySelector('[name="step2_cpaTpl"]'); if (s2_cpaTpl) s2_cpaTpl.value = s2.cpa && s2.cpa.abstract ? (s2.cpa.abstract.template || '') : '';
+          existing.steps.forEach((st, i) => fillStepFields(form, 'step' + (i + 1), st || {}));
+          // the counts editor holds the manipulative options: open it so saving keeps them
+          existing.steps.forEach((st, i) => { const c = st && st.cpa && st.cpa.concrete; if (c && (c.manipulative || c.group)) generateCountsEditor('step' + (i + 1), st.type); });
+          const fullEls = form.querySelectorAll('[name="fullAnswer"]'); fullEls.forEach(el => { el.value = existing.fullAnswer || ''; });
+          const logicEls = form.querySelectorAll('[name="logicCheck"]'); logicEls.forEach(el => { el.value = existing.logicCheck || ''; });
         } catch (e) { /* best effort */ }
+      } else {
+        renderFormFields();
+        fillSlotFields(form, null, existing.type, existing.data, existing.labels);
+        const dirEl = form.querySelector('[name="direction"]'); if (dirEl) dirEl.value = existing.direction || '';
+        const pict = existing.cpa && existing.cpa.pictorial;
+        const themeEl = form.querySelector('[name="cpaTheme"]'); if (themeEl) themeEl.value = pict ? (pict.theme || '') : '';
+        const placeEl = form.querySelector('[name="cpaPlace"]'); if (placeEl) placeEl.checked = !!(pict && pict.placeResult);
+        const concrete = existing.cpa && existing.cpa.concrete;
+        if (concrete && (concrete.manipulative || concrete.group)) generateCountsEditor(null, existing.type);
       }
     }
   }
+  refreshDerivedHints(form);
 
   // Adjust submit button text depending on editing state
   const submitBtn = form.querySelector('button[type="submit"]');
   if (submitBtn) submitBtn.textContent = editingProblemId ? 'Guardar cambios' : 'Guardar';
 
-  form.onsubmit = (e) => {
-    e.preventDefault();
-    const fd = new FormData(form);
+  // Problem object from the form fields (without id/createdAt); throws Error with a message for the author
+  const buildProblemFromForm = (fd) => {
     const type = fd.get('type');
-
-    if (editingProblemId && type !== 'DOS_OPERACIONES') {
-      // fall through to edit single-step problem
+    const logicOptions = parseLogicOptions(fd.get('logicOptions'));
+    if (logicOptions.length) {
+      const logicErr = validateLogicConfig({ logicOptions });
+      if (logicErr) throw new Error('Opciones de la pregunta lógica: ' + logicErr.replace(/^logicOptions /, ''));
     }
-
-    if (type === 'DOS_OPERACIONES') {
-      // Helper to build a step from prefixed form fields (step1_, step2_)
+    const logicConfig = { logicAnswer: normalizeLogicAnswer(fd.get('logicAnswer')), logicOptions: logicOptions.length ? logicOptions : undefined };
+    const answerStrictness = ANSWER_STRICTNESS[fd.get('answerStrictness')] ? fd.get('answerStrictness') : 'normal';
+    // only stored when it changes the default ('forma')
+    const answerEquivalence = fd.get('answerEquivalence') === 'equivalente' ? 'equivalente' : undefined;
+    // unset follows the grade's setting
+    const diagramMode = DIAGRAM_MODES[fd.get('diagramMode')] ? fd.get('diagramMode') : undefined;
+    const estimate = estimateFromForm(fd);
+    const errorFeedback = parseErrorFeedback(fd.get('errorFeedback'));
+    const templateVars = parseTemplateVars(fd.get('templateVars'));
+    const conditions = String(fd.get('templateConditions') || '').split(/\r?\n/).map(s => s.trim()).filter(Boolean);
+    const template = Object.keys(templateVars).length ? { vars: templateVars, conditions: conditions.length ? conditions : undefined } : undefined;
+
+    if (isMultiStepType(type)) {
+      // Helper to build a step from prefixed form fields (step1_, step2_, ...)
       const buildStep = (prefix) => {
         const stype = fd.get(prefix + '_type');
-        const d1 = fd.get(prefix + '_data1');
-        const d2 = fd.get(prefix + '_data2');
-        const dT = fd.get(prefix + '_dataT');
-        const l1 = fd.get(prefix + '_label1');
-        const l2 = fd.get(prefix + '_label2');
-        const lT = fd.get(prefix + '_labelT');
+        const { data, labels } = readSlotFields(fd, prefix, stype);
     // CPA per-step optional fields
     const cpaIcon = (fd.get(prefix + '_cpaIcon') || '').trim();
     const cpaTheme = (fd.get(prefix + '_cpaTheme') || '').trim();
@@ -2873,50 +6316,66 @@ function renderProblemForm() {
         const answer = fd.get(prefix + '_answer');
         const hint = fd.get(prefix + '_hint');
 
-  let data = {}, labels = {};
-  if (stype === 'PPT') { data = { p1: d1, p2: d2, t: dT }; labels = { p1: l1, p2: l2, t: lT }; }
-        else if (stype === 'UVT') { data = { u: d1, v: d2, t: dT }; labels = { u: l1, v: l2, t: lT }; }
-        else if (stype === 'COMPARACION') { data = { cm: d1, cmen: d2, d: dT }; labels = { cm: l1, cmen: l2, d: lT }; }
-        else if (stype === 'CAMBIO') { data = { ci: d1, c: d2, cf: dT }; labels = { ci: l1, c: l2, cf: lT }; }
-
         // build cpa if provided
         let cpa = undefined;
-        if (cpaIcon || cpaTheme || cpaTpl) {
-          cpa = { concrete: cpaIcon ? { items: {}, layout: 'row' } : undefined, pictorial: cpaTheme ? { theme: cpaTheme } : undefined, abstract: cpaTpl ? { template: cpaTpl, hideUnknown: true } : undefined };
+        const concreteOptions = concreteOptionsFromForm(fd, prefix);
+        if (cpaIcon || cpaTheme || cpaTpl || Object.keys(concreteOptions).length) {
+          cpa = { concrete: cpaIcon ? { items: {}, layout: 'row' } : undefined, pictorial: pictorialFromForm(cpaTheme, fd.get(prefix + '_cpaPlace')), abstract: cpaTpl ? { template: cpaTpl, hideUnknown: true } : undefined };
           const assignCount = (key, val) => { const n = Number(String(val).replace(',', '.')); if (!Number.isFinite(n) || n < 0) return; cpa.concrete = cpa.concrete || { items:{}, layout:'row' }; cpa.concrete.items[key] = { count: n, icon: cpaIcon || '🔷' }; };
-          Object.entries(data || {}).forEach(([k,v]) => { if (v && v !== '?' && v !== 'RESULTADO_ANTERIOR') assignCount(k, v); });
+          Object.entries(data || {}).forEach(([k,v]) => { if (v && v !== '?' && !isStepReference(v)) assignCount(k, v); });
+          if (Object.keys(concreteOptions).length) cpa.concrete = { items: {}, layout: 'row', ...cpa.concrete, ...concreteOptions };
         }
 
-        return { type: stype, data, labels, operation, answer, hint, cpa };
+        const direction = readDirection(fd, prefix, stype);
+        const step = completeConversionStep({ type: stype, data, labels, direction, operation, answer, hint, cpa });
+        const convErr = conversionError(step);
+        if (convErr) throw new Error(`${prefix.replace('step', 'Paso ')}: ${convErr}`);
+        return step;
       };
 
-      const step1 = buildStep('step1');
-      const step2 = buildStep('step2');
+      const stepCount = form.querySelectorAll('[data-step-fieldset]').length;
+      const steps = Array.from({ length: stepCount }, (_, i) => buildStep('step' + (i + 1)));
+      const refErr = stepReferenceError(steps);
+      if (refErr) throw new Error(refErr);
+      // 'auto' or '?' as the answer: derived from where the '?' is, using the earlier steps' answers
+      if (!template) steps.forEach((st, i) => {
+        if (!isAutoAnswer(st.answer)) return;
+        const sol = derivedStepSolution(resolveStepData({ steps }, i));
+        if (!sol || !sol.answer) throw new Error(`Paso ${i + 1}: no se puede calcular la respuesta; escríbela o completa los datos.`);
+        st.operation = sol.operation;
+        st.answer = sol.answer;
+      });
 
-      const newProblem = {
-        id: rid(),
+      return {
         grade: parseInt(fd.get('grade')),
         question: fd.get('question'),
-        type: 'DOS_OPERACIONES',
-        steps: [step1, step2],
+        type,
+        steps,
         fullAnswer: fd.get('fullAnswer'),
         hint: fd.get('hint'),
+        errorFeedback: errorFeedback.length ? errorFeedback : undefined,
         logicCheck: fd.get('logicCheck'),
-        createdAt: Date.now()
+        ...logicConfig,
+        answerStrictness,
+        answerEquivalence,
+        diagramMode,
+        estimate,
+        template
       };
-      if (editingProblemId) {
-        // replace existing
-        const idx = state.problems.findIndex(p => p.id === editingProblemId);
-        if (idx !== -1) { state.problems[idx] = { id: editingProblemId, ...newProblem, createdAt: state.problems[idx].createdAt || Date.now() }; }
-        editingProblemId = null;
-      } else {
-        newProblem.id = rid();
-        state.problems.push(newProblem);
-      }
-      saveProblems(state.problems);
-      hideAddProblemForm();
-      fetchProblemsForEditor(newProblem.grade);
-      return;
+    }
+
+    const { data, labels } = readSlotFields(fd, null, type);
+    const direction = readDirection(fd, null, type);
+    // conversion problems: factor and operation from the units when the factor is left empty
+    let { operation } = completeConversionStep({ type, data, operation: fd.get('operation'), answer: fd.get('answer') });
+    const convErr = conversionError({ type, data, answer: fd.get('answer') });
+    if (convErr) throw new Error(convErr);
+    // 'auto' or '?' as the answer: derived from where the '?' is
+    let answer = fd.get('answer');
+    if (!template && isAutoAnswer(answer)) {
+      const sol = derivedStepSolution({ type, data, direction });
+      if (!sol || !sol.answer) throw new Error('No se puede calcular la respuesta; escríbela o completa los datos.');
+      ({ operation, answer } = sol);
     }
 
     // collect CPA optional fields (single-step problem)
@@ -2924,8 +6383,9 @@ function renderProblemForm() {
     const cpaTheme = (fd.get('cpaTheme') || '').trim();
     const cpaTpl = (fd.get('cpaTpl') || '').trim();
     let cpa = undefined;
-    if (cpaIcon || cpaTheme || cpaTpl) {
-      cpa = { concrete: cpaIcon ? { items: {}, layout: 'row' } : undefined, pictorial: cpaTheme ? { theme: cpaTheme } : undefined, abstract: cpaTpl ? { template: cpaTpl, hideUnknown: true } : undefined };
+    const concreteOptions = concreteOptionsFromForm(fd, null);
+    if (cpaIcon || cpaTheme || cpaTpl || Object.keys(concreteOptions).length) {
+      cpa = { concrete: cpaIcon ? { items: {}, layout: 'row' } : undefined, pictorial: pictorialFromForm(cpaTheme, fd.get('cpaPlace')), abstract: cpaTpl ? { template: cpaTpl, hideUnknown: true } : undefined };
       // populate counts if present in data
       const assignCount = (key, val) => {
         const n = Number(String(val).replace(',', '.'));
@@ -2933,28 +6393,67 @@ function renderProblemForm() {
         cpa.concrete = cpa.concrete || { items: {}, layout: 'row' };
         cpa.concrete.items[key] = { count: n, icon: cpaIcon || '🔷' };
       };
-      Object.entries(newProblem.data || {}).forEach(([k,v]) => { if (v && v !== '?' && v !== 'RESULTADO_ANTERIOR') assignCount(k, v); });
+      Object.entries(data).forEach(([k,v]) => { if (v && v !== '?' && !isStepReference(v)) assignCount(k, v); });
+      // which manipulative and grouping, from the counts editor
+      if (Object.keys(concreteOptions).length) cpa.concrete = { items: {}, layout: 'row', ...cpa.concrete, ...concreteOptions };
     }
 
-    let data = {}, labels = {};
-    if (type === 'PPT') { data = { p1: fd.get('data1'), p2: fd.get('data2'), t: fd.get('dataT') }; labels = { p1: fd.get('label1'), p2: fd.get('label2'), t: fd.get('labelT') }; }
-    else if (type === 'UVT') { data = { u: fd.get('data1'), v: fd.get('data2'), t: fd.get('dataT') }; labels = { u: fd.get('label1'), v: fd.get('label2'), t: fd.get('labelT') }; }
-    else if (type === 'COMPARACION') { data = { cm: fd.get('data1'), cmen: fd.get('data2'), d: fd.get('dataT') }; labels = { cm: fd.get('label1'), cmen: fd.get('label2'), d: fd.get('labelT') }; }
-    else if (type === 'CAMBIO') { data = { ci: fd.get('data1'), c: fd.get('data2'), cf: fd.get('dataT') }; labels = { ci: fd.get('label1'), c: fd.get('label2'), cf: fd.get('labelT') }; }
-
-    const newProblem = {
+    return {
       grade: parseInt(fd.get('grade')),
       question: fd.get('question'),
       type, data, labels,
-      operation: fd.get('operation'),
-      answer: fd.get('answer'),
+      direction,
+      operation,
+      answer,
       fullAnswer: fd.get('fullAnswer'),
       hint: fd.get('hint'),
-      logicCheck: fd.get('logicCheck')
-    ,
+      errorFeedback: errorFeedback.length ? errorFeedback : undefined,
+      logicCheck: fd.get('logicCheck'),
+      ...logicConfig,
+      answerStrictness,
+      answerEquivalence,
+      diagramMode,
+      estimate,
+      template,
     cpa // may be undefined; synthesizeCPA will be used at render time
   };
+  };
+
+  // Sample instances of the template currently in the form
+  $('#btn-template-preview').onclick = () => {
+    const out = $('#template-preview');
+    out.innerHTML = '';
+    try {
+      const problem = buildProblemFromForm(new FormData(form));
+      if (!problem.template) { out.textContent = 'Define al menos una variable, por ejemplo a = 5..20.'; return; }
+      for (let i = 0; i < 3; i++) {
+        const inst = instantiateTemplate(problem);
+        const steps = isMultiStep(inst) ? inst.steps : [inst];
+        const card = document.createElement('div');
+        card.className = 'p-2 bg-gray-50 border rounded text-sm';
+        const q = document.createElement('p'); q.textContent = inst.question; card.appendChild(q);
+        const meta = document.createElement('p'); meta.className = 'text-xs text-gray-600';
+        meta.textContent = `${Object.entries(inst.templateValues).filter(([k]) => problem.template.vars[k]).map(([k, v]) => `${k} = ${v}`).join(', ')} · ` +
+          steps.map(st => `${Object.values(st.data || {}).join(' / ')} → ${st.operation} → ${st.answer}`).join(' · ');
+        card.appendChild(meta);
+        const full = document.createElement('p'); full.className = 'text-xs italic'; full.textContent = inst.fullAnswer || ''; card.appendChild(full);
+        out.appendChild(card);
+      }
+    } catch (e) {
+      out.innerHTML = `<p class="text-red-600">${String(e.message).replace(/</g, '&lt;')}</p>`;
+    }
+  };
 
+  form.onsubmit = (e) => {
+    e.preventDefault();
+    let newProblem;
+    try {
+      newProblem = buildProblemFromForm(new FormData(form));
+      const tplErr = templateError(newProblem);
+      if (tplErr) throw new Error(tplErr);
+    } catch (err) { showToast(err.message, 'error', 5000); return; }
+    if (!newProblem.template) delete newProblem.template;
+    const savedId = editingProblemId || rid();
     if (editingProblemId) {
       const idx = state.problems.findIndex(p => p.id === editingProblemId);
       if (idx !== -1) {
@@ -2962,11 +6461,17 @@ function renderProblemForm() {
       }
       editingProblemId = null;
     } else {
-      state.problems.push({ id: rid(), ...newProblem, createdAt: Date.now() });
+      state.problems.push({ id: savedId, ...newProblem, createdAt: Date.now() });
     }
     saveProblems(state.problems);
     hideAddProblemForm();
-    fetchProblemsForEditor($('#grade-selector').value);
+    fetchProblemsForEditor(isMultiStepType(newProblem.type) ? newProblem.grade : $('#grade-selector').value);
+
+    // arithmetic checks after saving, with the sure fixes one click away
+    const issues = checkProblemConsistency(newProblem);
+    const message = issues.length ? issues[0].message + (issues.length > 1 ? ` (y ${issues.length - 1} aviso(s) más)` : '') : '';
+    if (issues.some(i => i.fix)) showToastAction(message, 'Corregir', () => applyConsistencyFixes([savedId], fixProblemConsistency), 'warn', 8000);
+    else if (issues.length) showToast(message, 'warn', 6000);
   };
 }
 
@@ -2977,88 +6482,187 @@ function showEditProblemForm(id) {
   showAddProblemForm();
 }
 
-function renderFormFields() {
-  const type = $('#problem-type-selector').value;
-  const container = $('#form-fields-container');
-
-  if (type === 'DOS_OPERACIONES') {
-    container.innerHTML = `
-      <div class="space-y-4">
-        <p class="text-sm text-gray-600">Define los dos pasos del problema. Para usar el resultado del primer paso en el segundo, escribe <code>RESULTADO_ANTERIOR</code> en el campo correspondiente.</p>
-
-        <fieldset class="p-3 border rounded">
-          <legend class="font-bold">Paso 1</legend>
-          <div class="grid md:grid-cols-3 gap-2 mt-2">
-            <select name="step1_type" required class="p-2 border rounded">
-              <option value="PPT">Parte-Parte-Total</option>
-              <option value="UVT">Unidad-Veces-Total</option>
-              <option value="COMPARACION">Comparación</option>
-              <option value="CAMBIO">Cambio</option>
-            </select>
-            <input type="text" name="step1_data1" placeholder="Dato 1" required class="p-2 border rounded">
-            <input type="text" name="step1_data2" placeholder="Dato 2" required class="p-2 border rounded">
-            <input type="text" name="step1_dataT" placeholder="Total / '?'" required class="p-2 border rounded md:col-span-1">
-          </div>
-          <div class="grid md:grid-cols-3 gap-2 mt-2">
-            <input type="text" name="step1_label1" placeholder="Etiqueta Dato 1" required class="p-2 border rounded">
-            <input type="text" name="step1_label2" placeholder="Etiqueta Dato 2" required class="p-2 border rounded">
-            <input type="text" name="step1_labelT" placeholder="Etiqueta Total" required class="p-2 border rounded">
-          </div>
+// Fieldset for step n (1-based) of a multi-step problem; fields are named stepN_*
+function stepFieldsetHtml(n) {
+  const prefix = 'step' + n;
+  const refHint = n > 1 ? ' (o RESULTADO_ANTERIOR / RESULTADO_PASO_k)' : '';
+  return `
+        <fieldset class="p-3 border rounded" data-step-fieldset="${n}">
+          <legend class="font-bold">Paso ${n}</legend>
           <div class="grid md:grid-cols-3 gap-2 mt-2">
-            <select name="step1_operation" required class="p-2 border rounded">
-              <option value="+">+</option><option value="-">-</option><option value="*">*</option><option value="/">/</option>
+            <select name="${prefix}_type" required class="p-2 border rounded">
+              ${typeOptionsHtml(STEP_TYPES)}
             </select>
-            <input type="text" name="step1_answer" placeholder="Respuesta numérica" required class="p-2 border rounded">
-            <input type="text" name="step1_hint" placeholder="Pista (opcional)" class="p-2 border rounded">
+            <input type="text" name="${prefix}_data1" placeholder="Dato 1${refHint}" required class="p-2 border rounded">
+            <input type="text" name="${prefix}_data2" placeholder="Dato 2" required class="p-2 border rounded">
+            <input type="text" name="${prefix}_dataT" placeholder="Total / '?'" required class="p-2 border rounded md:col-span-1">
           </div>
           <div class="grid md:grid-cols-3 gap-2 mt-2">
-            <input type="text" name="step1_cpaIcon" placeholder="Icono (emoji) opcional" class="p-2 border rounded" />
-            <select name="step1_cpaTheme" class="p-2 border rounded"><option value="">(auto)</option><option value="bars">Barras</option><option value="numberline">Línea numérica</option></select>
-            <input type="text" name="step1_cpaTpl" placeholder="Plantilla abstracta opcional" class="p-2 border rounded" />
-          </div>
-          <div class="flex gap-2 mt-2 items-center">
-            <button type="button" id="step1_cpa_preview" class="px-3 py-1 rounded bg-indigo-600 text-white">Previsualizar paso 1</button>
-            <button type="button" id="step1_cpa_edit_counts" class="px-3 py-1 rounded border">Editar counts paso 1</button>
-            <div id="step1_cpa_counts_editor" class="ml-4 w-full"></div>
+            <input type="text" name="${prefix}_label1" placeholder="Etiqueta Dato 1" required class="p-2 border rounded">
+            <input type="text" name="${prefix}_label2" placeholder="Etiqueta Dato 2" required class="p-2 border rounded">
+            <input type="text" name="${prefix}_labelT" placeholder="Etiqueta Total" required class="p-2 border rounded">
           </div>
-        </fieldset>
-
-        <fieldset class="p-3 border rounded">
-          <legend class="font-bold">Paso 2</legend>
-          <div class="grid md:grid-cols-3 gap-2 mt-2">
-            <select name="step2_type" required class="p-2 border rounded">
-              <option value="PPT">Parte-Parte-Total</option>
-              <option value="UVT">Unidad-Veces-Total</option>
-              <option value="COMPARACION">Comparación</option>
-              <option value="CAMBIO">Cambio</option>
-            </select>
-            <input type="text" name="step2_data1" placeholder="Dato 1 (usa RESULTADO_ANTERIOR si aplica)" required class="p-2 border rounded">
-            <input type="text" name="step2_data2" placeholder="Dato 2" required class="p-2 border rounded">
-            <input type="text" name="step2_dataT" placeholder="Total / '?'" required class="p-2 border rounded md:col-span-1">
+          <div class="grid md:grid-cols-3 gap-2 mt-2 hidden-view" data-slot-extra>
+            <input type="text" name="${prefix}_data4" placeholder="Dato 4" class="p-2 border rounded">
+            <input type="text" name="${prefix}_label4" placeholder="Etiqueta Dato 4" class="p-2 border rounded">
           </div>
-          <div class="grid md:grid-cols-3 gap-2 mt-2">
-            <input type="text" name="step2_label1" placeholder="Etiqueta Dato 1" required class="p-2 border rounded">
-            <input type="text" name="step2_label2" placeholder="Etiqueta Dato 2" required class="p-2 border rounded">
-            <input type="text" name="step2_labelT" placeholder="Etiqueta Total" required class="p-2 border rounded">
+          <div class="grid md:grid-cols-3 gap-2 mt-2 items-center">
+            <select name="${prefix}_direction" class="p-2 border rounded hidden-view" data-step-direction></select>
+            <p class="text-sm text-indigo-700 md:col-span-2" data-derived-hint aria-live="polite"></p>
           </div>
           <div class="grid md:grid-cols-3 gap-2 mt-2">
-            <select name="step2_operation" required class="p-2 border rounded">
-              <option value="+">+</option><option value="-">-</option><option value="*">*</option><option value="/">/</option>
+            <select name="${prefix}_operation" required class="p-2 border rounded">
+              ${OPERATIONS.map(op => `<option value="${op}">${op}</option>`).join('')}
             </select>
-            <input type="text" name="step2_answer" placeholder="Respuesta numérica final" required class="p-2 border rounded">
-            <input type="text" name="step2_hint" placeholder="Pista (opcional)" class="p-2 border rounded">
+            <input type="text" name="${prefix}_answer" placeholder="Respuesta numérica" required class="p-2 border rounded">
+            <input type="text" name="${prefix}_hint" placeholder="Pista (opcional)" class="p-2 border rounded">
           </div>
           <div class="grid md:grid-cols-3 gap-2 mt-2">
-            <input type="text" name="step2_cpaIcon" placeholder="Icono (emoji) opcional" class="p-2 border rounded" />
-            <select name="step2_cpaTheme" class="p-2 border rounded"><option value="">(auto)</option><option value="bars">Barras</option><option value="numberline">Línea numérica</option></select>
-            <input type="text" name="step2_cpaTpl" placeholder="Plantilla abstracta opcional" class="p-2 border rounded" />
+            <input type="text" name="${prefix}_cpaIcon" placeholder="Icono (emoji) opcional" class="p-2 border rounded" />
+            <div>
+              <select name="${prefix}_cpaTheme" class="p-2 border rounded w-full"><option value="">(auto)</option><option value="bars">Barras</option><option value="numberline">Línea numérica</option><option value="fractions">Barras de fracciones</option></select>
+              <label class="text-sm flex items-center gap-1 mt-1"><input type="checkbox" name="${prefix}_cpaPlace"> El alumno marca «?» en la línea</label>
+            </div>
+            <input type="text" name="${prefix}_cpaTpl" placeholder="Plantilla abstracta opcional" class="p-2 border rounded" />
           </div>
           <div class="flex gap-2 mt-2 items-center">
-            <button type="button" id="step2_cpa_preview" class="px-3 py-1 rounded bg-indigo-600 text-white">Previsualizar paso 2</button>
-            <button type="button" id="step2_cpa_edit_counts" class="px-3 py-1 rounded border">Editar counts paso 2</button>
-            <div id="step2_cpa_counts_editor" class="ml-4 w-full"></div>
+            <button type="button" id="${prefix}_cpa_preview" data-step-preview="${prefix}" class="px-3 py-1 rounded bg-indigo-600 text-white">Previsualizar paso ${n}</button>
+            <button type="button" id="${prefix}_cpa_edit_counts" data-step-counts="${prefix}" class="px-3 py-1 rounded border">Editar counts paso ${n}</button>
+            <div id="${prefix}_cpa_counts_editor" class="ml-4 w-full"></div>
           </div>
-  </fieldset>
+        </fieldset>`;
+}
+
+// Form fields for a type's keys, in the registry's key order
+const FORM_DATA_FIELDS = ['data1', 'data2', 'dataT', 'data4'];
+const FORM_LABEL_FIELDS = ['label1', 'label2', 'labelT', 'label4'];
+
+function slotFieldName(prefix, name) { return prefix ? prefix + '_' + name : name; }
+
+function fillSlotFields(form, prefix, type, data, labels) {
+  const set = (name, v) => { const el = form.querySelector(`[name="${slotFieldName(prefix, name)}"]`); if (el) el.value = v ?? ''; };
+  slotValues(type, data).forEach((v, i) => set(FORM_DATA_FIELDS[i], v));
+  slotValues(type, labels).forEach((v, i) => set(FORM_LABEL_FIELDS[i], v));
+}
+
+// -> { data, labels } keyed by the type's keys (an empty remainder means '?')
+function readSlotFields(fd, prefix, type) {
+  const def = getProblemType(type);
+  const data = keyedValues(type, FORM_DATA_FIELDS.map(n => fd.get(slotFieldName(prefix, n))));
+  if (def && def.remainder && !String(data[def.remainder] ?? '').trim()) data[def.remainder] = '?';
+  return { data, labels: keyedValues(type, FORM_LABEL_FIELDS.map(n => fd.get(slotFieldName(prefix, n)))) };
+}
+
+function typeOptionsHtml(types) {
+  return types.map(t => `<option value="${t}">${typeName(t)}</option>`).join('');
+}
+
+// Options of the `direction` select for types whose story can go either way (CAMBIO)
+function directionOptionsHtml(def) {
+  const directions = (def && def.relation && def.relation.directions) || {};
+  return `<option value="">Sentido del cambio…</option>` + Object.entries(directions).map(([op, label]) => `<option value="${op}">${label}</option>`).join('');
+}
+
+// `direction` of a step read from the form, only for types that use one
+function readDirection(fd, prefix, type) {
+  const def = getProblemType(type);
+  const v = fd.get(slotFieldName(prefix, 'direction'));
+  return def && def.relation && def.relation.directions && def.relation.directions[v] ? v : undefined;
+}
+
+// "La incógnita es «Parte 1»: se resuelve con -" under the data of the single-step form
+// (prefix null) or of a step fieldset, with a button that fills in the operation and answer
+function refreshDerivedHint(form, prefix) {
+  const scope = prefix ? form.querySelector(`[data-step-fieldset="${prefix.slice(4)}"]`) : form;
+  const hint = scope && scope.querySelector('[data-derived-hint]');
+  if (!hint) return;
+  const fd = new FormData(form);
+  const type = fd.get(slotFieldName(prefix, 'type'));
+  const def = getProblemType(type);
+  const step = { type, ...readSlotFields(fd, prefix, type), direction: readDirection(fd, prefix, type) };
+  const key = def && unknownKey(step);
+  hint.innerHTML = '';
+  if (!key) return;
+  const sol = derivedStepSolution(step);
+  const text = document.createElement('span');
+  text.textContent = `La incógnita es «${String(step.labels[key] || '').trim() || def.defaultLabels[key]}»: ` +
+    (!sol ? 'indica el sentido para saber la operación.' : `se resuelve con ${sol.operation}${sol.answer ? ` → ${formatQuantity(sol.answer)}` : ''}.`);
+  hint.appendChild(text);
+  if (!sol) return;
+  const btn = document.createElement('button');
+  btn.type = 'button';
+  btn.className = 'ml-2 px-2 py-0.5 rounded border text-xs';
+  btn.textContent = 'Usar';
+  btn.dataset.derivedApply = prefix || '';
+  btn.dataset.operation = sol.operation;
+  btn.dataset.answer = sol.answer;
+  hint.appendChild(btn);
+}
+
+function refreshDerivedHints(form) {
+  const sets = form.querySelectorAll('[data-step-fieldset]');
+  if (sets.length) sets.forEach(fs => refreshDerivedHint(form, 'step' + fs.getAttribute('data-step-fieldset')));
+  else refreshDerivedHint(form, null);
+}
+
+// Adapts a step fieldset to its type: the 4th data/label pair only for types with a 4th key
+// (e.g. the remainder), an optional factor for conversion steps, the direction select for
+// types that need one
+function syncStepSlotFields(fieldset) {
+  const sel = fieldset && fieldset.querySelector('select[name$="_type"]');
+  const extra = fieldset && fieldset.querySelector('[data-slot-extra]');
+  if (!sel || !extra) return;
+  const def = getProblemType(sel.value);
+  const dirEl = fieldset.querySelector('[data-step-direction]');
+  const directions = def && def.relation && def.relation.directions;
+  if (dirEl) { const cur = dirEl.value; dirEl.innerHTML = directionOptionsHtml(def); dirEl.value = directions && directions[cur] ? cur : ''; dirEl.classList.toggle('hidden-view', !directions); }
+  const factorEl = fieldset.querySelector('input[name$="_data2"]');
+  if (factorEl) { factorEl.required = !(def && def.conversion); factorEl.placeholder = def && def.conversion ? `${def.defaultLabels[def.keys[1]]} (vacío: se calcula con las unidades)` : 'Dato 2'; }
+  const key = def && def.keys[3];
+  extra.classList.toggle('hidden-view', !key);
+  const [dataEl, labelEl] = extra.querySelectorAll('input');
+  labelEl.required = !!key;
+  if (!key) return;
+  dataEl.placeholder = key === def.remainder ? `${def.defaultLabels[key]} ('?' o vacío: lo calcula el alumno)` : def.defaultLabels[key];
+  labelEl.placeholder = `Etiqueta ${def.defaultLabels[key]}`;
+}
+
+// Fill the stepN_* fields from a stored step
+function fillStepFields(form, prefix, st) {
+  const set = (name, v) => { const el = form.querySelector(`[name="${prefix}_${name}"]`); if (el) el.value = v; };
+  set('type', st.type || STEP_TYPES[0]);
+  const typeEl = form.querySelector(`[name="${prefix}_type"]`);
+  if (typeEl) syncStepSlotFields(typeEl.closest('[data-step-fieldset]'));
+  fillSlotFields(form, prefix, st.type, st.data, st.labels);
+  set('direction', st.direction || '');
+  set('operation', st.operation || '+');
+  set('answer', st.answer ?? '');
+  set('hint', st.hint || '');
+  const firstItem = st.cpa && st.cpa.concrete ? Object.values(st.cpa.concrete.items || {})[0] : null;
+  set('cpaIcon', firstItem ? (firstItem.icon || '') : '');
+  set('cpaTheme', st.cpa && st.cpa.pictorial ? (st.cpa.pictorial.theme || '') : '');
+  const placeEl = form.querySelector(`[name="${prefix}_cpaPlace"]`); if (placeEl) placeEl.checked = !!(st.cpa && st.cpa.pictorial && st.cpa.pictorial.placeResult);
+  set('cpaTpl', st.cpa && st.cpa.abstract ? (st.cpa.abstract.template || '') : '');
+}
+
+// stepCount: number of step fieldsets for MULTI_OPERACION (defaults to what is on screen, else 3; min 2)
+function renderFormFields(stepCount) {
+  if (typeof stepCount !== 'number') stepCount = 0;
+  const type = $('#problem-type-selector').value;
+  const container = $('#form-fields-container');
+
+  if (isMultiStepType(type)) {
+    // keep the number of steps already on screen when re-rendering a MULTI_OPERACION form
+    const prev = container.querySelectorAll('[data-step-fieldset]').length;
+    const count = type === 'DOS_OPERACIONES' ? 2 : Math.max(COMPOSITE_TYPES.MULTI_OPERACION.minSteps, Math.min(MAX_PROBLEM_STEPS, stepCount || prev || 3));
+    container.innerHTML = `
+      <div class="space-y-4">
+        <p class="text-sm text-gray-600">Define ${type === 'DOS_OPERACIONES' ? 'los dos pasos' : 'los pasos'} del problema. Para usar el resultado de un paso anterior, escribe <code>RESULTADO_ANTERIOR</code> (el paso justo anterior) o <code>RESULTADO_PASO_1</code>, <code>RESULTADO_PASO_2</code>… en el dato correspondiente.</p>
+        <div id="form-steps-list" class="space-y-4">${Array.from({ length: count }, (_, i) => stepFieldsetHtml(i + 1)).join('')}</div>
+        ${type === 'MULTI_OPERACION' ? `<div class="flex gap-2">
+          <button type="button" id="btn-add-step" class="px-3 py-1 rounded border font-bold">+ Añadir paso</button>
+          <button type="button" id="btn-remove-step" class="px-3 py-1 rounded border">− Quitar último paso</button>
+        </div>` : ''}
 
   <div>
           <label class="font-bold">Respuesta Completa Final:</label>
@@ -3072,6 +6676,19 @@ function renderFormFields() {
  
       </div>
     `;
+    if (type === 'MULTI_OPERACION') {
+      const list = $('#form-steps-list');
+      $('#btn-add-step').onclick = () => {
+        const n = list.querySelectorAll('[data-step-fieldset]').length;
+        if (n >= MAX_PROBLEM_STEPS) { showToast(`Máximo ${MAX_PROBLEM_STEPS} pasos.`, 'info'); return; }
+        list.insertAdjacentHTML('beforeend', stepFieldsetHtml(n + 1));
+      };
+      $('#btn-remove-step').onclick = () => {
+        const sets = list.querySelectorAll('[data-step-fieldset]');
+        if (sets.length <= COMPOSITE_TYPES.MULTI_OPERACION.minSteps) { showToast('Un problema de varias operaciones necesita al menos 2 pasos.', 'info'); return; }
+        sets[sets.length - 1].remove();
+      };
+    }
 
     // Disable global single-step inputs to avoid confusion
     const globOp = document.querySelector('select[name="operation"]');
@@ -3082,29 +6699,33 @@ function renderFormFields() {
     return;
   }
 
-  let labels = { data1: 'Dato 1', data2: 'Dato 2', dataT: 'Total' };
-  if (type === 'COMPARACION') labels = { data1: 'Cant. Mayor', data2: 'Cant. Menor', dataT: 'Diferencia' };
-  if (type === 'CAMBIO') labels = { data1: 'Cant. Inicial', data2: 'Cambio', dataT: 'Cant. Final' };
-  if (type === 'UVT') labels = { data1: 'Unidad', data2: 'Veces', dataT: 'Total' };
-  if (type === 'PPT') labels = { data1: 'Parte 1', data2: 'Parte 2', dataT: 'Total' };
+  const def = getProblemType(type);
+  const names = def ? slotValues(type, def.defaultLabels) : ['Dato 1', 'Dato 2', 'Total'];
+  const remIdx = def && def.remainder ? def.keys.indexOf(def.remainder) : -1;
+  const factorIdx = def && def.conversion ? 1 : -1;
+  const cols = `md:grid-cols-${names.length}`;
 
   container.innerHTML = `
     <div>
       <label class="font-bold">Datos ('?' para la incógnita):</label>
-      <div class="grid grid-cols-1 md:grid-cols-3 gap-2 mt-1">
-        <input type="text" name="data1" placeholder="${labels.data1}" required class="p-2 border rounded">
-        <input type="text" name="data2" placeholder="${labels.data2}" required class="p-2 border rounded">
-        <input type="text" name="dataT" placeholder="${labels.dataT}" required class="p-2 border rounded">
+      <div class="grid grid-cols-1 ${cols} gap-2 mt-1">
+        ${names.map((n, i) => i === remIdx
+          ? `<input type="text" name="${FORM_DATA_FIELDS[i]}" placeholder="${n} ('?' o vacío: lo calcula el alumno)" class="p-2 border rounded">`
+          : i === factorIdx ? `<input type="text" name="${FORM_DATA_FIELDS[i]}" placeholder="${n} (vacío: se calcula con las unidades)" class="p-2 border rounded">`
+          : `<input type="text" name="${FORM_DATA_FIELDS[i]}" placeholder="${n}" required class="p-2 border rounded">`).join('')}
       </div>
     </div>
     <div>
       <label class="font-bold">Etiquetas de Datos:</label>
-      <div class="grid grid-cols-1 md:grid-cols-3 gap-2 mt-1">
-        <input type="text" name="label1" placeholder="Etiqueta ${labels.data1}" required class="p-2 border rounded">
-        <input type="text" name="label2" placeholder="Etiqueta ${labels.data2}" required class="p-2 border rounded">
-        <input type="text" name="labelT" placeholder="Etiqueta ${labels.dataT}" required class="p-2 border rounded">
+      <div class="grid grid-cols-1 ${cols} gap-2 mt-1">
+        ${names.map((n, i) => `<input type="text" name="${FORM_LABEL_FIELDS[i]}" placeholder="Etiqueta ${n}" required class="p-2 border rounded">`).join('')}
       </div>
     </div>
+    ${def && def.relation && def.relation.directions ? `<div>
+      <label class="font-bold">Sentido:</label>
+      <select name="direction" class="w-full p-2 border rounded mt-1">${directionOptionsHtml(def)}</select>
+    </div>` : ''}
+    <p class="text-sm text-indigo-700" data-derived-hint aria-live="polite"></p>
   `;
   // Re-enable global single-step inputs when not in DOS_OPERACIONES mode
   const globOp = document.querySelector('select[name="operation"]');
@@ -0,0 +1,108 @@
+// What each grade's problems may contain, shared by the browser app (window.GradeRules)
+// and the API (ES import), so the editor warnings and the AI generator follow the same rules:
+//   operations            operations allowed (OPERATIONS of shared/problem-types.js)
+//   maxValue              largest value in data and answers (also the template range)
+//   decimals              decimals, fractions and percentages allowed; whole numbers only otherwise
+//   maxSteps              operations per problem (1 = one-operation problems only)
+//   maxQuestionWords      words in the question
+//   maxWordsPerSentence   words in its longest sentence (readability)
+// Teachers may override any of them per grade (see normalizeGradeRules).
+
+import { OPERATIONS, PROBLEM_TYPES, COMPOSITE_TYPES, typeName } from './problem-types.js';
+import { quantityValue } from './quantities.js';
+
+export const GRADES = [1, 2, 3, 4, 5, 6];
+
+export const DEFAULT_GRADE_RULES = {
+  1: { operations: ['+', '-'], maxValue: 99, decimals: false, maxSteps: 1, maxQuestionWords: 30, maxWordsPerSentence: 15 },
+  2: { operations: ['+', '-', '*'], maxValue: 999, decimals: false, maxSteps: 2, maxQuestionWords: 40, maxWordsPerSentence: 18 },
+  3: { operations: ['+', '-', '*', '/'], maxValue: 9999, decimals: false, maxSteps: 2, maxQuestionWords: 50, maxWordsPerSentence: 20 },
+  4: { operations: ['+', '-', '*', '/'], maxValue: 99999, decimals: false, maxSteps: 3, maxQuestionWords: 60, maxWordsPerSentence: 22 },
+  5: { operations: ['+', '-', '*', '/'], maxValue: 999999, decimals: true, maxSteps: 4, maxQuestionWords: 70, maxWordsPerSentence: 25 },
+  6: { operations: ['+', '-', '*', '/'], maxValue: 9999999, decimals: true, maxSteps: 6, maxQuestionWords: 80, maxWordsPerSentence: 25 }
+};
+
+const OPERATION_NAMES = { '+': 'sumas', '-': 'restas', '*': 'multiplicaciones', '/': 'divisiones' };
+
+// ['sumas', 'restas', 'divisiones'] -> "sumas, restas y divisiones"
+function list(items, last = 'y') {
+  return items.length > 1 ? `${items.slice(0, -1).join(', ')} ${last} ${items[items.length - 1]}` : items.join('');
+}
+
+// Overrides as stored or sent by a client -> { grade: { rule: value } } with only valid entries
+export function normalizeGradeRules(overrides) {
+  const out = {};
+  if (!overrides || typeof overrides !== 'object') return out;
+  GRADES.forEach((g) => {
+    const o = overrides[g];
+    if (!o || typeof o !== 'object') return;
+    const r = {};
+    if (Array.isArray(o.operations)) r.operations = OPERATIONS.filter((op) => o.operations.includes(op));
+    ['maxValue', 'maxSteps', 'maxQuestionWords', 'maxWordsPerSentence'].forEach((k) => {
+      const n = Number(o[k]);
+      if (o[k] != null && o[k] !== '' && Number.isFinite(n) && n >= 1) r[k] = Math.floor(n);
+    });
+    if (typeof o.decimals === 'boolean') r.decimals = o.decimals;
+    if (Object.keys(r).length) out[g] = r;
+  });
+  return out;
+}
+
+// Rules of one grade with the overrides applied (grades out of range use the closest one)
+export function gradeRules(grade, overrides) {
+  const g = Math.max(1, Math.min(6, Math.round(Number(grade)) || 1));
+  return { ...DEFAULT_GRADE_RULES[g], ...(normalizeGradeRules(overrides)[g] || {}) };
+}
+
+export function valueAllowed(n, rules) {
+  return Number.isFinite(n) && n >= 0 && n <= rules.maxValue && (rules.decimals || Number.isInteger(n));
+}
+
+function words(text) {
+  return String(text || '').split(/\s+/).filter((w) => /[\p{L}\d]/u.test(w));
+}
+
+// -> messages for the rules a problem breaks (values with {placeholders} or step references are skipped)
+export function gradeRuleViolations(problem, rules) {
+  const steps = Array.isArray(problem && problem.steps) ? problem.steps : [problem || {}];
+  const out = [];
+  if (steps.length > rules.maxSteps) out.push(`tiene ${steps.length} operaciones y el máximo es ${rules.maxSteps}.`);
+  const ops = [...new Set(steps.map((s) => s && s.operation).filter((op) => OPERATIONS.includes(op) && !rules.operations.includes(op)))];
+  if (ops.length) out.push(`usa ${list(ops.map((op) => OPERATION_NAMES[op]))}, que no tocan en este curso.`);
+  const values = steps.flatMap((s) => Object.values((s && s.data) || {}).concat([s && s.answer]))
+    .filter((v) => v != null && v !== '?' && !/^RESULTADO_|[{}]/.test(String(v)))
+    .map(quantityValue).filter(Number.isFinite);
+  const big = values.filter((n) => n > rules.maxValue || n < 0);
+  if (big.length) out.push(`${list(big.map(String))} ${big.length > 1 ? 'se salen' : 'se sale'} del rango (0 a ${rules.maxValue}).`);
+  if (!rules.decimals && values.some((n) => !Number.isInteger(n))) out.push('usa decimales, fracciones o porcentajes.');
+  const question = String((problem && problem.question) || '');
+  const total = words(question).length;
+  if (total > rules.maxQuestionWords) out.push(`el enunciado tiene ${total} palabras (máximo ${rules.maxQuestionWords}).`);
+  const longest = Math.max(0, ...question.split(/[.!?…]+(?:\s|$)/).map((s) => words(s).length));
+  if (longest > rules.maxWordsPerSentence) out.push(`una frase del enunciado tiene ${longest} palabras (máximo ${rules.maxWordsPerSentence}).`);
+  return out;
+}
+
+// -> message when no problem of `type` can follow the rules (UVT in 1º, DOS_OPERACIONES with one step), or null
+export function gradeTypeError(type, rules) {
+  const def = PROBLEM_TYPES[type];
+  if (def && !def.operations.some((op) => rules.operations.includes(op))) return `${typeName(type)} necesita ${list(def.operations.map((op) => OPERATION_NAMES[op]), 'o')}, que no tocan en este curso.`;
+  const composite = COMPOSITE_TYPES[type];
+  if (composite && composite.minSteps > rules.maxSteps) return `${typeName(type)} necesita ${composite.minSteps} operaciones y el curso permite ${rules.maxSteps}.`;
+  return null;
+}
+
+// Lines for the AI prompt
+export function gradeRulesPrompt(grade, rules) {
+  return [
+    `Reglas de ${grade}º:`,
+    `- Solo ${list(rules.operations.map((op) => OPERATION_NAMES[op]))} (operation ${list(rules.operations.map((op) => `"${op}"`), 'o')}).`,
+    `- Valores de data y answer entre 0 y ${rules.maxValue}${rules.decimals ? '; puedes usar fracciones ("3/4", "1 1/2"), decimales con punto ("2.5"; con coma si llevan tres decimales, "1,125", porque "1.125" es mil ciento veinticinco) y porcentajes ("25%").' : ', solo números enteros.'}`,
+    `- Como mucho ${rules.maxSteps} operación(es) por problema.`,
+    `- Enunciado de ${rules.maxQuestionWords} palabras como máximo, con frases de ${rules.maxWordsPerSentence} palabras o menos.`
+  ].join('\n');
+}
+
+if (typeof window !== 'undefined') {
+  window.GradeRules = { GRADES, DEFAULT_GRADE_RULES, normalizeGradeRules, gradeRules, valueAllowed, gradeRuleViolations, gradeTypeError, gradeRulesPrompt };
+}
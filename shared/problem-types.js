@@ -0,0 +1,240 @@
+// Problem type registry shared by the browser app (window.ProblemTypes) and the API (ES import).
+// Adding a one-operation schema means adding one entry to PROBLEM_TYPES:
+//   name           display name
+//   keys           data/labels keys in form order: [dato 1, dato 2, total/resultado, …]
+//   defaultLabels  labels used when none are given (also the form placeholders)
+//   unknown        key that holds '?' when the author does not say otherwise
+//   operations     operations the schema is solved with (others only raise a warning)
+//   relation       result = operands[0] (op) operands[1], `operations` being the op(s) the story may use;
+//                  with '?' in any box the solving operation is derived from it (see solvingOperation).
+//                  Several ops need a `direction` on the step, named by `directions`
+//   abstract       abstract (CPA) template, {key} placeholders
+//   diagram        step 2 diagram: rows of keys/symbols, a string row is a separator;
+//                  `short` names the boxes and `highlight` marks the result box
+//   barModel       bar model the student builds in step 2: { whole, parts } (the whole bar over the
+//                  part bars) or { whole, unit, times, extra? } (the unit bar repeated `times` times,
+//                  plus what is left over); keyed by direction when the schema has `directions`
+//   numberLine     how the pictorial number line draws it, with the keys of `barModel`: 'parts' (from 0,
+//                  one jump per part up to the whole), 'change' (a jump forwards or back from the start of
+//                  the `relation`), 'distance' (two points and the gap between them) or 'repeat' (equal jumps)
+// Optional:
+//   remainder      key of a remainder ("resto"); '?' there asks the student for it in step 3
+//   representation name of a dedicated concrete/pictorial renderer in app.js
+//   promptNote     extra instruction for the AI generator
+//   conversion     the step converts keys[0] (a measure with a unit) into the unit of the answer;
+//                  keys[1] is the factor, filled in from the units when left empty
+//   schema         offered when the student picks the schema in step 2: `clue` says what stories it
+//                  is for (feedback when picked wrongly), `question` points the student at it
+
+import { quantityUnit, quantityValue, conversionStep } from './quantities.js';
+
+export const OPERATIONS = ['+', '-', '*', '/'];
+
+export const PROBLEM_TYPES = {
+  PPT: {
+    name: 'Parte-Parte-Total',
+    keys: ['p1', 'p2', 't'],
+    defaultLabels: { p1: 'Parte 1', p2: 'Parte 2', t: 'Total' },
+    unknown: 't',
+    operations: ['+', '-'],
+    abstract: '{p1} + {p2} = {t}',
+    diagram: { rows: [['p1', 'p2'], '↓', ['t']], short: { p1: 'P', p2: 'P', t: 'T' }, highlight: 't' },
+    relation: { result: 't', operands: ['p1', 'p2'], operations: ['+'] },
+    barModel: { whole: 't', parts: ['p1', 'p2'] },
+    numberLine: 'parts',
+    schema: { clue: 'dos partes que están a la vez y se juntan en un total, sin que nada cambie', question: '¿Hay dos partes que juntas forman un todo?' }
+  },
+  UVT: {
+    name: 'Unidad-Veces-Total',
+    keys: ['u', 'v', 't'],
+    defaultLabels: { u: 'Unidad', v: 'Veces', t: 'Total' },
+    unknown: 't',
+    operations: ['*', '/'],
+    abstract: '{u} x {v} = {t}',
+    diagram: { rows: [['u', 'x', 'v', '=', 't']], short: { u: 'U', v: 'V', t: 'T' }, highlight: 't' },
+    relation: { result: 't', operands: ['u', 'v'], operations: ['*'] },
+    barModel: { whole: 't', unit: 'u', times: 'v' },
+    numberLine: 'repeat',
+    schema: { clue: 'una misma cantidad que se repite varias veces', question: '¿Se repite varias veces la misma cantidad?' }
+  },
+  COMPARACION: {
+    name: 'Comparación',
+    keys: ['cm', 'cmen', 'd'],
+    defaultLabels: { cm: 'Cantidad mayor', cmen: 'Cantidad menor', d: 'Diferencia' },
+    unknown: 'd',
+    operations: ['-', '+'],
+    abstract: '{cm} - {cmen} = {d}',
+    diagram: { rows: [['cm'], ['cmen', 'd']], short: { cm: 'CM', cmen: 'cm', d: 'd' } },
+    relation: { result: 'cm', operands: ['cmen', 'd'], operations: ['+'] },
+    barModel: { whole: 'cm', parts: ['cmen', 'd'] },
+    numberLine: 'distance',
+    schema: { clue: 'comparar dos cantidades para ver cuánto más o cuánto menos hay', question: '¿Se comparan dos cantidades («más que», «menos que»)?' }
+  },
+  CAMBIO: {
+    name: 'Cambio',
+    keys: ['ci', 'c', 'cf'],
+    defaultLabels: { ci: 'Cantidad inicial', c: 'Cambio', cf: 'Cantidad final' },
+    unknown: 'cf',
+    operations: ['+', '-'],
+    abstract: '{ci} ± {c} = {cf}',
+    diagram: { rows: [['ci', 'c', '→', 'cf']], short: { ci: 'CI', c: 'C', cf: 'CF' }, highlight: 'cf' },
+    relation: {
+      result: 'cf', operands: ['ci', 'c'], operations: ['+', '-'],
+      directions: { '+': 'Aumenta (gana, recibe, llegan…)', '-': 'Disminuye (pierde, gasta, se van…)' }
+    },
+    barModel: { '+': { whole: 'cf', parts: ['ci', 'c'] }, '-': { whole: 'ci', parts: ['cf', 'c'] } },
+    numberLine: 'change',
+    schema: { clue: 'una cantidad que cambia: había algo, llega o se va una parte y queda otra cantidad', question: '¿Cambia una cantidad con el tiempo (tenía…, gana o pierde…, ahora tiene…)?' }
+  },
+  REPARTO: {
+    name: 'Reparto / agrupamiento',
+    keys: ['t', 'g', 'pg', 'r'],
+    defaultLabels: { t: 'Total', g: 'Grupos', pg: 'En cada grupo', r: 'Resto' },
+    unknown: 'pg',
+    remainder: 'r',
+    operations: ['/'],
+    abstract: '{t} : {g} = {pg} (resto {r})',
+    diagram: { rows: [['t'], '↓ repartir', ['g', 'x', 'pg', '+', 'r']], short: { t: 'Total', g: 'Grupos', pg: 'Cada grupo', r: 'Resto' }, highlight: 'pg' },
+    relation: { result: 't', operands: ['g', 'pg'], operations: ['*'] },
+    barModel: { whole: 't', unit: 'pg', times: 'g', extra: 'r' },
+    numberLine: 'repeat',
+    representation: 'dealing',
+    promptNote: 'REPARTO: "t" se reparte en "g" grupos iguales de "pg" y sobra "r" (t = g x pg + r). En un reparto la incógnita es "pg"; en un agrupamiento, "g". "answer" es el cociente entero y "r" vale "?" para que el alumno calcule el resto (aunque sea 0).'
+  },
+  CONVERSION: {
+    name: 'Conversión de medidas',
+    keys: ['m', 'f', 'mc'],
+    defaultLabels: { m: 'Medida', f: 'Equivalencia', mc: 'Medida convertida' },
+    unknown: 'mc',
+    operations: ['*', '/'],
+    abstract: '{m} → {mc}',
+    diagram: { rows: [['m', '→', 'mc'], '× o : por', ['f']], short: { m: 'Medida', f: 'Equivalencia', mc: 'Convertida' }, highlight: 'mc' },
+    conversion: true,
+    promptNote: 'CONVERSION: "m" es una medida con su unidad ("150 cm"), "answer" la misma medida en la unidad pedida ("1.5 m") y "f" el número por el que se multiplica (a una unidad menor) o se divide (a una mayor), con "operation" "*" o "/".'
+  }
+};
+
+// Problems made of several one-operation steps (see `steps`)
+export const COMPOSITE_TYPES = {
+  DOS_OPERACIONES: { name: 'Dos operaciones', minSteps: 2, maxSteps: 2 },
+  MULTI_OPERACION: { name: 'Varias operaciones', minSteps: 2, maxSteps: 6 }
+};
+
+export const STEP_TYPES = Object.keys(PROBLEM_TYPES);
+export const ALL_TYPES = [...STEP_TYPES, ...Object.keys(COMPOSITE_TYPES)];
+
+export function getProblemType(type) { return PROBLEM_TYPES[type] || null; }
+
+export function typeName(type) { return (PROBLEM_TYPES[type] || COMPOSITE_TYPES[type] || {}).name || type; }
+
+export function typeKeys(type) { return PROBLEM_TYPES[type] ? PROBLEM_TYPES[type].keys.slice() : []; }
+
+// [dato 1, dato 2, total, …] of `obj` (data or labels) in form order
+export function slotValues(type, obj) {
+  return typeKeys(type).map((k) => (obj || {})[k]);
+}
+
+// { key: value } from values in form order
+export function keyedValues(type, values) {
+  const out = {};
+  typeKeys(type).forEach((k, i) => { out[k] = values[i]; });
+  return out;
+}
+
+// -> error message or null for one step (or one-operation problem)
+export function validateStepShape(s) {
+  if (!s || typeof s !== 'object') return 'Paso inválido (debe ser objeto).';
+  const def = PROBLEM_TYPES[s.type];
+  if (!def) return `Tipo de paso inválido (usa ${STEP_TYPES.join(', ')}).`;
+  if (!s.data || typeof s.data !== 'object') return 'Sin campo data válido.';
+  const missing = def.keys.filter((k) => k !== def.remainder && !(k in s.data));
+  if (missing.length) return `data de ${s.type} debe tener ${def.keys.join(', ')} (falta ${missing.join(', ')}).`;
+  if (!s.labels || typeof s.labels !== 'object') return 'Sin campo labels válido.';
+  if (!s.operation || !OPERATIONS.includes(s.operation)) return 'Operación inválida.';
+  if (s.answer == null) return 'Sin respuesta.';
+  if (s.direction != null && !(def.relation && def.relation.operations.length > 1 && def.relation.operations.includes(s.direction))) return 'direction inválida.';
+  return conversionError(s);
+}
+
+// Key of the step's unknown ('?'), the remainder aside; null when there is none
+export function unknownKey(s) {
+  const def = PROBLEM_TYPES[s && s.type];
+  if (!def || !s.data) return null;
+  return def.keys.find((k) => k !== def.remainder && s.data[k] === '?') || null;
+}
+
+// Operation that finds the unknown, from where the '?' is: the story's operation for the result,
+// its inverse for the other boxes (t = p1 + p2: p1 = t - p2). With several directions (CAMBIO)
+// it uses `s.direction`, or the operation all directions agree on; null when it can't be told.
+export function solvingOperation(s) {
+  const def = PROBLEM_TYPES[s && s.type];
+  const rel = def && def.relation;
+  const key = unknownKey(s);
+  if (!rel || !key) return null;
+  const first = key === rel.operands[0];
+  const solve = (op) => key === rel.result ? op : { '+': '-', '*': '/', '-': first ? '+' : '-', '/': first ? '*' : '/' }[op];
+  const directions = rel.operations.includes(s.direction) ? [s.direction] : rel.operations;
+  const ops = [...new Set(directions.map(solve))];
+  return ops.length === 1 ? ops[0] : null;
+}
+
+// Direction of a step of a schema with several: `s.direction`, else the one the step's operation
+// solves with, else (c = ? in CAMBIO, a subtraction either way) whether the result is the bigger end
+export function stepDirection(s) {
+  const def = PROBLEM_TYPES[s && s.type];
+  const rel = def && def.relation;
+  if (!rel || rel.operations.length < 2) return null;
+  if (rel.operations.includes(s.direction)) return s.direction;
+  const fit = rel.operations.filter((d) => solvingOperation({ ...s, direction: d }) === s.operation);
+  if (fit.length === 1) return fit[0];
+  const [start, end] = [quantityValue(s.data[rel.operands[0]]), quantityValue(s.data[rel.result])];
+  return Number.isFinite(start) && Number.isFinite(end) && start !== end ? (end > start ? '+' : '-') : null;
+}
+
+// Bar model of a step (see `barModel`); null for schemas without one or when the direction can't be told
+export function barModelOf(s) {
+  const def = PROBLEM_TYPES[s && s.type];
+  const model = def && def.barModel;
+  if (!model || model.whole) return model || null;
+  return model[stepDirection(s)] || null;
+}
+
+// Unit problems of a conversion step -> error message or null; values with
+// template placeholders or step references are checked once they are filled in
+export function conversionError(s) {
+  const def = PROBLEM_TYPES[s && s.type];
+  if (!def || !def.conversion) return null;
+  const from = s.data && s.data[def.keys[0]];
+  if ([from, s.answer].some((v) => /[{}]|^RESULTADO_/.test(String(v ?? '')))) return null;
+  const [a, b] = [quantityUnit(from), quantityUnit(s.answer)];
+  if (!a || !b) return `${def.name}: la medida y la respuesta deben llevar unidad (p. ej. "150 cm" y "1,5 m").`;
+  if (!conversionStep(a, b)) return `${def.name}: no se puede pasar de ${a} a ${b}.`;
+  return null;
+}
+
+// Fills the factor and operation of a conversion step left empty from the units ("150 cm" -> "1,5 m": / 100)
+export function completeConversionStep(s) {
+  const def = PROBLEM_TYPES[s && s.type];
+  if (!def || !def.conversion || conversionError(s) || String(s.data[def.keys[1]] ?? '').trim()) return s;
+  const step = conversionStep(quantityUnit(s.data[def.keys[0]]), quantityUnit(s.answer));
+  if (step) { s.data[def.keys[1]] = String(step.factor); s.operation = step.operation; }
+  return s;
+}
+
+// -> warning or null when the operation does not solve the unknown (or, when that can't be
+// derived, is not one the schema is usually solved with)
+export function operationWarning(s) {
+  const def = PROBLEM_TYPES[s && s.type];
+  if (!def || !s.operation) return null;
+  const solving = solvingOperation(s);
+  if (solving) {
+    const key = unknownKey(s);
+    return solving === s.operation ? null : `La incógnita es «${(s.labels && s.labels[key]) || def.defaultLabels[key]}»: se resuelve con ${solving}, no con ${s.operation}.`;
+  }
+  if (def.operations.includes(s.operation)) return null;
+  return `${def.name} se resuelve normalmente con ${def.operations.join(' o ')}, no con ${s.operation}.`;
+}
+
+if (typeof window !== 'undefined') {
+  window.ProblemTypes = { OPERATIONS, PROBLEM_TYPES, COMPOSITE_TYPES, STEP_TYPES, ALL_TYPES, getProblemType, typeName, typeKeys, slotValues, keyedValues, validateStepShape, conversionError, completeConversionStep, unknownKey, solvingOperation, stepDirection, barModelOf, operationWarning };
+}
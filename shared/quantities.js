@@ -0,0 +1,188 @@
+// Quantities as pupils and teachers write them in Spain, shared by the browser app
+// (window.Quantities) and the API (ES import):
+//   numbers       "12", "0,5", "1.250,5" (dot thousands, comma decimals), "10.000" (a dot before exactly three
+//                 digits separates thousands), "2.5" (any other lone dot is a decimal point)
+//   fractions     "3/4", mixed numbers "1 1/2"
+//   percentages   "25%", "12,5 %"
+//   with a unit   "150 cm", "1,5 m", "2 1/2 kg", "12 €" / "12 euros" (see UNITS)
+// parseQuantity(text) -> { kind: 'number' | 'fraction' | 'percent', value, unit, text } or null,
+// where `value` is what the quantity is worth in its own unit (3/4 -> 0.75, 25% -> 0.25, 150 cm -> 150)
+// and `unit` is a UNITS key or null.
+
+// How an answer may be written, per problem (`answerEquivalence`)
+export const EQUIVALENCE_MODES = {
+  forma: 'En la misma forma (fracción, decimal o porcentaje)',
+  equivalente: 'En cualquier forma equivalente (0,5 = 1/2 = 50%)'
+};
+
+// Units grouped by magnitude; `factor` is the size in the magnitude's base unit and
+// `names` how it may be written (lower case, without accents; the first one is the symbol)
+export const UNITS = {
+  km: { magnitude: 'longitud', factor: 1000, names: ['km', 'kilometro', 'kilometros'] },
+  hm: { magnitude: 'longitud', factor: 100, names: ['hm', 'hectometro', 'hectometros'] },
+  dam: { magnitude: 'longitud', factor: 10, names: ['dam', 'decametro', 'decametros'] },
+  m: { magnitude: 'longitud', factor: 1, names: ['m', 'metro', 'metros'] },
+  dm: { magnitude: 'longitud', factor: 0.1, names: ['dm', 'decimetro', 'decimetros'] },
+  cm: { magnitude: 'longitud', factor: 0.01, names: ['cm', 'centimetro', 'centimetros'] },
+  mm: { magnitude: 'longitud', factor: 0.001, names: ['mm', 'milimetro', 'milimetros'] },
+  kg: { magnitude: 'masa', factor: 1000, names: ['kg', 'kilo', 'kilos', 'kilogramo', 'kilogramos'] },
+  g: { magnitude: 'masa', factor: 1, names: ['g', 'gr', 'gramo', 'gramos'] },
+  mg: { magnitude: 'masa', factor: 0.001, names: ['mg', 'miligramo', 'miligramos'] },
+  l: { magnitude: 'capacidad', factor: 1, names: ['l', 'litro', 'litros'] },
+  dl: { magnitude: 'capacidad', factor: 0.1, names: ['dl', 'decilitro', 'decilitros'] },
+  cl: { magnitude: 'capacidad', factor: 0.01, names: ['cl', 'centilitro', 'centilitros'] },
+  ml: { magnitude: 'capacidad', factor: 0.001, names: ['ml', 'mililitro', 'mililitros'] },
+  h: { magnitude: 'tiempo', factor: 3600, names: ['h', 'hora', 'horas'] },
+  min: { magnitude: 'tiempo', factor: 60, names: ['min', 'minuto', 'minutos'] },
+  s: { magnitude: 'tiempo', factor: 1, names: ['s', 'seg', 'segundo', 'segundos'] },
+  '€': { magnitude: 'dinero', factor: 1, names: ['€', 'euro', 'euros'] },
+  cent: { magnitude: 'dinero', factor: 0.01, names: ['cent', 'centimo', 'centimos'] }
+};
+
+// "Metros" -> 'm', "céntimos" -> 'cent'; null when it is not a known unit
+export function unitOf(word) {
+  const w = String(word || '').trim().toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/\.$/, '');
+  return Object.keys(UNITS).find((u) => UNITS[u].names.includes(w)) || null;
+}
+
+export function sameMagnitude(a, b) {
+  return !!UNITS[a] && !!UNITS[b] && UNITS[a].magnitude === UNITS[b].magnitude;
+}
+
+// 150 from 'cm' to 'm' -> 1.5; NaN when the units measure different things
+export function convertValue(value, from, to) {
+  if (from === to) return value;
+  if (!sameMagnitude(from, to)) return NaN;
+  // round away binary noise (0.1 * 3) without touching real decimals
+  return Number((value * UNITS[from].factor / UNITS[to].factor).toPrecision(12));
+}
+
+// How to go from one unit to the other: 'm' -> 'cm' is { operation: '*', factor: 100 }; null if impossible
+export function conversionStep(from, to) {
+  if (!sameMagnitude(from, to)) return null;
+  const r = UNITS[from].factor / UNITS[to].factor;
+  return r >= 1 ? { operation: '*', factor: Number(r.toPrecision(12)) } : { operation: '/', factor: Number((1 / r).toPrecision(12)) };
+}
+
+const UNIT_SUFFIX_RE = /^(.*?\d)\s*([^\d\s%][^\d%]*)$/;
+const FRACTION_RE = /^(-?)(?:(\d+)\s+)?(\d+)\s*\/\s*(\d+)$/;
+const PERCENT_RE = /^(.+?)\s*%$/;
+
+// A lone dot that reads as a thousands separator: "1.250", "10.000" (not "0.125" nor "2.5")
+const THOUSANDS_DOT_RE = /^-?[1-9]\d{0,2}\.\d{3}$/;
+
+// "1.250,5" -> 1250.5, "1.250" -> 1250, "2.5" -> 2.5, "1.250.000" -> 1250000; NaN when it is not a plain number
+export function parseDecimal(text) {
+  let s = String(text).trim();
+  if (!/^-?[\d.,]*\d[\d.,]*$/.test(s)) return NaN;
+  const comma = s.lastIndexOf(','), dot = s.lastIndexOf('.');
+  const count = (ch) => s.split(ch).length - 1;
+  if (comma >= 0 && dot >= 0) {
+    // both separators: the last one is the decimal separator
+    const [thousands, decimal] = comma > dot ? ['.', ','] : [',', '.'];
+    if (count(decimal) > 1) return NaN;
+    s = s.split(thousands).join('').replace(decimal, '.');
+  } else if (comma >= 0) {
+    s = count(',') > 1 ? s.split(',').join('') : s.replace(',', '.');
+  } else if (count('.') > 1 || THOUSANDS_DOT_RE.test(s)) {
+    s = s.split('.').join('');
+  }
+  return /^-?(\d+\.?\d*|\.\d+)$/.test(s) ? Number(s) : NaN;
+}
+
+export function parseQuantity(text) {
+  if (text == null) return null;
+  const s = String(text).trim();
+  if (!s) return null;
+  const u = UNIT_SUFFIX_RE.exec(s);
+  const unit = u && unitOf(u[2]);
+  if (unit) {
+    const q = parsePlainQuantity(u[1]);
+    return q && q.kind !== 'percent' ? { ...q, unit, text: s } : null;
+  }
+  const q = parsePlainQuantity(s);
+  return q && { ...q, unit: null };
+}
+
+function parsePlainQuantity(s) {
+  const f = FRACTION_RE.exec(s);
+  if (f) {
+    const whole = Number(f[2] || 0), num = Number(f[3]), den = Number(f[4]);
+    if (!den) return null;
+    return { kind: 'fraction', value: (f[1] ? -1 : 1) * (whole + num / den), text: s };
+  }
+  const p = PERCENT_RE.exec(s);
+  if (p) {
+    const v = parseDecimal(p[1]);
+    return Number.isFinite(v) ? { kind: 'percent', value: v / 100, text: s } : null;
+  }
+  const v = parseDecimal(s);
+  return Number.isFinite(v) ? { kind: 'number', value: v, text: s } : null;
+}
+
+// Value of a quantity (3/4 -> 0.75, 25% -> 0.25), NaN when it is not one
+export function quantityValue(text) {
+  const q = parseQuantity(text);
+  return q ? q.value : NaN;
+}
+
+// "1.250" or "1.250 kg": read as 1250, though it may have been written as 1.25
+export function ambiguousDecimal(text) {
+  const s = String(text == null ? '' : text).trim();
+  const u = UNIT_SUFFIX_RE.exec(s);
+  return THOUSANDS_DOT_RE.test((u && unitOf(u[2]) ? u[1] : s).replace(/\s*%$/, ''));
+}
+
+// 1250.5 -> "1250.5"; a decimal comma where a point would read as thousands (1.125 -> "1,125")
+function decimalText(value) {
+  const s = String(value);
+  return THOUSANDS_DOT_RE.test(s) ? s.replace('.', ',') : s;
+}
+
+// Stored form: numbers with a decimal point ("1250.5", "1,125" when the point would read as
+// thousands), fractions and percentages as written but without spaces ("1 1/2" keeps the space
+// of the mixed number), then the unit symbol ("150 cm"); null when not a quantity
+export function canonicalQuantity(text) {
+  const q = parseQuantity(text);
+  if (!q) return null;
+  const plain = q.unit ? UNIT_SUFFIX_RE.exec(q.text)[1].trim() : q.text;
+  const unit = q.unit ? ` ${q.unit}` : '';
+  if (q.kind === 'number') return decimalText(q.value) + unit;
+  if (q.kind === 'percent') return `${decimalText(parseDecimal(PERCENT_RE.exec(plain)[1]))}%`;
+  const [, sign, whole, num, den] = FRACTION_RE.exec(plain);
+  return `${sign}${whole ? `${Number(whole)} ` : ''}${Number(num)}/${Number(den)}${unit}`;
+}
+
+// Unit symbol of a quantity ("150 cm" -> 'cm'), null when it has none
+export function quantityUnit(text) {
+  const q = parseQuantity(text);
+  return q ? q.unit : null;
+}
+
+// Display form for pupils: decimal comma ("0,5", "12,5%", "1,5 m"), fractions unchanged;
+// `withUnit: false` leaves the unit out ("1,5")
+export function formatQuantity(text, { withUnit = true } = {}) {
+  const c = canonicalQuantity(text);
+  if (c == null) return String(text ?? '');
+  const unit = quantityUnit(c);
+  return (unit && !withUnit ? c.slice(0, -(unit.length + 1)) : c).replace('.', ',');
+}
+
+// Same quantity? 'forma' also needs the same kind (0,5 is not accepted for 1/2); 'equivalente' compares values only.
+// Units of the same magnitude are converted (150 cm = 1,5 m); a quantity without a unit is compared as it is.
+// `convert: false` (conversion exercises) only accepts the other unit's value, not the original measure.
+export function sameQuantity(a, b, mode, { convert = true } = {}) {
+  const qa = parseQuantity(a), qb = parseQuantity(b);
+  if (!qa || !qb) return false;
+  if (mode !== 'equivalente' && qa.kind !== qb.kind) return false;
+  let va = qa.value;
+  if (qa.unit && qb.unit && qa.unit !== qb.unit) {
+    if (!convert) return false;
+    va = convertValue(va, qa.unit, qb.unit);
+  }
+  return Math.abs(va - qb.value) <= 1e-9 * Math.max(1, Math.abs(qb.value));
+}
+
+if (typeof window !== 'undefined') {
+  window.Quantities = { EQUIVALENCE_MODES, UNITS, unitOf, sameMagnitude, convertValue, conversionStep, parseDecimal, parseQuantity, quantityValue, ambiguousDecimal, quantityUnit, canonicalQuantity, formatQuantity, sameQuantity };
+}